@@ -27,14 +27,165 @@ class ChatStrategy extends AIStrategy {
             systemPrompt: options.systemPrompt || "You are a helpful assistant.",
         };
 
+        // The Prompt API takes temperature and topK together or not at all
+        if (options.temperature != null || options.topK != null) {
+            const params = await this.getParams();
+            if (params) {
+                config.temperature = options.temperature ?? params.defaultTemperature;
+                config.topK = options.topK ?? params.defaultTopK;
+            }
+        }
+
         if (monitorCallback && options.monitor) {
             config.monitor = options.monitor;
         }
 
+        // Images / audio can only be prompted to a session created for them
+        if (options.media && options.media.length > 0) {
+            config.expectedInputs = [{ type: 'text' }, ...options.media.map(type => ({ type }))];
+        }
+
+        // Rebuild the conversation from saved history (e.g. after a reload)
+        if (options.history && options.history.length > 0) {
+            const restored = await this.restoreContext(factory, config, options.history);
+            if (options.onContextRestored) options.onContextRestored(restored.info);
+
+            if (restored.prompts.length > 0) {
+                config.initialPrompts = [{ role: 'system', content: restored.systemPrompt }, ...restored.prompts];
+                delete config.systemPrompt;
+            } else {
+                config.systemPrompt = restored.systemPrompt;
+            }
+        }
+
+        return await this.instantiate(factory, config);
+    }
+
+    // { defaultTemperature, maxTemperature, defaultTopK, maxTopK }, or null if the browser does not say
+    async getParams() {
+        const factory = window.ai?.languageModel || window.LanguageModel;
+        if (!factory) return null;
+        try {
+            // Current API: LanguageModel.params(); older builds: capabilities()
+            const p = factory.params ? await factory.params() : factory.capabilities ? await factory.capabilities() : null;
+            if (!p || p.defaultTopK == null) return null;
+            return {
+                defaultTemperature: p.defaultTemperature,
+                maxTemperature: p.maxTemperature ?? 2,
+                defaultTopK: p.defaultTopK,
+                maxTopK: p.maxTopK ?? p.defaultTopK
+            };
+        } catch (e) {
+            console.warn("Could not read model parameters:", e);
+            return null;
+        }
+    }
+
+    // { image, audio }: which inputs besides text the on-device model accepts
+    async getMediaSupport() {
+        const factory = window.ai?.languageModel || window.LanguageModel;
+        const support = { image: false, audio: false };
+        if (!factory || !factory.availability) return support;
+        for (const type of Object.keys(support)) {
+            try {
+                const status = await factory.availability({ expectedInputs: [{ type }] });
+                support[type] = status !== 'unavailable' && status !== 'no';
+            } catch (e) {
+                // Builds without multimodal input reject the option
+            }
+        }
+        return support;
+    }
+
+    async instantiate(factory, config) {
         // Factory pattern might vary (create vs new)
         if (factory.create) return await factory.create(config);
         return new factory(config);
     }
+
+    // Fits the newest messages into the context quota; older ones are summarized when possible
+    async restoreContext(factory, config, history) {
+        const messages = toChatMessages(history);
+        const probe = await this.instantiate(factory, { systemPrompt: config.systemPrompt });
+        let systemPrompt = config.systemPrompt;
+
+        try {
+            const quota = probe.inputQuota ?? probe.maxTokens;
+            if (!quota) {
+                return { systemPrompt, prompts: messages, info: { total: messages.length, kept: messages.length, summarized: false } };
+            }
+
+            const measure = async (text) => {
+                if (probe.measureInputUsage) return await probe.measureInputUsage(text);
+                if (probe.countPromptTokens) return await probe.countPromptTokens(text);
+                return Math.ceil(text.length / 4);
+            };
+
+            // Leave a quarter of the window for the turns that follow
+            const used = probe.inputUsage ?? probe.tokensSoFar ?? 0;
+            let budget = Math.floor(quota * 0.75) - used;
+            const { kept, dropped, cost } = await fitMessages(messages, budget, m => measure(m.content));
+            budget -= cost;
+
+            let summarized = false;
+            if (dropped.length > 0) {
+                try {
+                    const summary = await this.summarizeDropped(probe, dropped, quota, measure);
+                    if (summary && await measure(summary) < budget) {
+                        systemPrompt += `\n\nSummary of the earlier conversation: ${summary}`;
+                        summarized = true;
+                    }
+                } catch (e) {
+                    console.warn("Could not summarize earlier conversation:", e);
+                }
+            }
+
+            return { systemPrompt, prompts: kept, info: { total: messages.length, kept: kept.length, summarized } };
+        } finally {
+            probe.destroy();
+        }
+    }
+
+    async summarizeDropped(probe, dropped, quota, measure) {
+        // Newest dropped turns first, as long as the transcript fits half of the window
+        let transcript = "";
+        for (let i = dropped.length - 1; i >= 0; i--) {
+            const line = `${dropped[i].role === 'user' ? 'User' : 'Assistant'}: ${dropped[i].content}\n`;
+            if (await measure(line + transcript) > quota / 2) break;
+            transcript = line + transcript;
+        }
+        if (!transcript) return "";
+
+        return await probe.prompt(`Summarize the following conversation in at most five sentences. Keep names, numbers and decisions.\n\n${transcript}`);
+    }
+}
+
+// Stored history uses 'model' for replies; the Prompt API and OpenAI protocol use 'assistant'.
+// Earlier images and clips are not sent again; the turn keeps a note that they were there.
+function toChatMessages(history) {
+    return history
+        .filter(m => m.content || m.media)
+        .map(m => ({
+            role: m.role === 'user' ? 'user' : 'assistant',
+            content: m.media ? `${m.content}\n[${m.media.map(item => item.kind).join(', ')}]`.trim() : m.content
+        }));
+}
+
+// Keeps the newest messages whose total cost fits the budget, starting on a user turn
+async function fitMessages(messages, budget, cost) {
+    let total = 0;
+    let start = messages.length;
+    while (start > 0) {
+        const next = await cost(messages[start - 1]);
+        if (total + next > budget) break;
+        total += next;
+        start--;
+    }
+    while (start < messages.length && messages[start].role !== 'user') {
+        total -= await cost(messages[start]);
+        start++;
+    }
+    return { kept: messages.slice(start), dropped: messages.slice(0, start), cost: total };
 }
 
 // Fallback Writer that uses the generic Language Model if dedicated Writer API is missing
@@ -46,6 +197,9 @@ class WriterStrategy extends AIStrategy {
 
         const session = await window.Writer.create({
             sharedContext: options.sharedContext || "",
+            tone: options.tone || 'neutral',
+            format: options.format || 'markdown',
+            length: options.length || 'medium',
             monitor(m) {
                 m.addEventListener("downloadprogress", e => {
                     const percent = Math.round((e.loaded / e.total) * 100);
@@ -58,8 +212,8 @@ class WriterStrategy extends AIStrategy {
         // Adapter to match app.js expectation of promptStreaming
         return {
             session: session,
-            promptStreaming: async function* (prompt) {
-                const stream = session.writeStreaming(prompt);
+            promptStreaming: async function* (prompt, promptOptions = {}) {
+                const stream = session.writeStreaming(prompt, { signal: promptOptions.signal });
                 for await (const chunk of stream) {
                     yield chunk;
                 }
@@ -77,6 +231,7 @@ class RewriterStrategy extends AIStrategy {
 
         const session = await window.Rewriter.create({
             tone: options.tone || 'more-formal',
+            format: options.format || 'as-is',
             length: options.length || 'as-is',
             monitor(m) {
                 m.addEventListener("downloadprogress", e => {
@@ -92,8 +247,42 @@ class RewriterStrategy extends AIStrategy {
             session: session,
             // Expose rewrite for app.js direct usage
             rewrite: (text, options) => session.rewrite(text, options),
-            promptStreaming: async function* (input) {
-                const stream = session.rewriteStreaming(input);
+            promptStreaming: async function* (input, promptOptions = {}) {
+                const stream = session.rewriteStreaming(input, { signal: promptOptions.signal });
+                for await (const chunk of stream) {
+                    yield chunk;
+                }
+            },
+            destroy: () => session.destroy()
+        };
+    }
+}
+
+class SummarizerStrategy extends AIStrategy {
+    getCapabilityName() { return 'summarizer'; }
+
+    async createSession(options, monitorCallback) {
+        if (!window.Summarizer) throw new Error("SUMMARIZER_API_MISSING");
+
+        const session = await window.Summarizer.create({
+            type: options.type || 'tldr',
+            format: options.format || 'markdown',
+            length: options.length || 'medium',
+            monitor(m) {
+                m.addEventListener("downloadprogress", e => {
+                    const percent = Math.round((e.loaded / e.total) * 100);
+                    console.log(`Summarizer Download: ${percent}%`);
+                    if (window.UI && UI.showDownloadProgress) UI.showDownloadProgress(percent);
+                });
+            }
+        });
+
+        // Adapter to match app.js expectation of promptStreaming
+        return {
+            session: session,
+            summarize: (text) => session.summarize(text),
+            promptStreaming: async function* (input, promptOptions = {}) {
+                const stream = session.summarizeStreaming(input, { signal: promptOptions.signal });
                 for await (const chunk of stream) {
                     yield chunk;
                 }
@@ -103,20 +292,486 @@ class RewriterStrategy extends AIStrategy {
     }
 }
 
+class ProofreaderStrategy extends AIStrategy {
+    getCapabilityName() { return 'proofreader'; }
+
+    async createSession(options, monitorCallback) {
+        if (!window.Proofreader) throw new Error("PROOFREADER_API_MISSING");
+
+        const session = await window.Proofreader.create({
+            expectedInputLanguages: options.languages || ['en'],
+            monitor(m) {
+                m.addEventListener("downloadprogress", e => {
+                    const percent = Math.round((e.loaded / e.total) * 100);
+                    console.log(`Proofreader Download: ${percent}%`);
+                    if (window.UI && UI.showDownloadProgress) UI.showDownloadProgress(percent);
+                });
+            }
+        });
+
+        // Adapter: proofread() resolves to { correctedInput, corrections: [{ startIndex, endIndex, correction, type, explanation }] }
+        return {
+            session: session,
+            proofread: async (text, proofreadOptions = {}) => {
+                const result = await session.proofread(text, { signal: proofreadOptions.signal });
+                return {
+                    correctedInput: result.correctedInput,
+                    corrections: (result.corrections || []).map(c => ({
+                        startIndex: c.startIndex,
+                        endIndex: c.endIndex,
+                        correction: c.correction,
+                        type: c.type || (c.types && c.types[0]) || '',
+                        explanation: c.explanation || ''
+                    }))
+                };
+            },
+            promptStreaming: async function* (input, promptOptions = {}) {
+                const result = await session.proofread(input, { signal: promptOptions.signal });
+                yield result.correctedInput;
+            },
+            destroy: () => session.destroy()
+        };
+    }
+}
+
+// --- Local Backend (OpenAI-compatible endpoint on localhost, e.g. llama.cpp server or Ollama) ---
+
+const LOCAL_CONTEXT_CHARS = 16000;
+// Typical server-side defaults; a request only carries temperature / top_k when a project overrides them
+const LOCAL_PARAMS = { defaultTemperature: 0.8, maxTemperature: 2, defaultTopK: 40, maxTopK: 100 };
+const LOCAL_TONES = { 'more-formal': 'more formal', 'more-casual': 'more casual', 'as-is': 'the same as the original' };
+const LOCAL_LENGTHS = { 'shorter': 'shorter than the original', 'longer': 'longer than the original', 'as-is': 'about the same as the original' };
+const LOCAL_FORMATS = { 'markdown': 'Use Markdown.', 'plain-text': 'Use plain text without any Markdown.', 'as-is': 'Keep the original formatting.' };
+const LOCAL_WRITER_TONES = { 'formal': 'formal', 'neutral': 'neutral', 'casual': 'casual' };
+const LOCAL_WRITER_LENGTHS = { 'short': 'short', 'medium': 'medium-length', 'long': 'long' };
+
+class LocalEndpointClient {
+    constructor() {
+        this.baseUrl = '';
+        this.model = '';
+    }
+
+    configure({ url, model } = {}) {
+        // Accept "http://localhost:11434" as well as "http://localhost:8080/v1/"
+        let base = (url || '').trim().replace(/\/+$/, '');
+        if (base && !base.endsWith('/v1')) base += '/v1';
+        this.baseUrl = base;
+        this.model = (model || '').trim();
+    }
+
+    isConfigured() {
+        return !!this.baseUrl;
+    }
+
+    async listModels(timeoutMs = 3000) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            const res = await fetch(`${this.baseUrl}/models`, { signal: controller.signal });
+            if (!res.ok) throw new Error(`LOCAL_ENDPOINT_HTTP_${res.status}`);
+            const body = await res.json();
+            return (body.data || []).map(m => m.id);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Yields content deltas from a streamed chat-completions response (Server-Sent Events)
+    async *streamChat(messages, signal, params = {}) {
+        const res = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            signal: signal,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model || undefined,
+                messages: messages,
+                temperature: params.temperature ?? undefined,
+                top_k: params.topK ?? undefined,
+                // Structured output (llama.cpp server, Ollama and others accept an OpenAI-style JSON Schema)
+                response_format: params.responseConstraint
+                    ? { type: 'json_schema', json_schema: { name: 'response', schema: params.responseConstraint } }
+                    : undefined,
+                stream: true
+            })
+        });
+        if (!res.ok || !res.body) throw new Error(`LOCAL_ENDPOINT_HTTP_${res.status}`);
+
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const data = line.trim();
+                    if (!data.startsWith('data:')) continue;
+                    const payload = data.slice(5).trim();
+                    if (payload === '[DONE]') return;
+                    if (!payload) continue;
+
+                    // Servers report failures mid-stream as {"error": ...} or as plain text
+                    let event;
+                    try {
+                        event = JSON.parse(payload);
+                    } catch (e) {
+                        throw new Error(`LOCAL_ENDPOINT_ERROR: ${payload.slice(0, 200)}`);
+                    }
+                    if (event.error) {
+                        throw new Error(`LOCAL_ENDPOINT_ERROR: ${event.error.message || JSON.stringify(event.error).slice(0, 200)}`);
+                    }
+
+                    const delta = event.choices?.[0]?.delta?.content;
+                    if (delta) yield delta;
+                }
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+}
+
+class LocalChatStrategy extends AIStrategy {
+    constructor(client) {
+        super();
+        this.client = client;
+    }
+
+    getCapabilityName() { return 'localEndpoint'; }
+
+    async getParams() {
+        return LOCAL_PARAMS;
+    }
+
+    // The endpoint adapter only sends text
+    async getMediaSupport() {
+        return { image: false, audio: false };
+    }
+
+    async createSession(options, monitorCallback) {
+        if (!this.client.isConfigured()) throw new Error("LOCAL_ENDPOINT_MISSING");
+
+        const client = this.client;
+        const params = { temperature: options.temperature, topK: options.topK };
+        const messages = [{ role: 'system', content: options.systemPrompt || "You are a helpful assistant." }];
+
+        // The local model's window is unknown: restore as much recent history as fits a conservative size
+        if (options.history && options.history.length > 0) {
+            const history = toChatMessages(options.history);
+            const { kept } = await fitMessages(history, LOCAL_CONTEXT_CHARS, m => m.content.length);
+            messages.push(...kept);
+            if (options.onContextRestored) {
+                options.onContextRestored({ total: history.length, kept: kept.length, summarized: false });
+            }
+        }
+
+        // The endpoint is stateless, so the adapter keeps the conversation itself
+        return {
+            promptStreaming: async function* (prompt, promptOptions = {}) {
+                messages.push({ role: 'user', content: prompt });
+                let reply = "";
+                try {
+                    const requestParams = { ...params, responseConstraint: promptOptions.responseConstraint };
+                    for await (const delta of client.streamChat(messages, promptOptions.signal, requestParams)) {
+                        reply += delta;
+                        yield reply;
+                    }
+                } finally {
+                    messages.push({ role: 'assistant', content: reply });
+                }
+            },
+            prompt: async function (prompt, promptOptions) {
+                let reply = "";
+                for await (const text of this.promptStreaming(prompt, promptOptions)) reply = text;
+                return reply;
+            },
+            destroy: () => { messages.length = 0; }
+        };
+    }
+}
+
+// Emulates the Writer API with a system instruction
+class LocalWriterStrategy extends LocalChatStrategy {
+    async createSession(options, monitorCallback) {
+        if (!this.client.isConfigured()) throw new Error("LOCAL_ENDPOINT_MISSING");
+
+        const client = this.client;
+        const tone = LOCAL_WRITER_TONES[options.tone] || LOCAL_WRITER_TONES['neutral'];
+        const length = LOCAL_WRITER_LENGTHS[options.length] || LOCAL_WRITER_LENGTHS['medium'];
+        const format = LOCAL_FORMATS[options.format] || LOCAL_FORMATS['markdown'];
+        let system = `You are a writing assistant. Write the requested text directly, without any preamble or commentary. Write a ${length} text in a ${tone} tone. ${format}`;
+        if (options.sharedContext) system += `\nContext: ${options.sharedContext}`;
+
+        return {
+            promptStreaming: async function* (prompt, promptOptions = {}) {
+                let text = "";
+                for await (const delta of client.streamChat([
+                    { role: 'system', content: system },
+                    { role: 'user', content: prompt }
+                ], promptOptions.signal)) {
+                    text += delta;
+                    yield text;
+                }
+            },
+            destroy: () => { }
+        };
+    }
+}
+
+// Emulates the Rewriter API with a system instruction
+class LocalRewriterStrategy extends LocalChatStrategy {
+    async createSession(options, monitorCallback) {
+        if (!this.client.isConfigured()) throw new Error("LOCAL_ENDPOINT_MISSING");
+
+        const client = this.client;
+        const tone = LOCAL_TONES[options.tone || 'more-formal'] || LOCAL_TONES['as-is'];
+        const length = LOCAL_LENGTHS[options.length || 'as-is'] || LOCAL_LENGTHS['as-is'];
+        const format = LOCAL_FORMATS[options.format || 'as-is'] || LOCAL_FORMATS['as-is'];
+        const system = `Rewrite the text provided by the user. Make the tone ${tone} and the length ${length}. ${format} Reply with the rewritten text only.`;
+
+        const promptStreaming = async function* (input, promptOptions = {}) {
+            let text = "";
+            for await (const delta of client.streamChat([
+                { role: 'system', content: system },
+                { role: 'user', content: input }
+            ], promptOptions.signal)) {
+                text += delta;
+                yield text;
+            }
+        };
+
+        return {
+            rewrite: async (input, rewriteOptions) => {
+                let result = "";
+                for await (const text of promptStreaming(input, rewriteOptions)) result = text;
+                return result;
+            },
+            promptStreaming: promptStreaming,
+            destroy: () => { }
+        };
+    }
+}
+
+const LOCAL_SUMMARY_TYPES = {
+    'tldr': 'a short TL;DR overview',
+    'key-points': 'a list of the key points',
+    'teaser': 'an intriguing teaser that makes the reader want to read the full text',
+    'headline': 'a single headline'
+};
+const LOCAL_SUMMARY_LENGTHS = { 'short': 'very brief', 'medium': 'moderately detailed', 'long': 'detailed' };
+
+// Emulates the Summarizer API with a system instruction
+class LocalSummarizerStrategy extends LocalChatStrategy {
+    async createSession(options, monitorCallback) {
+        if (!this.client.isConfigured()) throw new Error("LOCAL_ENDPOINT_MISSING");
+
+        const client = this.client;
+        const type = LOCAL_SUMMARY_TYPES[options.type] || LOCAL_SUMMARY_TYPES['tldr'];
+        const length = LOCAL_SUMMARY_LENGTHS[options.length] || LOCAL_SUMMARY_LENGTHS['medium'];
+        const format = options.format === 'plain-text' ? 'plain text without any Markdown' : 'Markdown';
+        const system = `Summarize the text provided by the user as ${type}. Keep it ${length}. Use ${format}. Reply with the summary only.`;
+
+        return {
+            promptStreaming: async function* (input, promptOptions = {}) {
+                let text = "";
+                for await (const delta of client.streamChat([
+                    { role: 'system', content: system },
+                    { role: 'user', content: input }
+                ], promptOptions.signal)) {
+                    text += delta;
+                    yield text;
+                }
+            },
+            destroy: () => { }
+        };
+    }
+}
+
+// Beyond this many token edits the changed span becomes a single correction (bounds time and memory)
+const MAX_DIFF_EDITS = 1000;
+
+// Word-level diff of the original against the corrected text, in the Proofreader API's correction shape
+function diffToCorrections(original, corrected) {
+    const a = original.match(/\s+|[^\s]+/g) || [];
+    const b = corrected.match(/\s+|[^\s]+/g) || [];
+
+    const ops = shortestEdit(a, b) || wholeSpanEdit(a, b);
+
+    const corrections = [];
+    let offset = 0;
+    let current = null;
+    const flush = () => {
+        if (current) corrections.push(current);
+        current = null;
+    };
+
+    ops.forEach(([op, token]) => {
+        if (op === '=') {
+            flush();
+            offset += token.length;
+            return;
+        }
+        if (!current) current = { startIndex: offset, endIndex: offset, correction: '', type: '', explanation: '' };
+        if (op === '+') {
+            current.correction += token;
+        } else {
+            offset += token.length;
+            current.endIndex = offset;
+        }
+    });
+    flush();
+
+    return corrections;
+}
+
+// Myers' O((N+M)·D) diff: [[op, token]] with op '=' | '-' | '+', or null past MAX_DIFF_EDITS edits.
+// Only the diagonals reached at each step are kept, so memory grows with D² rather than N·M.
+function shortestEdit(a, b) {
+    const n = a.length, m = b.length;
+    const max = Math.min(n + m, MAX_DIFF_EDITS);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+            v[offset + k] = x;
+            if (x >= n && y >= m) return backtrack(a, b, trace);
+        }
+    }
+    return null;
+}
+
+function backtrack(a, b, trace) {
+    const ops = [];
+    let x = a.length, y = b.length;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const at = (k) => v[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            x--; y--;
+            ops.push(['=', a[x]]);
+        }
+        if (d > 0) ops.push(x === prevX ? ['+', b[--y]] : ['-', a[--x]]);
+    }
+    return ops.reverse();
+}
+
+// Fallback for heavily rewritten text: shared start and end kept, everything between replaced at once
+function wholeSpanEdit(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let end = 0;
+    while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) end++;
+
+    return [
+        ...a.slice(0, start).map(token => ['=', token]),
+        ...a.slice(start, a.length - end).map(token => ['-', token]),
+        ...b.slice(start, b.length - end).map(token => ['+', token]),
+        ...a.slice(a.length - end).map(token => ['=', token])
+    ];
+}
+
+// Emulates the Proofreader API: the model corrects the text, the corrections come from a diff
+class LocalProofreaderStrategy extends LocalChatStrategy {
+    async createSession(options, monitorCallback) {
+        if (!this.client.isConfigured()) throw new Error("LOCAL_ENDPOINT_MISSING");
+
+        const client = this.client;
+        const system = "Correct the spelling, grammar and punctuation of the text provided by the user. Do not change its meaning, tone or wording otherwise. Reply with the corrected text only.";
+
+        const correct = async (input, signal) => {
+            let text = "";
+            for await (const delta of client.streamChat([
+                { role: 'system', content: system },
+                { role: 'user', content: input }
+            ], signal)) {
+                text += delta;
+            }
+            return text.trim();
+        };
+
+        return {
+            proofread: async (input, proofreadOptions = {}) => {
+                const correctedInput = await correct(input, proofreadOptions.signal);
+                return { correctedInput, corrections: diffToCorrections(input, correctedInput) };
+            },
+            promptStreaming: async function* (input, promptOptions = {}) {
+                yield await correct(input, promptOptions.signal);
+            },
+            destroy: () => { }
+        };
+    }
+}
+
 class AISwitchboard {
     constructor() {
         this.strategies = {
             'prompt': new ChatStrategy(),
             'writer': new WriterStrategy(),
-            'rewriter': new RewriterStrategy()
+            'rewriter': new RewriterStrategy(),
+            'summarizer': new SummarizerStrategy(),
+            'proofreader': new ProofreaderStrategy()
+        };
+        this.localClient = new LocalEndpointClient();
+        this.localStrategies = {
+            'prompt': new LocalChatStrategy(this.localClient),
+            'writer': new LocalWriterStrategy(this.localClient),
+            'rewriter': new LocalRewriterStrategy(this.localClient),
+            'summarizer': new LocalSummarizerStrategy(this.localClient),
+            'proofreader': new LocalProofreaderStrategy(this.localClient)
         };
         this.currentStrategy = this.strategies['prompt'];
     }
 
-    setStrategy(mode) {
-        if (this.strategies[mode]) {
-            this.currentStrategy = this.strategies[mode];
-            console.log("Strategy set to:", mode);
+    // backend: 'builtin' (Chrome Built-in AI) or 'local' (OpenAI-compatible localhost endpoint)
+    setStrategy(mode, backend = 'builtin') {
+        const pool = backend === 'local' ? this.localStrategies : this.strategies;
+        if (pool[mode]) {
+            this.currentStrategy = pool[mode];
+            console.log("Strategy set to:", mode, `(${backend})`);
+        }
+    }
+
+    // Allowed sampling ranges and defaults of the chat model behind a backend
+    async getModelParams(backend = 'builtin') {
+        const pool = backend === 'local' ? this.localStrategies : this.strategies;
+        return pool.prompt.getParams();
+    }
+
+    async getMediaSupport(backend = 'builtin') {
+        const pool = backend === 'local' ? this.localStrategies : this.strategies;
+        return pool.prompt.getMediaSupport();
+    }
+
+    configureLocalBackend(config) {
+        this.localClient.configure(config);
+    }
+
+    async checkLocalBackend() {
+        if (!this.localClient.isConfigured()) return 'not-configured';
+        try {
+            await this.localClient.listModels();
+            return 'available';
+        } catch (e) {
+            console.warn("Local endpoint unreachable:", e);
+            return 'unreachable';
         }
     }
 
@@ -161,10 +816,13 @@ class AISwitchboard {
             isSecure: window.isSecureContext,
             protocol: window.location.protocol,
             // Broad check for any AI capability
-            windowAI: !!(window.ai || window.Writer || window.Rewriter || window.LanguageModel),
+            windowAI: !!(window.ai || window.Writer || window.Rewriter || window.Summarizer || window.Proofreader || window.LanguageModel),
             promptAPI: 'checking...',
             writerAPI: 'checking...',
-            rewriterAPI: 'checking...'
+            rewriterAPI: 'checking...',
+            summarizerAPI: 'checking...',
+            proofreaderAPI: 'checking...',
+            localBackend: 'checking...'
         };
 
         // Check Prompt API (LangaugeModel)
@@ -202,6 +860,29 @@ class AISwitchboard {
             }
         } catch (e) { report.rewriterAPI = 'error'; }
 
+        // Check Summarizer
+        try {
+            if (window.Summarizer) {
+                const sStatus = await window.Summarizer.availability();
+                report.summarizerAPI = sStatus === 'readily' ? 'available' : sStatus;
+            } else {
+                report.summarizerAPI = 'missing';
+            }
+        } catch (e) { report.summarizerAPI = 'error'; }
+
+        // Check Proofreader
+        try {
+            if (window.Proofreader) {
+                const pStatus = await window.Proofreader.availability();
+                report.proofreaderAPI = pStatus === 'readily' ? 'available' : pStatus;
+            } else {
+                report.proofreaderAPI = 'missing';
+            }
+        } catch (e) { report.proofreaderAPI = 'error'; }
+
+        // Check Local Endpoint
+        report.localBackend = await this.checkLocalBackend();
+
         return report;
     }
 
@@ -2,11 +2,55 @@ import { storage } from './storage.js';
 import { aiSwitchboard } from './ai.js';
 import { UI } from './ui.js';
 import { locales } from './locales.js';
+import { pwa } from './pwa.js';
+import { chatTree } from './history.js';
+import { backup } from './backup.js';
+import { templates } from './templates.js';
+import { search } from './search.js';
+import { attachments, ATTACHMENT_ACCEPT } from './attachments.js';
+import { knowledge, TOP_K } from './knowledge.js';
+import { media, MAX_MEDIA_SIZE, MEDIA_ACCEPT } from './media.js';
+import { schema } from './schema.js';
+import { csv } from './csv.js';
+import { batch, BatchQueue } from './batch.js';
 
 // State
 let currentProject = null;
 let currentSession = null;
 let appReady = false;
+let defaultBackend = 'builtin';
+let activeRevisionId = null;
+let compareIds = [];
+let abortController = null; // Set while a chat reply streams
+let autoLockMinutes = 15;
+let autoLockTimer = null;
+let searchTimer = null;
+let searchSeq = 0; // Drops results of queries that were typed over
+
+const MAX_SEARCH_HITS = 50;
+
+let slashPicker = null; // { input, items, index } while the "/" template picker is open
+
+// Where a template of each mode is inserted (UI element names)
+const TEMPLATE_INPUTS = { prompt: 'userInput', writer: 'writerPrompt', rewriter: 'rewriterInput' };
+
+// Project field holding each mode's toolbar options
+const MODE_OPTION_KEYS = { writer: 'writerOptions', rewriter: 'editorOptions', summarizer: 'summarizerOptions' };
+
+// Files for the next chat message: { id, file, name, size, kind, status: 'reading' | 'ready' | 'error', text, error }
+// (kind is 'image' / 'audio' for media, which are not read as text)
+let pendingAttachments = [];
+let mediaSupport = { image: false, audio: false }; // What the open project's chat model accepts besides text
+let recorder = null; // Active microphone recording
+let structuredBatch = null; // AbortController of a running batch extraction
+// Editor / Writer batch from its start until nothing runs: { project, queue, paused } (project.batch holds the items,
+// queue is set once the session is ready). Its project object is the one the app shows while that project is open.
+let batchRun = null;
+let runningTasks = 0; // Editor, Writer, Summarizer and Proofreader runs in progress
+let remoteReloadPending = false; // Another tab saved the open project while it was generating
+
+let syncTimer = null;
+const SYNC_REFRESH_DELAY = 150; // Coalesces bursts of writes from another tab (e.g. a backup import)
 
 // Expose for diagnostics
 window.aiSwitchboard = aiSwitchboard;
@@ -14,7 +58,21 @@ window.aiSwitchboard = aiSwitchboard;
 const UUID = () => crypto.randomUUID();
 
 async function init() {
-    await storage.init();
+    // Offline App Shell (does not block startup)
+    pwa.registerServiceWorker(applyUpdate => UI.showUpdatePrompt(applyUpdate));
+
+    // Database: migrations run here; other open tabs can delay or interrupt them
+    try {
+        await storage.init({
+            onBlocked: () => UI.showStorageNotice('blocked'),
+            onVersionChange: () => UI.showStorageNotice('outdated'),
+            onRemoteChange: (change) => handleRemoteChange(change).catch(e => console.warn("Sync failed:", e))
+        });
+    } catch (e) {
+        UI.showStorageNotice(e.message === 'STORAGE_TOO_NEW' ? 'too_new' : 'failed');
+        return;
+    }
+    UI.showStorageNotice(null);
 
     // Load Settings (Lang)
     const savedLang = await storage.getSetting('language');
@@ -25,6 +83,15 @@ async function init() {
         UI.setLanguage('en');
     }
 
+    // Passphrase Lock: nothing below may read projects before the key is derived
+    if (storage.isLocked()) await UI.showLockScreen(passphrase => storage.unlock(passphrase));
+    const savedAutoLock = await storage.getSetting('autoLockMinutes');
+    if (savedAutoLock !== null) autoLockMinutes = savedAutoLock;
+    resetAutoLock();
+
+    // Index projects saved before search existed (in the background, it only affects search)
+    storage.ensureSearchIndex().catch(e => console.warn("Search index rebuild failed:", e));
+
     // First Visit Check
     const hasVisited = await storage.getSetting('hasVisited');
     if (!hasVisited) {
@@ -33,6 +100,9 @@ async function init() {
         await storage.saveSetting('hasVisited', true);
     }
 
+    // Local Endpoint (OpenAI-compatible server on this machine)
+    aiSwitchboard.configureLocalBackend(await getLocalBackendConfig());
+
     // Initial State: Loading
     UI.switchView('welcome');
     UI.setLandingState('loading');
@@ -45,6 +115,12 @@ async function init() {
         appReady = true;
         UI.setHardwareStatus('status_ready');
         UI.setLandingState('ready');
+    } else if (await aiSwitchboard.checkLocalBackend() === 'available') {
+        // No built-in AI, but a local endpoint answers: use it for every chat
+        appReady = true;
+        defaultBackend = 'local';
+        UI.setHardwareStatus('status_ready');
+        UI.setLandingState('ready');
     } else {
         appReady = false;
         const diag = await aiSwitchboard.getDiagnostics();
@@ -60,6 +136,13 @@ async function init() {
     await refreshProjects();
 }
 
+async function getLocalBackendConfig() {
+    return {
+        url: await storage.getSetting('localEndpointUrl') || '',
+        model: await storage.getSetting('localEndpointModel') || ''
+    };
+}
+
 // Restoration of missing functions
 async function enterApp() {
     if (!appReady) return;
@@ -75,24 +158,209 @@ async function refreshProjects() {
             id: UUID(),
             name: (dict.new_chat || "New Chat").replace("+ ", ""),
             systemPrompt: "You are a helpful AI assistant.",
-            history: [],
-            apiMode: 'prompt'
+            history: chatTree.create(),
+            apiMode: 'prompt',
+            backend: defaultBackend
         };
         await storage.saveProject(newProj);
         projects.push(newProj);
     }
 
+    const layout = await getProjectLayout();
+    const ordered = orderProjects(projects, layout.sort);
+
     // Attempt to keep current project or select most recent
-    if (!currentProject && projects.length > 0) {
-        await loadProject(projects[0].id);
+    if (!currentProject && ordered.length > 0) {
+        await loadProject(ordered[0].id);
+    }
+
+    UI.setProjectSort(layout.sort);
+    UI.renderProjects(ordered, currentProject ? currentProject.id : null, layout);
+}
+
+// Folders and the sort mode live in settings; pins, tags, folderId and order on each project
+async function getProjectLayout() {
+    return {
+        folders: await storage.getSetting('projectFolders') || [],
+        sort: await storage.getSetting('projectSort') || 'recent'
+    };
+}
+
+function orderProjects(projects, sort) {
+    const recent = (a, b) => (b.updatedAt || 0) - (a.updatedAt || 0);
+    if (sort !== 'manual') return [...projects].sort(recent);
+    // Projects never placed by hand (e.g. new ones) come first
+    const rank = p => p.order ?? -Infinity;
+    return [...projects].sort((a, b) => (rank(a) - rank(b)) || recent(a, b));
+}
+
+// Edits the in-memory copy when the project is open, so a later save of currentProject cannot undo it
+async function updateProject(id, change, options = { touch: false }) {
+    const project = currentProject && currentProject.id === id ? currentProject : await storage.getProject(id);
+    if (!project) return;
+    change(project);
+    await persistProject(project, options);
+}
+
+// target: { container: 'pinned' | folderId | '' (top level), beforeId: id or null for the end }
+async function moveProject(id, target) {
+    const layout = await getProjectLayout();
+    const projects = orderProjects(await storage.getAllProjects(), layout.sort);
+    const inContainer = (p) => target.container === 'pinned'
+        ? p.pinned
+        : !p.pinned && (p.folderId || '') === target.container;
+
+    const siblings = projects.filter(p => p.id !== id && inContainer(p)).map(p => p.id);
+    const index = target.beforeId ? siblings.indexOf(target.beforeId) : -1;
+    siblings.splice(index >= 0 ? index : siblings.length, 0, id);
+
+    // Renumber the whole group; only projects whose place changed are written
+    for (const [order, pid] of siblings.entries()) {
+        const p = projects.find(x => x.id === pid);
+        const folderId = target.container === 'pinned' ? p.folderId : (target.container || null);
+        const pinned = target.container === 'pinned';
+        if (p.order === order && (p.folderId || null) === (folderId || null) && !!p.pinned === pinned) continue;
+        await updateProject(pid, proj => {
+            proj.order = order;
+            proj.folderId = folderId || null;
+            proj.pinned = pinned;
+        });
+    }
+
+    // Dragging defines a custom order, which the recency sort would immediately undo
+    if (layout.sort !== 'manual') await storage.saveSetting('projectSort', 'manual');
+    await refreshProjects();
+}
+
+async function saveFolders(change) {
+    const folders = await storage.getSetting('projectFolders') || [];
+    await storage.saveSetting('projectFolders', change(folders));
+    await refreshProjects();
+}
+
+// Saves a project held in memory. If another tab saved it since it was loaded, the user decides
+// between merging both versions and reloading the stored one.
+async function persistProject(project, options) {
+    try {
+        await storage.saveProject(project, options);
+    } catch (e) {
+        if (e.message !== 'SAVE_CONFLICT') throw e;
+        await resolveConflict(project, options);
+    }
+}
+
+async function resolveConflict(project, options) {
+    const choice = await UI.showConflictModal(project.name);
+    const latest = await storage.getProject(project.id);
+
+    if (choice === 'merge' && latest) {
+        // This copy keeps its settings and visible branch; the other tab's messages, drafts and revisions are added
+        Object.assign(project, backup.merge(project, latest), { rev: latest.rev });
+        await persistProject(project, options);
+    } else if (choice === 'reload' && latest && batchRun && batchRun.project === project) {
+        // A running batch keeps writing to this object: it takes the stored version and keeps its items
+        Object.assign(project, latest, { batch: project.batch });
+    }
+
+    // A reply that is still being saved keeps its view; the merged branches show on the next load
+    if (project === currentProject && (choice === 'reload' || !abortController)) await loadProject(project.id);
+    await refreshProjects();
+}
+
+function isGenerating() {
+    return !!(abortController || batchRun || structuredBatch || runningTasks);
+}
+
+// Reloads the open project after another tab saved it. Text typed here and not yet sent or run is kept.
+async function reloadRemoteProject(id) {
+    const inputs = ['userInput', 'writerPrompt', 'rewriterInput', 'summarizerInput'].filter(name => UI[name]);
+    const typed = inputs.map(name => UI[name].value);
+    await loadProject(id);
+    inputs.forEach((name, i) => { if (typed[i]) UI[name].value = typed[i]; });
+}
+
+// Catches up with a save from another tab that arrived while something was generating
+async function applyPendingReload() {
+    if (!remoteReloadPending || isGenerating()) return;
+    remoteReloadPending = false;
+    if (!currentProject || storage.isLocked()) return;
+    try {
+        const latest = await storage.getProject(currentProject.id);
+        if (!latest) {
+            currentProject = null;
+            await refreshProjects();
+        } else if (latest.rev !== currentProject.rev) {
+            await reloadRemoteProject(latest.id);
+        }
+    } catch (e) {
+        console.warn("Sync failed:", e);
+    }
+}
+
+// Another tab (or the installed app) wrote to the database
+async function handleRemoteChange(change) {
+    if (change.type === 'vault') {
+        UI.showStorageNotice('vault'); // This tab's key no longer opens the records
+        return;
     }
+    // Templates are read from storage whenever they are listed
+    if (storage.isLocked() || change.type === 'template') return;
 
-    UI.renderProjects(projects, currentProject ? currentProject.id : null);
+    if (change.type === 'setting') {
+        await applyRemoteSetting(change.key);
+        return;
+    }
+
+    // Reloading would cut off a reply, run or batch writing into the open project: it waits until they end
+    // (a save before that detects the conflict)
+    if (currentProject && currentProject.id === change.id) {
+        if (isGenerating()) remoteReloadPending = true;
+        else if (change.type === 'delete') currentProject = null;
+        else if (change.rev !== currentProject.rev) await reloadRemoteProject(change.id);
+    }
+    clearTimeout(syncTimer);
+    syncTimer = setTimeout(() => refreshProjects().catch(e => console.warn("Sync failed:", e)), SYNC_REFRESH_DELAY);
+}
+
+async function applyRemoteSetting(key) {
+    const value = await storage.getSetting(key);
+    switch (key) {
+        case 'language':
+            if (!value) return;
+            if (UI.langSelector) UI.langSelector.value = value;
+            UI.setLanguage(value);
+            if (currentProject) await refreshProjects();
+            break;
+        case 'autoLockMinutes':
+            autoLockMinutes = value;
+            resetAutoLock();
+            break;
+        case 'localEndpointUrl':
+        case 'localEndpointModel':
+            aiSwitchboard.configureLocalBackend(await getLocalBackendConfig());
+            currentSession = null;
+            break;
+        case 'projectFolders':
+        case 'projectSort':
+            await refreshProjects();
+            break;
+    }
 }
 
 async function loadProject(id) {
     try {
-        currentProject = await storage.getProject(id);
+        // A reply still streaming belongs to the project being left
+        if (abortController) abortController.abort();
+        if (!currentProject || currentProject.id !== id) {
+            setPendingAttachments([]);
+            cancelRecording();
+            UI.releaseMedia();
+            // Items already running finish and are saved with the project they belong to
+            pauseBatch();
+        }
+
+        // A second copy of the batch's project would drift apart from it, and one of them would overwrite the other
+        currentProject = batchRun && batchRun.project.id === id ? batchRun.project : await storage.getProject(id);
         if (!currentProject) {
             alert("Project not found in storage");
             return;
@@ -106,9 +374,15 @@ async function loadProject(id) {
         }
 
         UI.apiSelector.value = currentProject.apiMode || 'prompt';
+        UI.updateKnowledgeCount((currentProject.knowledge || []).length);
+        UI.setStructured(currentProject.apiMode === 'prompt' && !!currentProject.responseSchema);
+
+        if (currentProject.apiMode === 'writer') await migrateWriterHistory(currentProject);
 
-        // Lock API Mode if chat has history (prevent confusion/mixed state)
-        if (currentProject.history && currentProject.history.length > 0) {
+        // Lock API Mode if chat has history, drafts or editor runs (prevent confusion/mixed state)
+        if (!chatTree.isEmpty(currentProject.history) ||
+            (currentProject.drafts && currentProject.drafts.length > 0) ||
+            (currentProject.revisions && currentProject.revisions.length > 0)) {
             UI.apiSelector.disabled = true;
             UI.apiSelector.title = "Mode is locked for this conversation.";
         } else {
@@ -116,19 +390,46 @@ async function loadProject(id) {
             UI.apiSelector.title = "Select AI Model";
         }
 
+        if (UI.backendSelector) UI.backendSelector.value = currentProject.backend || defaultBackend;
+
         UI.switchView(currentProject.apiMode);
-        aiSwitchboard.setStrategy(currentProject.apiMode);
-
-        if (currentProject.apiMode !== 'rewriter' && currentProject.history) {
-            currentProject.history.forEach(msg => {
-                if (msg.role === 'user') UI.appendUserMessage(msg.content);
-                else {
-                    const con = UI.createModelMessageContainer();
-                    UI.updateMessageContent(con, msg.content);
-                }
-            });
+        aiSwitchboard.setStrategy(currentProject.apiMode, currentProject.backend || defaultBackend);
+        if (currentProject.apiMode === 'prompt') mediaSupport = await aiSwitchboard.getMediaSupport(currentProject.backend || defaultBackend);
+
+        if (currentProject.apiMode === 'summarizer') {
+            UI.setSummarizerOptions(currentProject.summarizerOptions);
+            const last = currentProject.lastSummary || {};
+            UI.summarizerInput.value = last.input || '';
+            UI.renderSummary(last.output || '', UI.getSummarizerOptions().format);
+        }
+
+        UI.setEditorOptions(currentProject.editorOptions);
+        UI.setWriterOptions(currentProject.writerOptions);
+
+        if (currentProject.apiMode === 'rewriter') {
+            const revisions = currentProject.revisions || [];
+            const latest = revisions[revisions.length - 1];
+            UI.rewriterInput.value = latest ? latest.input : (currentProject.editorInput || '');
+            showRevision(latest ? latest.id : null);
+        }
+
+        if (currentProject.apiMode === 'writer') {
+            compareIds = [];
+            UI.writerContext.value = currentProject.writerContext || '';
+            UI.renderDrafts(currentProject.drafts || [], compareIds);
+            UI.renderCompare([]);
         }
 
+        if (currentProject.apiMode === 'proofreader') {
+            const check = currentProject.proofread;
+            UI.rewriterInput.value = check ? check.input : '';
+            renderProofread();
+        } else {
+            UI.showProofreadDiff(false);
+        }
+
+        if (currentProject.apiMode === 'prompt') renderConversation();
+
         currentSession = null;
     } catch (e) {
         alert("loadProject Error: " + e.message);
@@ -144,13 +445,16 @@ function setupEventListeners() {
     const retryBtn = document.getElementById('retry-btn');
     if (retryBtn) retryBtn.addEventListener('click', () => window.location.reload());
 
+    const localSetupBtn = document.getElementById('local-setup-btn');
+    if (localSetupBtn) localSetupBtn.addEventListener('click', () => openGlobalSettings());
+
     // Language
     if (UI.langSelector) {
         UI.langSelector.addEventListener('change', async (e) => {
             const lang = e.target.value;
             UI.setLanguage(lang);
             await storage.saveSetting('language', lang);
-            if (currentProject) UI.renderProjects(await storage.getAllProjects(), currentProject.id);
+            if (currentProject) await refreshProjects();
         });
     }
 
@@ -159,13 +463,33 @@ function setupEventListeners() {
         UI.apiSelector.addEventListener('change', async (e) => {
             if (!currentProject) return;
             currentProject.apiMode = e.target.value;
-            await storage.saveProject(currentProject);
-            aiSwitchboard.setStrategy(e.target.value);
+            await persistProject(currentProject);
+            aiSwitchboard.setStrategy(e.target.value, currentProject.backend || defaultBackend);
             UI.switchView(e.target.value);
+            if (e.target.value === 'summarizer') UI.setSummarizerOptions(currentProject.summarizerOptions);
+            if (e.target.value === 'proofreader') renderProofread();
+            else UI.showProofreadDiff(false);
+            if (e.target.value === 'rewriter') showRevision(null);
+            if (e.target.value === 'writer') {
+                UI.writerContext.value = currentProject.writerContext || '';
+                UI.renderDrafts(currentProject.drafts || [], compareIds);
+            }
             currentSession = null;
 
             // Refund project list to update icon
-            UI.renderProjects(await storage.getAllProjects(), currentProject.id);
+            await refreshProjects();
+        });
+    }
+
+    // Backend (per project)
+    if (UI.backendSelector) {
+        UI.backendSelector.addEventListener('change', async (e) => {
+            if (!currentProject) return;
+            currentProject.backend = e.target.value;
+            await persistProject(currentProject);
+            aiSwitchboard.setStrategy(currentProject.apiMode, e.target.value);
+            mediaSupport = await aiSwitchboard.getMediaSupport(e.target.value);
+            currentSession = null;
         });
     }
 
@@ -180,8 +504,9 @@ function setupEventListeners() {
                 id: UUID(),
                 name: dict.new_chat.replace("+ ", ""), // Default name, changed later
                 systemPrompt: await storage.getSetting('defaultSystemPrompt') || "You are a helpful AI assistant.",
-                history: [],
-                apiMode: 'prompt'
+                history: chatTree.create(),
+                apiMode: 'prompt',
+                backend: defaultBackend
             };
 
             await storage.saveProject(p);
@@ -212,41 +537,70 @@ function setupEventListeners() {
                 return;
             }
 
+            // Export Action
+            if (e.target.closest('.export-chat-btn')) {
+                e.stopPropagation();
+                const proj = await storage.getProject(id);
+                if (proj) UI.showExportModal(proj.name, format => exportProject(proj, format));
+                return;
+            }
+
             // Rename Action
             if (e.target.closest('.rename-chat-btn')) {
                 e.stopPropagation();
                 const proj = await storage.getProject(id);
                 if (proj) {
                     UI.showInputModal("Rename Chat", async (newName) => {
-                        proj.name = newName;
-                        await storage.saveProject(proj);
+                        await updateProject(id, p => { p.name = newName; });
                         await refreshProjects();
                     }, proj.name);
                 }
                 return;
             }
 
-            // Settings Action
-            if (e.target.closest('.settings-chat-btn')) {
+            // Pin Action
+            if (e.target.closest('.pin-chat-btn')) {
+                e.stopPropagation();
+                await updateProject(id, p => { p.pinned = !p.pinned; });
+                await refreshProjects();
+                return;
+            }
+
+            // Tags Action (comma-separated)
+            if (e.target.closest('.tag-chat-btn')) {
                 e.stopPropagation();
                 const proj = await storage.getProject(id);
                 if (proj) {
-                    UI.showSettingsModal(proj.systemPrompt || "", async (newPrompt) => {
-                        proj.systemPrompt = newPrompt;
-                        await storage.saveProject(proj);
-                        if (currentProject && currentProject.id === proj.id) {
-                            currentProject.systemPrompt = newPrompt;
-                            currentSession = null; // Reset session to apply prompt
-                        }
-                    });
+                    const dict = locales[UI.langSelector.value] || locales['en'];
+                    UI.showInputModal(dict.tags_prompt || "Tags (comma-separated)", async (value) => {
+                        const tags = value.split(',').map(t => t.trim().replace(/^#/, '')).filter(Boolean);
+                        await updateProject(id, p => { p.tags = [...new Set(tags)]; });
+                        await refreshProjects();
+                    }, (proj.tags || []).join(', '));
                 }
                 return;
             }
 
+            // Tag Chip: search for the tag
+            const chip = e.target.closest('.tag-chip');
+            if (chip) {
+                e.stopPropagation();
+                UI.projectSearch.value = `#${chip.dataset.tag}`;
+                runSearch(UI.projectSearch.value);
+                return;
+            }
+
+            // Settings Action
+            if (e.target.closest('.settings-chat-btn')) {
+                e.stopPropagation();
+                await openProjectSettings(id);
+                return;
+            }
+
             // Select
             try {
                 await loadProject(id);
-                UI.renderProjects(await storage.getAllProjects(), id);
+                await refreshProjects();
             } catch (e) {
                 alert("Error loading chat: " + e.message);
                 console.error(e);
@@ -256,12 +610,235 @@ function setupEventListeners() {
 
     // Execute Command (Chat)
     const execBtn = document.getElementById('execute-btn');
-    if (execBtn) execBtn.addEventListener('click', executeCommand);
+    if (execBtn) {
+        execBtn.addEventListener('click', () => {
+            if (abortController) abortController.abort();
+            else executeCommand();
+        });
+    }
+
+    // Message Actions (Edit / Regenerate / Branch Switcher)
+    if (UI.outputStream) {
+        UI.outputStream.addEventListener('click', (e) => {
+            const btn = e.target.closest('.message button[data-action]');
+            if (!btn) return;
+            const id = btn.closest('.message').dataset.id;
+            if (btn.dataset.action === 'copy') return copyMessage(btn, id);
+            if (abortController) return;
+            if (btn.dataset.action === 'edit') editUserMessage(id);
+            if (btn.dataset.action === 'regenerate') regenerateReply();
+            if (btn.dataset.action === 'prev-branch') switchBranch(id, -1);
+            if (btn.dataset.action === 'next-branch') switchBranch(id, 1);
+        });
+    }
+
+    // Attachments: picker, drag & drop onto the chat, chips in the tray and on sent messages
+    if (UI.attachBtn && UI.attachFileInput) {
+        UI.attachFileInput.accept = `${ATTACHMENT_ACCEPT},${MEDIA_ACCEPT}`;
+        UI.attachBtn.addEventListener('click', () => UI.attachFileInput.click());
+        UI.attachFileInput.addEventListener('change', () => {
+            addAttachments(UI.attachFileInput.files);
+            UI.attachFileInput.value = '';
+        });
+    }
+    if (UI.chatInterface) {
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+        UI.chatInterface.addEventListener('dragover', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            UI.chatInterface.classList.add('drag-over');
+        });
+        UI.chatInterface.addEventListener('dragleave', (e) => {
+            if (!UI.chatInterface.contains(e.relatedTarget)) UI.chatInterface.classList.remove('drag-over');
+        });
+        UI.chatInterface.addEventListener('drop', (e) => {
+            UI.chatInterface.classList.remove('drag-over');
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            addAttachments(e.dataTransfer.files);
+        });
+    }
+    if (UI.userInput) {
+        // Pasted screenshots / files go to the tray instead of the text
+        UI.userInput.addEventListener('paste', (e) => {
+            const files = e.clipboardData ? e.clipboardData.files : [];
+            if (files.length === 0) return;
+            e.preventDefault();
+            addAttachments(files);
+        });
+    }
+    if (UI.recordBtn) UI.recordBtn.addEventListener('click', () => toggleRecording());
+    if (UI.attachmentTray) {
+        UI.attachmentTray.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-remove-attachment]');
+            if (!btn) return;
+            UI.releaseMedia([btn.dataset.removeAttachment]);
+            setPendingAttachments(pendingAttachments.filter(p => p.id !== btn.dataset.removeAttachment));
+        });
+    }
+    if (UI.outputStream) {
+        UI.outputStream.addEventListener('click', (e) => {
+            const chip = e.target.closest('.message button[data-attachment]');
+            if (chip) openAttachment(chip.dataset.attachment);
+            const citation = e.target.closest('.message button[data-source]');
+            if (citation) openSource(citation.closest('.message').dataset.id, Number(citation.dataset.source));
+        });
+    }
+
+    // "Jump to latest" appears when a reply streams below the part being read
+    if (UI.jumpLatestBtn) {
+        UI.jumpLatestBtn.addEventListener('click', () => UI.scrollToBottom(true));
+        UI.outputStream.addEventListener('scroll', () => {
+            if (UI.isAtBottom()) UI.showJumpToLatest(false);
+        });
+    }
+
+    // Copy / download buttons of rendered code blocks (chat, drafts, summaries)
+    document.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-code-action]');
+        if (btn) UI.runCodeAction(btn).catch(err => console.warn("Code action failed:", err));
+    });
 
     // Execute Command (Editor/Writer)
     const rewriterBtn = document.getElementById('rewriter-submit-btn');
     if (rewriterBtn) rewriterBtn.addEventListener('click', executeCommand);
 
+    // Execute Command (Summarizer)
+    const summarizerBtn = document.getElementById('summarizer-submit-btn');
+    if (summarizerBtn) summarizerBtn.addEventListener('click', executeCommand);
+
+    // Summarizer Options (per project)
+    [UI.summarizerType, UI.summarizerFormat, UI.summarizerLength].forEach(select => {
+        if (!select) return;
+        select.addEventListener('change', async () => {
+            if (!currentProject) return;
+            currentProject.summarizerOptions = UI.getSummarizerOptions();
+            await persistProject(currentProject);
+        });
+    });
+
+    // Editor & Writer Options (per project)
+    [UI.editorTone, UI.editorFormat, UI.editorLength].forEach(select => {
+        if (!select) return;
+        select.addEventListener('change', async () => {
+            if (!currentProject) return;
+            currentProject.editorOptions = UI.getEditorOptions();
+            await persistProject(currentProject);
+        });
+    });
+
+    [UI.writerTone, UI.writerFormat, UI.writerLength].forEach(select => {
+        if (!select) return;
+        select.addEventListener('change', async () => {
+            if (!currentProject) return;
+            currentProject.writerOptions = UI.getWriterOptions();
+            await persistProject(currentProject);
+            currentSession = null; // Writer options are fixed at session creation
+        });
+    });
+
+    // Writer Workspace
+    const writerBtn = document.getElementById('writer-submit-btn');
+    if (writerBtn) writerBtn.addEventListener('click', executeCommand);
+
+    // Batch panel (Editor / Writer)
+    ['rewriter-batch-btn', 'writer-batch-btn'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', () => openBatch());
+    });
+
+    if (UI.writerPrompt) {
+        UI.writerPrompt.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                executeCommand();
+            }
+        });
+    }
+
+    if (UI.writerContext) {
+        UI.writerContext.addEventListener('change', async () => {
+            if (!currentProject) return;
+            currentProject.writerContext = UI.writerContext.value;
+            await persistProject(currentProject);
+            currentSession = null; // sharedContext is fixed at session creation
+        });
+    }
+
+    if (UI.writerDrafts) {
+        UI.writerDrafts.addEventListener('click', async (e) => {
+            const btn = e.target.closest('button[data-action]');
+            const card = e.target.closest('.draft-card');
+            if (!btn || !card) return;
+            const draft = (currentProject.drafts || []).find(d => d.id === card.dataset.id);
+            if (draft) await handleDraftAction(btn.dataset.action, draft);
+        });
+    }
+
+    const compareCloseBtn = document.getElementById('compare-close-btn');
+    if (compareCloseBtn) {
+        compareCloseBtn.addEventListener('click', () => {
+            compareIds = [];
+            UI.renderDrafts(currentProject.drafts || [], compareIds);
+            UI.renderCompare([]);
+        });
+    }
+
+    // Editor Revisions
+    if (UI.rewriterRevisions) {
+        UI.rewriterRevisions.addEventListener('click', (e) => {
+            const item = e.target.closest('.revision-item');
+            if (item) showRevision(item.dataset.id);
+        });
+    }
+
+    const restoreBtn = document.getElementById('revision-restore-btn');
+    if (restoreBtn) {
+        restoreBtn.addEventListener('click', () => {
+            const rev = (currentProject.revisions || []).find(r => r.id === activeRevisionId);
+            if (!rev) return;
+            UI.rewriterInput.value = rev.output;
+            UI.rewriterInput.focus();
+        });
+    }
+
+    // Proofreader: accept/reject a single correction
+    if (UI.proofreadDiff) {
+        UI.proofreadDiff.addEventListener('click', async (e) => {
+            const btn = e.target.closest('button[data-action]');
+            const item = e.target.closest('.correction');
+            if (!btn || !item || !currentProject.proofread) return;
+
+            const correction = currentProject.proofread.corrections[Number(item.dataset.index)];
+            correction.status = btn.dataset.action === 'accept' ? 'accepted' : 'rejected';
+            await persistProject(currentProject);
+            renderProofread();
+        });
+    }
+
+    const acceptAllBtn = document.getElementById('proofread-accept-all-btn');
+    if (acceptAllBtn) {
+        acceptAllBtn.addEventListener('click', async () => {
+            if (!currentProject.proofread) return;
+            currentProject.proofread.corrections.forEach(c => {
+                if (c.status === 'pending') c.status = 'accepted';
+            });
+            await persistProject(currentProject);
+            renderProofread();
+        });
+    }
+
+    // Back to the textarea, continuing from the text with accepted corrections
+    const proofreadEditBtn = document.getElementById('proofread-edit-btn');
+    if (proofreadEditBtn) {
+        proofreadEditBtn.addEventListener('click', () => {
+            const check = currentProject.proofread;
+            if (check) UI.rewriterInput.value = applyCorrections(check.input, check.corrections);
+            UI.showProofreadDiff(false);
+            UI.rewriterInput.focus();
+        });
+    }
+
     // Help Toggle
     const helpBtn = document.getElementById('help-toggle');
     if (helpBtn) helpBtn.addEventListener('click', () => UI.showHelpModal());
@@ -273,6 +850,7 @@ function setupEventListeners() {
     const userInput = document.getElementById('user-input');
     if (userInput) {
         userInput.addEventListener('keydown', (e) => {
+            if (handleSlashKey(e)) return;
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 executeCommand();
@@ -292,87 +870,510 @@ function setupEventListeners() {
         });
     }
 
-    // Settings Global
-    const settingsBtn = document.getElementById('settings-toggle');
-    if (settingsBtn) {
-        settingsBtn.addEventListener('click', async () => {
-            const currentSys = await storage.getSetting('defaultSystemPrompt') || "You are a helpful AI assistant.";
-            UI.showSettingsModal(currentSys, async (newVal) => {
-                await storage.saveSetting('defaultSystemPrompt', newVal);
+    // Folders (collapse, rename, delete)
+    if (projList) {
+        projList.addEventListener('click', async (e) => {
+            const header = e.target.closest('.folder-header');
+            if (!header) return;
+            const folderId = header.closest('.project-folder').dataset.folderId;
+            const dict = locales[UI.langSelector.value] || locales['en'];
+
+            if (e.target.closest('.rename-folder-btn')) {
+                const folders = await storage.getSetting('projectFolders') || [];
+                const folder = folders.find(f => f.id === folderId);
+                UI.showInputModal(dict.rename_folder || "Rename Folder", (name) => saveFolders(list => {
+                    list.find(f => f.id === folderId).name = name;
+                    return list;
+                }), folder ? folder.name : '');
+                return;
+            }
+
+            if (e.target.closest('.delete-folder-btn')) {
+                if (!confirm(dict.delete_folder_confirm || "Delete this folder? Its chats move to the top level.")) return;
+                for (const p of await storage.getAllProjects()) {
+                    if (p.folderId === folderId) await updateProject(p.id, proj => { proj.folderId = null; });
+                }
+                await saveFolders(list => list.filter(f => f.id !== folderId));
+                return;
+            }
+
+            await saveFolders(list => {
+                const folder = list.find(f => f.id === folderId);
+                if (folder) folder.collapsed = !folder.collapsed;
+                return list;
             });
         });
-    }
-}
 
-async function executeCommand() {
-    if (!currentProject) await refreshProjects();
-
-    const mode = currentProject.apiMode;
+        // Drag & Drop: reorder, move between folders, drop on a folder header to file it there
+        projList.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.project-item');
+            if (!item) return;
+            e.dataTransfer.setData('text/plain', item.dataset.id);
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+        projList.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            UI.showDropIndicator(UI.getDropTarget(e));
+        });
+        projList.addEventListener('dragleave', (e) => {
+            if (!projList.contains(e.relatedTarget)) UI.clearDropIndicator();
+        });
+        projList.addEventListener('dragend', (e) => {
+            UI.clearDropIndicator();
+            const item = e.target.closest('.project-item');
+            if (item) item.classList.remove('dragging');
+        });
+        projList.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            UI.clearDropIndicator();
+            const id = e.dataTransfer.getData('text/plain');
+            const target = UI.getDropTarget(e);
+            if (id && target.beforeId !== id) await moveProject(id, target);
+        });
+    }
 
-    if (mode === 'rewriter') {
-        const input = UI.rewriterInput.value;
-        if (!input) return;
+    const sortSelect = document.getElementById('project-sort');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', async (e) => {
+            await storage.saveSetting('projectSort', e.target.value);
+            await refreshProjects();
+        });
+    }
 
-        // Get options from UI
-        const toneSelect = document.getElementById('editor-tone');
-        const lenSelect = document.getElementById('editor-length');
-        const tone = toneSelect ? toneSelect.value : 'more-formal';
-        const length = lenSelect ? lenSelect.value : 'as-is';
+    const newFolderBtn = document.getElementById('new-folder-btn');
+    if (newFolderBtn) {
+        newFolderBtn.addEventListener('click', () => {
+            const dict = locales[UI.langSelector.value] || locales['en'];
+            UI.showInputModal(dict.new_folder_prompt || "Folder Name", (name) => saveFolders(list => [
+                ...list,
+                { id: UUID(), name, collapsed: false }
+            ]));
+        });
+    }
 
-        UI.rewriterOutput.innerHTML = '<div class="spinner"></div>';
-        try {
-            // Always create fresh session for rewriter to apply new options
-            if (currentSession) {
-                try { currentSession.destroy(); } catch (e) { }
-                currentSession = null;
+    // Search
+    if (UI.projectSearch) {
+        UI.projectSearch.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => runSearch(UI.projectSearch.value), 200);
+        });
+        UI.projectSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                UI.projectSearch.value = '';
+                runSearch('');
             }
+        });
+    }
+    if (UI.searchResults) {
+        UI.searchResults.addEventListener('click', (e) => {
+            const hit = e.target.closest('.search-hit');
+            if (hit) openSearchHit(hit.dataset.projectId, hit.dataset.ref);
+        });
+    }
 
-            currentSession = await aiSwitchboard.createSession({
-                tone: tone,
-                length: length,
-                monitor: monitorDownload
-            });
+    // Backup & Restore
+    const backupBtn = document.getElementById('backup-toggle');
+    if (backupBtn) backupBtn.addEventListener('click', () => UI.showBackupModal(exportBackup, importBackup));
 
-            const result = await currentSession.rewrite(input);
-            UI.rewriterOutput.textContent = result;
-        } catch (e) {
-            monitorError(e);
-            UI.rewriterOutput.textContent = "Error: " + e.message;
-        }
-        return;
-    }
+    // Templates: library modal, and the "/" picker in each mode's input
+    const templatesBtn = document.getElementById('templates-toggle');
+    if (templatesBtn) templatesBtn.addEventListener('click', () => openTemplates());
+    if (UI.knowledgeBtn) UI.knowledgeBtn.addEventListener('click', () => openKnowledge());
+    if (UI.structuredBatchBtn) UI.structuredBatchBtn.addEventListener('click', () => openStructuredBatch());
 
-    const input = UI.userInput.value.trim();
-    if (!input) return;
+    Object.entries(TEMPLATE_INPUTS).forEach(([mode, name]) => {
+        const input = UI[name];
+        if (!input) return;
+        input.addEventListener('input', () => updateSlashPicker(input, mode));
+        input.addEventListener('blur', () => closeSlashPicker());
+        if (input !== UI.userInput) input.addEventListener('keydown', handleSlashKey);
+    });
 
-    UI.userInput.value = '';
-    UI.appendUserMessage(input);
+    // Settings Global
+    const settingsBtn = document.getElementById('settings-toggle');
+    if (settingsBtn) settingsBtn.addEventListener('click', () => openGlobalSettings());
 
-    currentProject.history.push({ role: 'user', content: input });
-    await storage.saveProject(currentProject);
+    // Passphrase Lock
+    const passphraseBtn = document.getElementById('passphrase-btn');
+    if (passphraseBtn) {
+        passphraseBtn.addEventListener('click', () => openPassphraseDialog(storage.isEncrypted() ? 'change' : 'set'));
+    }
+    const passphraseRemoveBtn = document.getElementById('passphrase-remove-btn');
+    if (passphraseRemoveBtn) passphraseRemoveBtn.addEventListener('click', () => openPassphraseDialog('remove'));
+
+    const autoLockSelect = document.getElementById('autolock-select');
+    if (autoLockSelect) {
+        autoLockSelect.addEventListener('change', async (e) => {
+            autoLockMinutes = Number(e.target.value);
+            await storage.saveSetting('autoLockMinutes', autoLockMinutes);
+            resetAutoLock();
+        });
+    }
 
-    await runGenerativeLoop(input);
+    // Any interaction counts as activity for the auto-lock
+    ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+        document.addEventListener(type, resetAutoLock, { passive: true });
+    });
 }
 
-async function runGenerativeLoop(input) {
-    const responseContainer = UI.createModelMessageContainer();
-    let fullResponse = "";
+async function runSearch(query) {
+    const seq = ++searchSeq;
+    if (!query.trim()) return UI.renderSearchResults(null);
 
     try {
-        if (!currentSession) {
-            currentSession = await aiSwitchboard.createSession({
-                systemPrompt: currentProject.systemPrompt,
-                monitor: monitorDownload
-            });
+        const { terms, results } = await storage.searchProjects(query);
+        const hits = [];
+        for (const { projectId, refs } of results) {
+            const project = await storage.getProject(projectId);
+            if (!project) continue;
+            refs.forEach(ref => hits.push({
+                projectId,
+                ref,
+                projectName: project.name,
+                apiMode: project.apiMode,
+                snippet: search.snippet(search.findText(project, ref), terms)
+            }));
         }
+        if (seq === searchSeq) UI.renderSearchResults(hits.slice(0, MAX_SEARCH_HITS));
+    } catch (e) {
+        console.error("Search failed:", e);
+    }
+}
 
-        const stream = currentSession.promptStreaming(input);
-        UI.showThinking();
+async function openSearchHit(projectId, ref) {
+    const messageId = ref.startsWith('node:') ? ref.slice(5) : null;
 
-        let isFirst = true;
+    // A hit on another branch of the conversation switches to that branch
+    if (messageId) {
+        const project = await storage.getProject(projectId);
+        if (project && project.history.nodes[messageId] && chatTree.activate(project.history, messageId)) {
+            await storage.saveProject(project, { touch: false });
+        }
+    }
 
-        for await (const chunk of stream) {
-            if (isFirst) {
+    await loadProject(projectId);
+    await refreshProjects();
+    if (messageId) UI.revealMessage(messageId);
+}
+
+function openPassphraseDialog(mode) {
+    UI.showPassphraseModal(mode, async ({ current, next }) => {
+        await storage.setPassphrase(current, mode === 'remove' ? '' : next);
+        UI.setSecurityStatus(storage.isEncrypted(), autoLockMinutes);
+        resetAutoLock();
+    });
+}
+
+function resetAutoLock() {
+    clearTimeout(autoLockTimer);
+    if (!storage.isEncrypted() || storage.isLocked() || !autoLockMinutes) return;
+    autoLockTimer = setTimeout(lockApp, autoLockMinutes * 60 * 1000);
+}
+
+// Forgets the key and reloads, which also drops every decrypted project from memory and the DOM
+function lockApp() {
+    // A reply that is still streaming or a running batch counts as activity; the reload would cut it off
+    if (isGenerating()) return resetAutoLock();
+    storage.lock();
+    window.location.reload();
+}
+
+// Per-project settings: system prompt and sampling for chat, the toolbar options for other modes
+async function openProjectSettings(id) {
+    const project = currentProject && currentProject.id === id ? currentProject : await storage.getProject(id);
+    if (!project) return;
+    const params = await aiSwitchboard.getModelParams(project.backend || defaultBackend);
+    const optionsKey = MODE_OPTION_KEYS[project.apiMode];
+
+    UI.showProjectSettingsModal(project, params, optionsKey ? project[optionsKey] : null, async ({ systemPrompt, modelParams, responseSchema, options }) => {
+        await updateProject(id, p => {
+            if ((p.apiMode || 'prompt') === 'prompt') {
+                p.systemPrompt = systemPrompt;
+                p.modelParams = modelParams;
+                p.responseSchema = responseSchema;
+            }
+            if (optionsKey) p[optionsKey] = options;
+        }, { touch: true });
+        if (currentProject && currentProject.id === id) await applyProjectSettings();
+    });
+}
+
+// Brings the open project's toolbar and AI session in line with its saved settings
+async function applyProjectSettings() {
+    const mode = currentProject.apiMode;
+    if (MODE_OPTION_KEYS[mode]) UI.setModeOptions(mode, currentProject[MODE_OPTION_KEYS[mode]]);
+    UI.setStructured(mode === 'prompt' && !!currentProject.responseSchema);
+    await rebuildSession();
+}
+
+// Drops the session; for chat a new one is started at once, so the next message does not wait for it
+async function rebuildSession() {
+    const previous = currentSession;
+    currentSession = null;
+    // A streaming reply keeps using its session; the next message creates a fresh one
+    if (abortController) return;
+    if (previous && previous.destroy) {
+        try { previous.destroy(); } catch (e) { }
+    }
+    if (currentProject.apiMode !== 'prompt') return;
+
+    const project = currentProject;
+    try {
+        const session = await createChatSession(project, chatTree.activePath(project.history),
+            (info) => UI.showContextNotice(null, info));
+        // A message sent meanwhile built its own session
+        if (currentSession || abortController || project !== currentProject) session.destroy();
+        else currentSession = session;
+    } catch (e) {
+        console.warn("Could not rebuild the session:", e); // The next message retries and reports it
+    }
+}
+
+async function openTemplates() {
+    const dict = locales[UI.langSelector.value] || locales['en'];
+    const mode = currentProject ? currentProject.apiMode : null;
+    const refresh = async () => UI.renderTemplates(await storage.getAllTemplates(), mode);
+    const edit = (template, save) => UI.showTemplateForm(template, async (fields) => {
+        if (!fields.name || !fields.text.trim()) return;
+        await storage.saveTemplate(save(fields));
+        UI.showTemplateLibrary();
+        await refresh();
+    });
+
+    UI.showTemplatesModal({
+        onAction: async (action, id) => {
+            const template = (await storage.getAllTemplates()).find(t => t.id === id);
+            if (!template) return;
+            if (action === 'use') {
+                useTemplate(template);
+            } else if (action === 'edit') {
+                edit(template, fields => ({ ...template, ...fields }));
+            } else if (action === 'delete' && confirm(dict.template_delete_confirm || "Delete this template?")) {
+                await storage.deleteTemplate(id);
+                await refresh();
+            }
+        },
+        onNew: () => edit({ mode: TEMPLATE_INPUTS[mode] ? mode : 'prompt' }, fields => templates.create(fields)),
+        // Templates with the same id are replaced, so re-importing an updated pack updates them
+        onImport: async (file) => {
+            try {
+                const list = templates.parsePack(await file.text());
+                for (const template of list) await storage.saveTemplate(template);
+                UI.setTemplatesStatus((dict.templates_imported || 'Imported {count} templates.').replace('{count}', list.length));
+                await refresh();
+            } catch (e) {
+                console.error(e);
+                const messages = {
+                    TEMPLATES_INVALID: dict.templates_invalid || 'This file is not a PrivacyAI template pack.',
+                    TEMPLATES_TOO_NEW: dict.templates_too_new || 'This pack was made by a newer version of PrivacyAI.'
+                };
+                UI.setTemplatesStatus(messages[e.message] || "Error: " + e.message);
+            }
+        },
+        onExport: async () => {
+            const pack = templates.exportPack(await storage.getAllTemplates());
+            UI.downloadFile('privacyai-templates.json', JSON.stringify(pack, null, 2), 'application/json');
+        }
+    });
+    await refresh();
+}
+
+// Puts a template into its mode's input, asking for the {{variables}} first
+function useTemplate(template) {
+    const input = UI[TEMPLATE_INPUTS[template.mode]];
+    const insert = (text) => {
+        input.value = text;
+        input.focus();
+        input.setSelectionRange(text.length, text.length);
+    };
+
+    const variables = templates.variables(template.text);
+    if (variables.length === 0) insert(template.text);
+    else UI.showTemplateFillModal(template.name, variables, values => insert(templates.fill(template.text, values)));
+}
+
+// The picker opens while the whole input is "/query", for templates of the open project's mode
+async function updateSlashPicker(input, mode) {
+    const match = input.value.match(/^\/(\S*)$/);
+    if (!match || !currentProject || currentProject.apiMode !== mode) {
+        closeSlashPicker();
+        return;
+    }
+    const items = templates.match(await storage.getAllTemplates(), mode, match[1]);
+    slashPicker = { input, items, index: 0 };
+    UI.showSlashPicker(input, items, 0, chooseTemplate);
+}
+
+function closeSlashPicker() {
+    slashPicker = null;
+    UI.hideSlashPicker();
+}
+
+function chooseTemplate(template) {
+    closeSlashPicker();
+    useTemplate(template);
+}
+
+// Arrow keys, Enter/Tab and Escape belong to the picker while it is open; returns true if handled
+function handleSlashKey(e) {
+    if (!slashPicker) return false;
+    const { input, items } = slashPicker;
+
+    if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && items.length > 0) {
+        slashPicker.index = (slashPicker.index + (e.key === 'ArrowDown' ? 1 : -1) + items.length) % items.length;
+        UI.showSlashPicker(input, items, slashPicker.index, chooseTemplate);
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && items.length > 0) {
+        chooseTemplate(items[slashPicker.index]);
+    } else if (e.key === 'Escape') {
+        closeSlashPicker();
+    } else {
+        return false;
+    }
+    e.preventDefault();
+    return true;
+}
+
+async function exportBackup() {
+    const data = await backup.exportAll();
+    const date = new Date().toISOString().slice(0, 10);
+    UI.downloadFile(`privacyai-backup-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+async function importBackup(file, strategy) {
+    const dict = locales[UI.langSelector.value] || locales['en'];
+    try {
+        const data = backup.parse(await file.text());
+        const stats = await backup.importAll(data, strategy, dict.backup_copy_suffix || ' (copy)');
+        UI.setBackupStatus((dict.backup_done || 'Imported {count} projects.')
+            .replace('{count}', stats.added + stats.merged + stats.duplicated + stats.overwritten));
+
+        // The open project may have been merged or replaced
+        if (currentProject) await loadProject(currentProject.id);
+        await refreshProjects();
+    } catch (e) {
+        console.error(e);
+        const messages = {
+            BACKUP_INVALID: dict.backup_invalid || 'This file is not a PrivacyAI backup.',
+            BACKUP_TOO_NEW: dict.backup_too_new || 'This backup was made by a newer version of PrivacyAI.'
+        };
+        UI.setBackupStatus(messages[e.message] || "Error: " + e.message);
+    }
+}
+
+function exportProject(project, format) {
+    if (format === 'markdown') {
+        UI.downloadFile(backup.fileName(project.name, 'md'), backup.toMarkdown(project), 'text/markdown');
+    } else if (format === 'html') {
+        UI.downloadFile(backup.fileName(project.name, 'html'), backup.toHTML(project), 'text/html');
+    } else {
+        UI.downloadFile(backup.fileName(project.name, 'json'), JSON.stringify(backup.exportProject(project), null, 2), 'application/json');
+    }
+}
+
+async function openGlobalSettings() {
+    const currentSys = await storage.getSetting('defaultSystemPrompt') || "You are a helpful AI assistant.";
+    UI.showSettingsModal(currentSys, async (newVal, localBackend) => {
+        await storage.saveSetting('defaultSystemPrompt', newVal);
+        await storage.saveSetting('localEndpointUrl', localBackend.url);
+        await storage.saveSetting('localEndpointModel', localBackend.model);
+        aiSwitchboard.configureLocalBackend(localBackend);
+        currentSession = null;
+
+        // Landing screen was waiting for a backend: check again with the new endpoint
+        if (!appReady) window.location.reload();
+    }, await getLocalBackendConfig());
+    UI.setSecurityStatus(storage.isEncrypted(), autoLockMinutes);
+}
+
+async function executeCommand() {
+    if (!currentProject) await refreshProjects();
+
+    const mode = currentProject.apiMode;
+
+    const run = { rewriter: runRewriter, writer: runWriter, summarizer: runSummarizer, proofreader: runProofreader }[mode];
+    if (run) {
+        runningTasks++;
+        try {
+            await run();
+        } finally {
+            runningTasks--;
+            applyPendingReload();
+        }
+        return;
+    }
+
+    if (abortController) return;
+    const input = UI.userInput.value.trim();
+    const ready = pendingAttachments.filter(p => p.status === 'ready');
+    // An image or a clip can be the whole question
+    if (!input && !ready.some(p => p.kind)) return;
+    // Wait until every picked file has been read
+    if (pendingAttachments.some(p => p.status === 'reading')) return;
+
+    const message = { role: 'user', content: input };
+    if (ready.length > 0) {
+        const files = ready.map(p => ({ ...attachments.create(p.file, currentProject.id, p.text || ''), id: p.id }));
+        try {
+            for (const file of files) await storage.saveAttachment(file);
+        } catch (e) {
+            console.error("Could not store attachments:", e);
+            const dict = locales[UI.langSelector.value] || locales['en'];
+            alert(dict.attach_save_failed || "The attached files could not be saved (the browser's storage may be full).");
+            return;
+        }
+        const described = files.map((file, i) => ready[i].kind ? media.describe(file, ready[i].kind) : attachments.describe(file));
+        const documents = described.filter(file => !file.kind);
+        const clips = described.filter(file => file.kind);
+        if (documents.length > 0) message.attachments = documents;
+        if (clips.length > 0) message.media = clips;
+    }
+    setPendingAttachments([]);
+
+    UI.userInput.value = '';
+    const tree = currentProject.history;
+    const leaf = chatTree.activePath(tree).pop();
+    const node = chatTree.append(tree, leaf ? leaf.id : null, message);
+    UI.appendUserMessage(messageView(node));
+    await persistProject(currentProject);
+
+    await runGenerativeLoop(node);
+}
+
+// Streams a reply to userNode; the reply becomes a new child branch of it
+async function runGenerativeLoop(userNode) {
+    const project = currentProject;
+    const input = userNode.content;
+    const responseContainer = UI.createModelMessageContainer();
+    const renderer = UI.createStreamRenderer(responseContainer);
+    let fullResponse = "";
+    let sources = [];
+
+    abortController = new AbortController();
+    const signal = abortController.signal;
+    UI.setGenerating(true);
+
+    try {
+        if (!currentSession) {
+            // The branch leading up to the message being sent now
+            currentSession = await createChatSession(project, chatTree.pathTo(project.history, userNode.parentId),
+                (info) => UI.showContextNotice(responseContainer, info));
+        }
+
+        const retrieved = await withKnowledge(project, userNode.content);
+        sources = retrieved.sources;
+        const prompt = await withMedia(userNode, await withAttachments(userNode, retrieved.prompt, responseContainer));
+        // Structured projects constrain the reply to their schema; it streams as a JSON code block
+        const responseConstraint = project.responseSchema;
+        const stream = currentSession.promptStreaming(prompt, responseConstraint ? { signal, responseConstraint } : { signal });
+        UI.showThinking();
+
+        let isFirst = true;
+
+        for await (const chunk of stream) {
+            if (signal.aborted) break;
+            if (isFirst) {
                 UI.hideThinking();
                 fullResponse = chunk;
                 isFirst = false;
@@ -383,40 +1384,778 @@ async function runGenerativeLoop(input) {
                     fullResponse += chunk;
                 }
             }
-            UI.updateMessageContent(responseContainer, fullResponse);
+            renderer.update(responseConstraint ? `\`\`\`json\n${fullResponse}\n\`\`\`` : fullResponse);
         }
 
-        currentProject.history.push({ role: 'model', content: fullResponse });
-        await storage.saveProject(currentProject);
+        await saveModelReply(project, userNode, responseContainer, fullResponse, signal.aborted, sources);
 
         // Lock Selector immediately if not already locked
         if (UI.apiSelector) UI.apiSelector.disabled = true;
 
         // Auto-Rename Feature
-        // Rename if this is the first exchange (History length 2: User+Model)
-        if (currentProject.history.length === 2) {
-            // Only auto-rename if the name is still generic
-            const lang = UI.langSelector ? UI.langSelector.value : 'en';
-            const dict = locales[lang] || locales['en'];
-            const genericNames = ["New Chat", "Naujas Pokalbis", "+ New Chat", dict.new_chat.replace("+ ", "")];
-
-            if (genericNames.includes(currentProject.name) || currentProject.name.startsWith("New Chat")) {
-                let newName = input.substring(0, 30);
-                if (input.length > 30) newName += "...";
-
-                currentProject.name = newName;
-                await storage.saveProject(currentProject);
-                UI.renderProjects(await storage.getAllProjects(), currentProject.id);
+        // Rename if this is the first exchange (one user message and its reply)
+        if (chatTree.size(project.history) === 2 && input) await autoRenameProject(input);
+
+    } catch (e) {
+        UI.hideThinking();
+        if (signal.aborted) {
+            await saveModelReply(project, userNode, responseContainer, fullResponse, true, sources);
+        } else {
+            monitorError(e);
+            responseContainer.textContent += `\n[Error]: ${e.message}`;
+        }
+    } finally {
+        abortController = null;
+        UI.setGenerating(false);
+        applyPendingReload();
+    }
+}
+
+// The best passages of the project's knowledge base in front of the question: { prompt, sources }
+async function withKnowledge(project, message) {
+    if (!project.knowledge || project.knowledge.length === 0) return { prompt: message, sources: [] };
+    const hits = await storage.queryKnowledge(project, message, TOP_K);
+
+    const docs = new Map();
+    const passages = [];
+    for (const hit of hits) {
+        if (!docs.has(hit.docId)) {
+            const file = await storage.getAttachment(hit.docId);
+            docs.set(hit.docId, file && knowledge.passages(file.text));
+        }
+        const text = docs.get(hit.docId) && docs.get(hit.docId)[hit.passage];
+        const doc = project.knowledge.find(d => d.id === hit.docId);
+        if (text && doc) passages.push({ ...hit, name: doc.name, text });
+    }
+    return await knowledge.buildPrompt(currentSession, message, passages);
+}
+
+// The message text, preceded by as much of its attached documents as the session can take
+async function withAttachments(userNode, message, beforeEl) {
+    if (!userNode.attachments || userNode.attachments.length === 0) return message;
+    const files = (await Promise.all(userNode.attachments.map(a => storage.getAttachment(a.id)))).filter(Boolean);
+    const { prompt, included, total } = await attachments.buildPrompt(currentSession, message, files);
+    if (included < total) UI.showAttachmentNotice(beforeEl, { included, total });
+    return prompt;
+}
+
+// Images / clips the model accepts turn the prompt into a multimodal message
+async function withMedia(userNode, prompt) {
+    if (!userNode.media || userNode.media.length === 0) return prompt;
+    const items = [];
+    for (const item of userNode.media.filter(m => mediaSupport[m.kind])) {
+        const file = await storage.getAttachment(item.id);
+        if (file) items.push({ kind: item.kind, blob: file.blob });
+    }
+    return items.length > 0 ? media.prompt(prompt, items) : prompt;
+}
+
+function setPendingAttachments(list) {
+    pendingAttachments = list;
+    UI.renderAttachmentTray(pendingAttachments);
+}
+
+// Files are read right away, so problems show on the chip before anything is sent
+function addAttachments(fileList) {
+    if (!currentProject || currentProject.apiMode !== 'prompt') return;
+    Array.from(fileList).forEach(file => {
+        const kind = media.kind(file);
+        if (kind) {
+            addMedia(file, kind);
+            return;
+        }
+        const entry = { id: UUID(), file, name: file.name, size: file.size, status: 'reading' };
+        setPendingAttachments([...pendingAttachments, entry]);
+
+        attachments.extract(file).then(text => {
+            entry.status = 'ready';
+            entry.text = text;
+        }, e => {
+            entry.status = 'error';
+            entry.error = e.message;
+        }).then(() => {
+            // Still pending (not removed or sent in the meantime)
+            if (pendingAttachments.includes(entry)) setPendingAttachments([...pendingAttachments]);
+        });
+    });
+}
+
+// Media need no reading; a model without image / audio input gets an error chip instead
+function addMedia(file, kind) {
+    const entry = { id: UUID(), file, name: file.name, size: file.size, kind, status: 'ready' };
+    if (!mediaSupport[kind]) {
+        entry.status = 'error';
+        entry.error = kind === 'image' ? 'MEDIA_IMAGE_UNSUPPORTED' : 'MEDIA_AUDIO_UNSUPPORTED';
+    } else if (file.size > MAX_MEDIA_SIZE) {
+        entry.status = 'error';
+        entry.error = 'ATTACHMENT_TOO_LARGE';
+    } else {
+        UI.showMedia(entry.id, file);
+    }
+    setPendingAttachments([...pendingAttachments, entry]);
+}
+
+async function toggleRecording() {
+    const dict = locales[UI.langSelector.value] || locales['en'];
+    if (recorder) {
+        const active = recorder;
+        recorder = null;
+        UI.setRecording(false);
+        addMedia(await active.stop(), 'audio');
+        return;
+    }
+    if (!currentProject || currentProject.apiMode !== 'prompt') return;
+    if (!mediaSupport.audio) {
+        alert(dict.media_audio_unavailable || "The current model does not accept audio. Audio input needs Chrome's built-in model with multimodal input enabled.");
+        return;
+    }
+    try {
+        recorder = await media.record();
+        UI.setRecording(true);
+    } catch (e) {
+        const messages = {
+            MEDIA_MIC_DENIED: dict.media_mic_denied || "Microphone access was denied.",
+            MEDIA_RECORDING_UNSUPPORTED: dict.media_recording_unsupported || "This browser cannot record audio."
+        };
+        alert(messages[e.message] || "Error: " + e.message);
+    }
+}
+
+function cancelRecording() {
+    if (!recorder) return;
+    recorder.cancel();
+    recorder = null;
+    UI.setRecording(false);
+}
+
+// Thumbnails and players of the rendered messages get their files from the attachments store
+async function loadMedia() {
+    for (const id of UI.missingMedia()) {
+        const file = await storage.getAttachment(id);
+        if (file) UI.showMedia(id, file.blob);
+    }
+}
+
+async function openAttachment(id) {
+    const file = await storage.getAttachment(id);
+    if (!file) {
+        const dict = locales[UI.langSelector.value] || locales['en'];
+        alert(dict.attach_missing || "This file is not stored on this device.");
+        return;
+    }
+    UI.downloadFile(file.name, file.blob, file.type);
+}
+
+// Documents are indexed once when added; the original file is kept for the "jump to source" view
+async function openKnowledge() {
+    if (!currentProject) return;
+    const project = currentProject;
+    const dict = locales[UI.langSelector.value] || locales['en'];
+    const refresh = () => UI.renderKnowledge(project.knowledge || []);
+
+    UI.showKnowledgeModal({
+        onAdd: async (files) => {
+            for (const file of files) {
+                UI.setKnowledgeStatus((dict.knowledge_adding || 'Indexing {name}…').replace('{name}', file.name));
+                try {
+                    const record = attachments.create(file, project.id, await attachments.extract(file));
+                    await storage.saveAttachment(record);
+                    const { passages, length } = await storage.addKnowledge(project.id, record.id, record.text);
+                    const { id, name, type, size } = record;
+                    project.knowledge = [...(project.knowledge || []), { id, name, type, size, passages, length, addedAt: Date.now() }];
+                    await persistProject(project);
+                    refresh();
+                } catch (e) {
+                    console.error(e);
+                    UI.setKnowledgeStatus(`${file.name}: ${e.message.startsWith('ATTACHMENT_') ? UI.attachmentError(e.message) : e.message}`);
+                    return;
+                }
+            }
+            UI.setKnowledgeStatus((dict.knowledge_added || 'Added {count} documents.').replace('{count}', files.length));
+        },
+        onRemove: async (id) => {
+            if (!confirm(dict.knowledge_remove_confirm || "Remove this document from the knowledge base?")) return;
+            await storage.removeKnowledge(project.id, id);
+            await storage.deleteAttachment(id);
+            project.knowledge = (project.knowledge || []).filter(d => d.id !== id);
+            await persistProject(project);
+            refresh();
+        }
+    });
+    refresh();
+}
+
+// One schema over many inputs; the last run is kept on the project
+function openStructuredBatch() {
+    if (!currentProject || !currentProject.responseSchema) return;
+    const project = currentProject;
+    const items = () => (project.structuredBatch && project.structuredBatch.items) || [];
+
+    UI.showStructuredBatchModal(items(), {
+        onRun: (text, separator) => runStructuredBatch(project, text, separator),
+        onStop: () => { if (structuredBatch) structuredBatch.abort(); },
+        onExport: (format) => {
+            if (items().length === 0) return;
+            if (format === 'json') {
+                const results = items().map(({ input, value, errors, error }) => ({ input, value, errors, error }));
+                UI.downloadFile(backup.fileName(project.name, 'json'), JSON.stringify(results, null, 2), 'application/json');
+            } else {
+                const records = items().map(item => ({
+                    input: item.input,
+                    ...(item.value === undefined ? {} : csv.flatten(item.value)),
+                    problems: item.error || (item.errors || []).map(e => `${e.path} ${e.message}`).join('; ')
+                }));
+                UI.downloadFile(backup.fileName(project.name, 'csv'), csv.fromRecords(records), 'text/csv');
             }
         }
+    });
+}
+
+// Each input gets a fresh session (a clone where the browser supports it), so items do not see each other
+async function runStructuredBatch(project, text, separator) {
+    if (structuredBatch) return;
+    const dict = locales[UI.langSelector.value] || locales['en'];
+    const inputs = batch.split(text, separator);
+    if (inputs.length === 0) return;
+
+    structuredBatch = new AbortController();
+    const { signal } = structuredBatch;
+    const items = [];
+    UI.setStructuredBatchRunning(true);
+    UI.renderStructuredBatch(items);
 
+    let base = null;
+    try {
+        base = await createChatSession(project, []);
+        for (const input of inputs) {
+            if (signal.aborted) break;
+            UI.setStructuredBatchStatus((dict.batch_progress || 'Processing {done} of {total}…')
+                .replace('{done}', items.length + 1).replace('{total}', inputs.length));
+
+            const item = { input };
+            const session = base.clone ? await base.clone() : await createChatSession(project, []);
+            try {
+                const output = await session.prompt(input, { signal, responseConstraint: project.responseSchema });
+                Object.assign(item, schema.check(output, project.responseSchema));
+            } catch (e) {
+                if (signal.aborted) break;
+                item.error = e.message;
+            } finally {
+                session.destroy();
+            }
+            items.push(item);
+            UI.renderStructuredBatch(items);
+        }
+        UI.setStructuredBatchStatus((dict.batch_done || 'Processed {done} of {total}.')
+            .replace('{done}', items.length).replace('{total}', inputs.length));
+    } catch (e) {
+        monitorError(e);
+        UI.setStructuredBatchStatus("Error: " + e.message);
+    } finally {
+        if (base) base.destroy();
+        structuredBatch = null;
+        UI.setStructuredBatchRunning(false);
+        if (items.length > 0) {
+            project.structuredBatch = { items, ranAt: Date.now() };
+            await persistProject(project);
+        }
+        applyPendingReload();
+    }
+}
+
+// Shows the document a citation points to, scrolled to the passage the model was given
+async function openSource(messageId, n) {
+    const node = currentProject && currentProject.history.nodes[messageId];
+    const source = node && (node.sources || []).find(s => s.n === n);
+    if (!source) return;
+    const file = await storage.getAttachment(source.docId);
+    if (!file) {
+        const dict = locales[UI.langSelector.value] || locales['en'];
+        alert(dict.knowledge_missing || "This document is no longer in the knowledge base.");
+        return;
+    }
+    UI.showSourceModal(source.name, knowledge.passages(file.text), source.passage);
+}
+
+function createChatSession(project, history, onContextRestored) {
+    const params = project.modelParams || {};
+    return aiSwitchboard.createSession({
+        systemPrompt: project.systemPrompt,
+        media: Object.keys(mediaSupport).filter(kind => mediaSupport[kind]),
+        temperature: params.temperature,
+        topK: params.topK,
+        monitor: monitorDownload,
+        history,
+        onContextRestored
+    });
+}
+
+async function saveModelReply(project, userNode, container, content, stopped, sources = []) {
+    UI.hideThinking();
+    const reply = { role: 'model', content };
+    if (sources.length > 0) reply.sources = sources;
+    // A cut-off reply is incomplete JSON; only finished ones are checked against the schema
+    if (project.responseSchema && !stopped) reply.structured = { errors: schema.check(content, project.responseSchema).errors };
+    if (stopped) {
+        reply.stopped = true;
+        // The session never saw the cut-off answer; rebuild it from the saved history next turn
+        currentSession = null;
+    }
+    const node = chatTree.append(project.history, userNode.id, reply);
+    await persistProject(project);
+    // Skip the UI if the user has already switched to another project
+    if (container.isConnected) UI.finishModelMessage(container, messageView(node, project.history));
+}
+
+// What the UI needs to draw a message, including its "< 2/3 >" position among siblings
+function messageView(node, tree = currentProject.history) {
+    return {
+        id: node.id,
+        role: node.role,
+        content: node.content,
+        stopped: node.stopped,
+        attachments: node.attachments,
+        media: node.media,
+        sources: node.sources,
+        structured: node.structured,
+        branch: chatTree.branchInfo(tree, node.id)
+    };
+}
+
+function renderConversation(path = chatTree.activePath(currentProject.history)) {
+    UI.renderChatHistory(path.map(node => messageView(node)));
+    loadMedia().catch(e => console.warn("Could not load media:", e));
+}
+
+// Adds a sibling reply to the last answer; the previous one stays reachable through the switcher
+async function regenerateReply() {
+    const tree = currentProject.history;
+    const last = chatTree.activePath(tree).pop();
+    if (!last || last.role !== 'model') return;
+
+    const userNode = tree.nodes[last.parentId];
+    currentSession = null;
+    renderConversation(chatTree.pathTo(tree, userNode.id));
+    await runGenerativeLoop(userNode);
+}
+
+// An edited message becomes a sibling of the original, starting a new branch from that point
+function editUserMessage(id) {
+    const tree = currentProject.history;
+    const msg = tree.nodes[id];
+    if (!msg || msg.role !== 'user') return;
+
+    UI.startMessageEdit(messageView(msg), async (text) => {
+        const edited = { role: 'user', content: text };
+        if (msg.attachments) edited.attachments = msg.attachments; // The documents stay with the question
+        if (msg.media) edited.media = msg.media;
+        const node = chatTree.append(tree, msg.parentId, edited);
+        await persistProject(currentProject);
+
+        currentSession = null;
+        renderConversation(chatTree.pathTo(tree, node.id));
+        await runGenerativeLoop(node);
+    });
+}
+
+async function switchBranch(id, delta) {
+    const tree = currentProject.history;
+    if (!tree.nodes[id]) return;
+    chatTree.switchBranch(tree, id, delta);
+    await persistProject(currentProject);
+
+    // The session holds the old branch's context
+    currentSession = null;
+    renderConversation();
+}
+
+async function runRewriter() {
+    const input = UI.rewriterInput.value;
+    if (!input) return;
+
+    // Get options from UI
+    const { tone, format, length } = UI.getEditorOptions();
+
+    UI.rewriterOutput.innerHTML = '<div class="spinner"></div>';
+    try {
+        // Always create fresh session for rewriter to apply new options
+        if (currentSession) {
+            try { currentSession.destroy(); } catch (e) { }
+            currentSession = null;
+        }
+
+        currentSession = await aiSwitchboard.createSession({
+            tone: tone,
+            format: format,
+            length: length,
+            monitor: monitorDownload
+        });
+
+        const result = await currentSession.rewrite(input);
+
+        const revision = { id: UUID(), createdAt: Date.now(), input, tone, format, length, output: result };
+        currentProject.revisions = currentProject.revisions || [];
+        currentProject.revisions.push(revision);
+        await persistProject(currentProject);
+        showRevision(revision.id);
+
+        // Lock Selector once the project has editor work
+        if (UI.apiSelector) UI.apiSelector.disabled = true;
+    } catch (e) {
+        monitorError(e);
+        UI.rewriterOutput.textContent = "Error: " + e.message;
+    }
+}
+
+async function runSummarizer() {
+    const input = UI.summarizerInput.value.trim();
+    if (!input) return;
+
+    const options = UI.getSummarizerOptions();
+    UI.summarizerOutput.innerHTML = '<div class="spinner"></div>';
+    let summary = "";
+
+    try {
+        // Fresh session per run so type/format/length changes apply
+        if (currentSession) {
+            try { currentSession.destroy(); } catch (e) { }
+            currentSession = null;
+        }
+
+        currentSession = await aiSwitchboard.createSession({
+            ...options,
+            monitor: monitorDownload
+        });
+
+        for await (const chunk of currentSession.promptStreaming(input)) {
+            if (chunk.startsWith && chunk.startsWith(summary)) summary = chunk;
+            else summary += chunk;
+            UI.renderSummary(summary, options.format);
+        }
+
+        currentProject.summarizerOptions = options;
+        currentProject.lastSummary = { input, output: summary };
+        await persistProject(currentProject);
+    } catch (e) {
+        monitorError(e);
+        UI.summarizerOutput.textContent = "Error: " + e.message;
+    }
+}
+
+async function autoRenameProject(input) {
+    // Only auto-rename if the name is still generic
+    const lang = UI.langSelector ? UI.langSelector.value : 'en';
+    const dict = locales[lang] || locales['en'];
+    const genericNames = ["New Chat", "Naujas Pokalbis", "+ New Chat", dict.new_chat.replace("+ ", "")];
+
+    if (genericNames.includes(currentProject.name) || currentProject.name.startsWith("New Chat")) {
+        let newName = input.substring(0, 30);
+        if (input.length > 30) newName += "...";
+
+        currentProject.name = newName;
+        await persistProject(currentProject);
+        await refreshProjects();
+    }
+}
+
+async function runWriter() {
+    const prompt = UI.writerPrompt.value.trim();
+    if (!prompt) return;
+
+    const options = UI.getWriterOptions();
+    const draft = { id: UUID(), prompt, content: '', createdAt: Date.now(), starred: false, options };
+    currentProject.drafts = currentProject.drafts || [];
+    const card = UI.prependDraftCard(draft, currentProject.drafts.length + 1);
+
+    try {
+        if (!currentSession) {
+            currentSession = await aiSwitchboard.createSession({
+                sharedContext: currentProject.writerContext || '',
+                ...options,
+                monitor: monitorDownload
+            });
+        }
+
+        for await (const chunk of currentSession.promptStreaming(prompt)) {
+            if (chunk.startsWith && chunk.startsWith(draft.content)) draft.content = chunk;
+            else draft.content += chunk;
+            UI.updateDraftContent(card, draft.content);
+        }
+
+        currentProject.drafts.push(draft);
+        await persistProject(currentProject);
+        UI.renderDrafts(currentProject.drafts, compareIds);
+
+        // Lock Selector immediately if not already locked
+        if (UI.apiSelector) UI.apiSelector.disabled = true;
+
+        if (currentProject.drafts.length === 1) await autoRenameProject(prompt);
     } catch (e) {
-        UI.hideThinking();
         monitorError(e);
-        responseContainer.textContent += `\n[Error]: ${e.message}`;
+        UI.updateDraftContent(card, `[Error]: ${e.message}`);
     }
 }
 
+// The Editor / Writer batch of the open project; a batch keeps running while the panel is closed
+function openBatch() {
+    if (!currentProject || !['rewriter', 'writer'].includes(currentProject.apiMode)) return;
+    const project = currentProject;
+    const items = () => project.batch && project.batch.mode === project.apiMode ? project.batch.items : [];
+    if (batchState(project) === 'idle') batch.requeue(items());
+
+    UI.showBatchModal(project.apiMode, items(), {
+        onRun: (source) => startBatch(project, source),
+        onPause: () => {
+            if (batchState(project) === 'idle') return;
+            pauseBatch();
+            UI.setBatchState(items(), 'pausing');
+        },
+        onResume: (concurrency) => runBatch(project, concurrency, false),
+        onRetry: (concurrency) => runBatch(project, concurrency, true),
+        onExport: () => {
+            if (items().length === 0) return;
+            const records = items().map(item => ({
+                ...(item.fields || { input: item.input }),
+                output: item.output,
+                status: item.status,
+                error: item.error || ''
+            }));
+            UI.downloadFile(backup.fileName(`${project.name} batch`, 'csv'), csv.fromRecords(records), 'text/csv');
+        }
+    });
+    UI.setBatchState(items(), batchState(project));
+}
+
+function batchState(project) {
+    if (!batchRun || batchRun.project !== project) return 'idle';
+    return batchRun.paused ? 'pausing' : 'running';
+}
+
+function pauseBatch() {
+    if (!batchRun) return;
+    batchRun.paused = true;
+    if (batchRun.queue) batchRun.queue.pause();
+}
+
+async function startBatch(project, { text, format, delimiter, column, concurrency }) {
+    if (batchRun) return;
+    const items = format === 'csv'
+        ? batch.items(batch.table(text).records, column)
+        : batch.items(batch.split(text, format === 'custom' ? delimiter : format));
+    if (items.length === 0) return;
+
+    // The options are fixed for the whole batch, so resuming later gives the same kind of results
+    const options = project.apiMode === 'writer' ? UI.getWriterOptions() : UI.getEditorOptions();
+    project.batch = { mode: project.apiMode, options, items, createdAt: Date.now() };
+    await runBatch(project, concurrency, false);
+}
+
+// Works through the pending (or, with retry, also the failed) items with one session of the mode.
+// Every finished item is saved right away, so a closed tab or a failing session loses nothing already done.
+async function runBatch(project, concurrency, retry) {
+    if (batchRun) {
+        // Resumed while the pause still lets items finish: the same queue goes on
+        const { queue } = batchRun;
+        if (batchRun.project !== project || !queue || !queue.isRunning()) return;
+        batchRun.paused = false;
+        if (retry) queue.retryFailed(concurrency);
+        else queue.start(concurrency);
+        UI.setBatchState(project.batch.items, batchState(project));
+        return;
+    }
+    if (!project.batch) return;
+    // Claimed before the first await, so a second click cannot start another run
+    const run = batchRun = { project, queue: null, paused: false };
+    const { mode, options, items } = project.batch;
+    batch.requeue(items);
+    const progress = () => {
+        if (project !== currentProject) return;
+        UI.renderBatch(items);
+        UI.setBatchState(items, batchState(project));
+    };
+    // One save at a time: two at once would conflict over the project's revision
+    let saving = Promise.resolve();
+    const save = () => {
+        saving = saving.then(() => persistProject(project)).catch(e => console.error("Could not save the batch:", e));
+        return saving;
+    };
+    const changed = (item) => {
+        progress();
+        if (item.status !== 'running') save();
+    };
+
+    let session = null;
+    let error = null;
+    save(); // A new batch is stored before its session (and maybe a model download) is ready
+    progress();
+    try {
+        session = await aiSwitchboard.createSession(mode === 'writer'
+            ? { sharedContext: project.writerContext || '', ...options, monitor: monitorDownload }
+            : { ...options, monitor: monitorDownload });
+        run.queue = new BatchQueue(items, item => runBatchItem(session, mode, item.input), changed);
+        if (!run.paused) await (retry ? run.queue.retryFailed(concurrency) : run.queue.start(concurrency));
+    } catch (e) {
+        monitorError(e);
+        error = e;
+    } finally {
+        if (session && session.destroy) session.destroy();
+        batchRun = null;
+    }
+    await save();
+    progress();
+    if (error) UI.setBatchStatus("Error: " + error.message);
+    applyPendingReload();
+}
+
+async function runBatchItem(session, mode, input) {
+    if (mode === 'rewriter') return await session.rewrite(input);
+    let text = '';
+    for await (const chunk of session.promptStreaming(input)) {
+        if (chunk.startsWith && chunk.startsWith(text)) text = chunk;
+        else text += chunk;
+    }
+    return text;
+}
+
+// Raw Markdown of a chat message, as the model wrote it
+async function copyMessage(btn, id) {
+    const node = currentProject && currentProject.history.nodes[id];
+    if (!node) return;
+    try {
+        await UI.copyText(btn, node.content);
+    } catch (e) {
+        console.warn("Copy failed:", e);
+    }
+}
+
+async function handleDraftAction(action, draft) {
+    if (action === 'star') {
+        draft.starred = !draft.starred;
+        await persistProject(currentProject);
+    } else if (action === 'compare') {
+        if (compareIds.includes(draft.id)) {
+            compareIds = compareIds.filter(id => id !== draft.id);
+        } else {
+            compareIds = [...compareIds, draft.id].slice(-2);
+        }
+    } else if (action === 'copy') {
+        await navigator.clipboard.writeText(draft.content);
+        return;
+    } else if (action === 'delete') {
+        if (!confirm("Delete this draft?")) return;
+        currentProject.drafts = currentProject.drafts.filter(d => d.id !== draft.id);
+        compareIds = compareIds.filter(id => id !== draft.id);
+        await persistProject(currentProject);
+    } else if (action === 'to-editor') {
+        await sendToEditor(draft);
+        return;
+    }
+
+    UI.renderDrafts(currentProject.drafts, compareIds);
+    UI.renderCompare(compareIds.map(id => currentProject.drafts.find(d => d.id === id)));
+}
+
+// Opens the draft as the input of a new Editor project
+async function sendToEditor(draft) {
+    const dict = locales[UI.langSelector.value] || locales['en'];
+    let name = `${dict.mode_editor}: ${draft.prompt.substring(0, 30)}`;
+    if (draft.prompt.length > 30) name += "...";
+
+    const p = {
+        id: UUID(),
+        name: name,
+        systemPrompt: currentProject.systemPrompt,
+        history: chatTree.create(),
+        apiMode: 'rewriter',
+        backend: currentProject.backend || defaultBackend,
+        editorInput: draft.content
+    };
+
+    await storage.saveProject(p);
+    await loadProject(p.id);
+    await refreshProjects();
+}
+
+// Writer projects used to keep drafts as chat history: turn each prompt/answer pair into a draft
+async function migrateWriterHistory(project) {
+    if (project.drafts || chatTree.isEmpty(project.history)) return;
+
+    const messages = chatTree.activePath(project.history);
+    project.drafts = [];
+    messages.forEach((msg, i) => {
+        if (msg.role !== 'user') return;
+        const reply = messages[i + 1];
+        project.drafts.push({
+            id: UUID(),
+            prompt: msg.content,
+            content: reply && reply.role === 'model' ? reply.content : '',
+            createdAt: Date.now(),
+            starred: false
+        });
+    });
+    project.history = chatTree.create();
+    await persistProject(project, { touch: false });
+}
+
+function showRevision(id) {
+    const revisions = currentProject.revisions || [];
+    const rev = revisions.find(r => r.id === id);
+    activeRevisionId = rev ? rev.id : null;
+    UI.rewriterOutput.textContent = rev ? rev.output : '';
+    UI.renderRevisions(revisions, activeRevisionId);
+}
+
+async function runProofreader() {
+    const input = UI.rewriterInput.value;
+    if (!input.trim()) return;
+
+    UI.rewriterOutput.innerHTML = '<div class="spinner"></div>';
+    try {
+        if (!currentSession) {
+            currentSession = await aiSwitchboard.createSession({ monitor: monitorDownload });
+        }
+
+        const result = await currentSession.proofread(input);
+        currentProject.proofread = {
+            input: input,
+            corrections: result.corrections
+                .map(c => ({ ...c, status: 'pending' }))
+                .sort((a, b) => a.startIndex - b.startIndex),
+            checkedAt: Date.now()
+        };
+        await persistProject(currentProject);
+        renderProofread();
+    } catch (e) {
+        monitorError(e);
+        UI.rewriterOutput.textContent = "Error: " + e.message;
+    }
+}
+
+function renderProofread() {
+    const check = currentProject.proofread;
+    if (!check) {
+        UI.showProofreadDiff(false);
+        UI.rewriterOutput.textContent = '';
+        return;
+    }
+
+    UI.renderProofreadDiff(check.input, check.corrections);
+    UI.showProofreadDiff(true);
+    UI.rewriterOutput.textContent = applyCorrections(check.input, check.corrections);
+}
+
+// Original text with only the accepted corrections applied
+function applyCorrections(text, corrections) {
+    let result = "";
+    let pos = 0;
+    corrections.forEach(c => {
+        result += text.slice(pos, c.startIndex);
+        result += c.status === 'accepted' ? c.correction : text.slice(c.startIndex, c.endIndex);
+        pos = c.endIndex;
+    });
+    return result + text.slice(pos);
+}
+
 function monitorDownload(m) {
     m.addEventListener('downloadprogress', (e) => {
         UI.showLoader(true);
@@ -0,0 +1,137 @@
+/**
+ * PrivacyAI Attachments Module
+ * Turns dropped or picked files into text (all parsing happens in the browser) and fits that text
+ * into a chat turn: documents are split into chunks and as many chunks as the session's input quota
+ * allows are sent in front of the user's message.
+ *
+ * Attachment: { id, projectId, name, type, size, text, blob, createdAt }
+ * Messages only keep { id, name, type, size }; the file itself lives in the attachments store.
+ */
+
+import { documents } from './documents.js';
+
+export const MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024;
+const CHUNK_CHARS = 2000;
+const CHARS_PER_TOKEN = 4;     // Estimate when the session cannot measure text itself
+const FALLBACK_QUOTA = 4000;   // Tokens, for sessions that do not report a quota (local endpoint)
+const QUOTA_SHARE = 0.75;      // Leave a quarter of the window for the reply and later turns
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'csv', 'tsv', 'json', 'log', 'xml', 'html', 'yaml', 'yml'];
+const PDF_TYPE = 'application/pdf';
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// For the file picker's accept attribute
+export const ATTACHMENT_ACCEPT = [...TEXT_EXTENSIONS.map(ext => `.${ext}`), '.pdf', '.docx', 'text/*'].join(',');
+
+export const attachments = {
+    kind(file) {
+        const ext = (file.name.split('.').pop() || '').toLowerCase();
+        if (file.type === PDF_TYPE || ext === 'pdf') return 'pdf';
+        if (file.type === DOCX_TYPE || ext === 'docx') return 'docx';
+        if (file.type.startsWith('text/') || TEXT_EXTENSIONS.includes(ext)) return 'text';
+        return null;
+    },
+
+    // Plain text of a file; throws ATTACHMENT_UNSUPPORTED / _TOO_LARGE / _UNREADABLE / _ENCRYPTED / _EMPTY
+    async extract(file) {
+        const kind = this.kind(file);
+        if (!kind) throw new Error("ATTACHMENT_UNSUPPORTED");
+        if (file.size > MAX_ATTACHMENT_SIZE) throw new Error("ATTACHMENT_TOO_LARGE");
+
+        let text;
+        try {
+            if (kind === 'pdf') text = await documents.pdfText(await file.arrayBuffer());
+            else if (kind === 'docx') text = await documents.docxText(await file.arrayBuffer());
+            else text = (await file.text()).replace(/\r\n?/g, '\n');
+        } catch (e) {
+            if (e.message.startsWith('ATTACHMENT_')) throw e;
+            console.warn(`Could not read ${file.name}:`, e);
+            throw new Error("ATTACHMENT_UNREADABLE");
+        }
+        if (!text.trim()) throw new Error("ATTACHMENT_EMPTY");
+        return text;
+    },
+
+    create(file, projectId, text) {
+        return {
+            id: crypto.randomUUID(),
+            projectId,
+            name: file.name,
+            type: file.type || 'application/octet-stream',
+            size: file.size,
+            text,
+            blob: file,
+            createdAt: Date.now()
+        };
+    },
+
+    // What a message keeps about its attachments
+    describe(attachment) {
+        const { id, name, type, size } = attachment;
+        return { id, name, type, size };
+    },
+
+    // Pieces of at most maxChars, cut at paragraph, then line, then word boundaries
+    chunk(text, maxChars = CHUNK_CHARS) {
+        const chunks = [];
+        let rest = text.trim();
+        while (rest.length > maxChars) {
+            const window = rest.slice(0, maxChars);
+            let cut = Math.max(window.lastIndexOf('\n\n'), window.lastIndexOf('\n'));
+            if (cut < maxChars / 2) cut = window.lastIndexOf(' ');
+            if (cut < maxChars / 2) cut = maxChars;
+            chunks.push(rest.slice(0, cut).trim());
+            rest = rest.slice(cut).trim();
+        }
+        if (rest) chunks.push(rest);
+        return chunks;
+    },
+
+    // The prompt for a message with documents: { prompt, included, total } counted in chunks.
+    // Chunks are taken in document order until the session's remaining quota is used up.
+    async buildPrompt(session, message, files) {
+        const measure = async (text) => {
+            if (session.measureInputUsage) return await session.measureInputUsage(text);
+            return Math.ceil(text.length / CHARS_PER_TOKEN);
+        };
+        const quota = session.inputQuota ?? FALLBACK_QUOTA;
+        const used = session.inputUsage ?? 0;
+        let budget = Math.floor((quota - used) * QUOTA_SHARE) - await measure(message);
+
+        const parts = [];
+        let included = 0;
+        let total = 0;
+        for (const file of files) {
+            const chunks = this.chunk(file.text);
+            total += chunks.length;
+            const kept = [];
+            for (const chunk of chunks) {
+                if (budget <= 0) break;
+                const cost = await measure(chunk);
+                if (cost > budget) {
+                    budget = 0;
+                    break;
+                }
+                budget -= cost;
+                kept.push(chunk);
+            }
+            included += kept.length;
+            if (kept.length === 0) continue;
+            const note = kept.length < chunks.length ? ` (first ${kept.length} of ${chunks.length} parts)` : '';
+            parts.push(`--- Document: ${file.name}${note} ---\n${kept.join('\n\n')}`);
+        }
+
+        if (parts.length === 0) return { prompt: message, included, total };
+        return {
+            prompt: `The user attached the following documents.\n\n${parts.join('\n\n')}\n\n--- Message ---\n${message}`,
+            included,
+            total
+        };
+    },
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+};
@@ -0,0 +1,208 @@
+/**
+ * PrivacyAI Backup Module
+ * Full JSON backups of projects, settings and templates, re-import with ID-conflict handling,
+ * and single-project exports to Markdown / standalone HTML. Everything stays on the device.
+ * Attached files are not included: messages keep their names, the files stay in this browser.
+ */
+
+import { storage } from './storage.js';
+import { chatTree } from './history.js';
+import { sanitize } from './sanitize.js';
+
+const BACKUP_APP = 'PrivacyAI';
+const BACKUP_FORMAT = 1; // Bump when the file layout changes; older files must stay importable
+
+const MODE_LABELS = {
+    prompt: 'Chat',
+    writer: 'Writer',
+    rewriter: 'Editor',
+    summarizer: 'Summarize',
+    proofreader: 'Proofread'
+};
+
+export const backup = {
+    async exportAll() {
+        return {
+            app: BACKUP_APP,
+            format: BACKUP_FORMAT,
+            exportedAt: new Date().toISOString(),
+            projects: await storage.getAllProjects(),
+            settings: await storage.getAllSettings(),
+            templates: await storage.getAllTemplates()
+        };
+    },
+
+    exportProject(project) {
+        return {
+            app: BACKUP_APP,
+            format: BACKUP_FORMAT,
+            exportedAt: new Date().toISOString(),
+            projects: [project],
+            settings: []
+        };
+    },
+
+    // Validates a backup file and brings older project shapes up to date
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error("BACKUP_INVALID");
+        }
+        if (!data || data.app !== BACKUP_APP || !Array.isArray(data.projects)) throw new Error("BACKUP_INVALID");
+        if (data.format > BACKUP_FORMAT) throw new Error("BACKUP_TOO_NEW");
+
+        data.projects = data.projects
+            .filter(p => p && p.id)
+            .map(p => ({ ...p, history: chatTree.normalize(p.history) }));
+        data.settings = Array.isArray(data.settings) ? data.settings.filter(s => s && s.key) : [];
+        data.templates = Array.isArray(data.templates) ? data.templates.filter(t => t && t.id && t.name) : [];
+        return data;
+    },
+
+    // strategy: 'merge' | 'duplicate' | 'overwrite', applied to projects whose id already exists
+    async importAll(data, strategy, copySuffix = ' (copy)') {
+        const stats = { added: 0, merged: 0, duplicated: 0, overwritten: 0, settings: 0, templates: 0 };
+
+        for (const incoming of data.projects) {
+            const local = await storage.getProject(incoming.id);
+            if (!local) {
+                await storage.saveProject(incoming, { touch: false });
+                stats.added++;
+            } else if (strategy === 'overwrite') {
+                await storage.saveProject(incoming, { touch: false, force: true });
+                stats.overwritten++;
+            } else if (strategy === 'duplicate') {
+                await storage.saveProject({ ...incoming, id: crypto.randomUUID(), name: incoming.name + copySuffix }, { touch: false });
+                stats.duplicated++;
+            } else {
+                await storage.saveProject(this.merge(local, incoming), { touch: false });
+                stats.merged++;
+            }
+        }
+
+        // Local settings win unless the whole backup is meant to replace them.
+        // A vault or search index marker from another device would lock this one out or desync its index.
+        for (const { key, value } of data.settings) {
+            if (storage.isReservedSetting(key)) continue;
+            if (strategy !== 'overwrite' && await storage.getSetting(key) !== null) continue;
+            await storage.saveSetting(key, value);
+            stats.settings++;
+        }
+
+        // Templates follow the settings rule
+        const localTemplates = new Set((await storage.getAllTemplates()).map(t => t.id));
+        for (const template of data.templates) {
+            if (strategy !== 'overwrite' && localTemplates.has(template.id)) continue;
+            await storage.saveTemplate(template);
+            stats.templates++;
+        }
+
+        return stats;
+    },
+
+    // Combines both copies of a project: nothing in `local` is lost, new branches, drafts and revisions
+    // from `incoming` are added. Also used to settle a save conflict between two tabs.
+    merge(local, incoming) {
+        const merged = { ...incoming, ...local };
+
+        const tree = chatTree.normalize(local.history);
+        const other = chatTree.normalize(incoming.history);
+        Object.values(other.nodes).forEach(node => {
+            if (tree.nodes[node.id]) return;
+            tree.nodes[node.id] = { ...node, childIds: [] };
+        });
+        // Relink in the incoming order so children never reference missing parents
+        Object.values(other.nodes).forEach(node => {
+            const parent = node.parentId ? tree.nodes[node.parentId] : tree;
+            if (!parent.childIds.includes(node.id)) parent.childIds.push(node.id);
+        });
+        merged.history = tree;
+
+        ['drafts', 'revisions'].forEach(field => {
+            if (!local[field] && !incoming[field]) return;
+            const ids = new Set((local[field] || []).map(item => item.id));
+            merged[field] = [...(local[field] || []), ...(incoming[field] || []).filter(item => !ids.has(item.id))];
+        });
+
+        return merged;
+    },
+
+    toMarkdown(project) {
+        const lines = [`# ${project.name}`, ''];
+        lines.push(`*${MODE_LABELS[project.apiMode] || MODE_LABELS.prompt} · exported ${new Date().toLocaleString()}*`, '');
+
+        switch (project.apiMode) {
+            case 'writer':
+                if (project.writerContext) lines.push('## Context', '', project.writerContext, '');
+                (project.drafts || []).forEach(d => {
+                    lines.push(`## ${d.starred ? '★ ' : ''}${d.prompt}`, '', d.content, '');
+                });
+                break;
+            case 'rewriter':
+                (project.revisions || []).forEach((r, i) => {
+                    lines.push(`## Revision ${i + 1} (${r.tone}, ${r.format}, ${r.length})`, '');
+                    lines.push('### Input', '', r.input, '', '### Output', '', r.output, '');
+                });
+                break;
+            case 'summarizer':
+                if (project.lastSummary) {
+                    lines.push('## Text', '', project.lastSummary.input, '', '## Summary', '', project.lastSummary.output, '');
+                }
+                break;
+            case 'proofreader':
+                if (project.proofread) {
+                    lines.push('## Text', '', project.proofread.input, '', '## Corrections', '');
+                    project.proofread.corrections.forEach(c => {
+                        const original = project.proofread.input.slice(c.startIndex, c.endIndex);
+                        lines.push(`- ~~${original}~~ → **${c.correction}** (${c.status})`);
+                    });
+                    lines.push('');
+                }
+                break;
+            default:
+                if (project.systemPrompt) lines.push(`> System prompt: ${project.systemPrompt}`, '');
+                chatTree.activePath(chatTree.normalize(project.history)).forEach(msg => {
+                    lines.push(`**${msg.role === 'user' ? 'You' : 'Assistant'}:**`, '', msg.content, '');
+                    if (msg.attachments) lines.push(`_Attached: ${msg.attachments.map(a => a.name).join(', ')}_`, '');
+                    if (msg.media) lines.push(`_Media: ${msg.media.map(m => m.name).join(', ')}_`, '');
+                });
+        }
+
+        return lines.join('\n');
+    },
+
+    // A self-contained page: no scripts, no external styles, opens anywhere
+    toHTML(project) {
+        const markdown = this.toMarkdown(project);
+        const body = window.marked ? sanitize.html(window.marked.parse(markdown)) : `<pre>${escapeHTML(markdown)}</pre>`;
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(project.name)}</title>
+<style>
+body { max-width: 760px; margin: 2rem auto; padding: 0 1rem; font-family: system-ui, sans-serif; line-height: 1.6; color: #1a1a1a; }
+pre { background: #f4f4f4; padding: 1rem; border-radius: 6px; overflow-x: auto; }
+code { font-family: ui-monospace, monospace; }
+blockquote { color: #555; border-left: 3px solid #ddd; margin: 0; padding-left: 1rem; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+    },
+
+    fileName(name, extension) {
+        const slug = name.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '').toLowerCase() || 'privacyai';
+        return `${slug}.${extension}`;
+    }
+};
+
+function escapeHTML(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
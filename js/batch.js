@@ -0,0 +1,132 @@
+/**
+ * PrivacyAI Batch Module
+ * Running one task per item of a list: reading the list (pasted text split by a delimiter, or CSV with
+ * a header row) and a queue with a concurrency limit that can be paused, resumed and retried.
+ *
+ * Item: { id, input, fields, status: 'pending' | 'running' | 'done' | 'failed', output, error }
+ * (fields: the item's whole CSV row by column name, kept for the export; null for plain lists)
+ */
+
+import { csv } from './csv.js';
+
+export const MAX_CONCURRENCY = 4;
+
+// Named separators; anything else is used literally
+const SEPARATORS = { blank: /\n\s*\n/, line: /\n/, rule: /\n-{3,}[ \t]*(?:\n|$)/ };
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+export const batch = {
+    // Trimmed, non-empty parts of a pasted list
+    split(text, separator) {
+        const normalized = text.replace(/\r\n?/g, '\n');
+        return normalized.split(SEPARATORS[separator] || separator || SEPARATORS.line)
+            .map(part => part.trim())
+            .filter(Boolean);
+    },
+
+    // CSV with a header row: { columns, records: [{ column: value }] }; the delimiter is guessed from the header
+    table(text) {
+        const header = text.split(/\r?\n/, 1)[0] || '';
+        const delimiter = CSV_DELIMITERS.reduce((best, d) => header.split(d).length > header.split(best).length ? d : best);
+        const [head = [], ...rows] = csv.parse(text, delimiter);
+        const columns = head.map((name, i) => name.trim() || `column ${i + 1}`);
+        const records = rows.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i] ?? ''])));
+        return { columns, records };
+    },
+
+    // parts: strings, or CSV records with the column to run
+    items(parts, column = null) {
+        return parts
+            .map(part => column ? { input: (part[column] || '').trim(), fields: part } : { input: part, fields: null })
+            .filter(item => item.input)
+            .map(item => ({ id: crypto.randomUUID(), ...item, status: 'pending', output: '', error: null }));
+    },
+
+    // Items a closed tab or a save taken mid-run left 'running' go back to the queue; only call when no queue runs them
+    requeue(items) {
+        items.forEach(item => {
+            if (item.status === 'running') item.status = 'pending';
+        });
+        return items;
+    },
+
+    counts(items) {
+        const counts = { total: items.length, pending: 0, running: 0, done: 0, failed: 0 };
+        items.forEach(item => counts[item.status]++);
+        return counts;
+    }
+};
+
+// Runs run(item) -> Promise<output> for every pending item, at most `concurrency` at a time.
+// Pausing lets running items finish and starts no new ones; start() resolves once nothing runs.
+export class BatchQueue {
+    constructor(items, run, onChange = () => { }) {
+        this.items = items;
+        this.run = run;
+        this.onChange = onChange;
+        this.concurrency = 1;
+        this.active = 0;
+        this.paused = false;
+        this.finished = null;
+        this.resolve = null;
+    }
+
+    start(concurrency = this.concurrency) {
+        this.concurrency = Math.min(Math.max(1, Math.floor(concurrency) || 1), MAX_CONCURRENCY);
+        this.paused = false;
+        if (!this.finished) this.finished = new Promise(resolve => { this.resolve = resolve; });
+        const finished = this.finished;
+        this.fill();
+        return finished;
+    }
+
+    pause() {
+        this.paused = true;
+        this.fill();
+    }
+
+    // Failed items go back into the queue
+    retryFailed(concurrency) {
+        this.items.forEach(item => {
+            if (item.status !== 'failed') return;
+            item.status = 'pending';
+            item.error = null;
+        });
+        return this.start(concurrency);
+    }
+
+    isRunning() {
+        return this.active > 0;
+    }
+
+    fill() {
+        while (!this.paused && this.active < this.concurrency) {
+            const item = this.items.find(i => i.status === 'pending');
+            if (!item) break;
+            this.execute(item);
+        }
+        if (this.active === 0 && this.resolve) {
+            const resolve = this.resolve;
+            this.finished = null;
+            this.resolve = null;
+            resolve();
+        }
+    }
+
+    async execute(item) {
+        this.active++;
+        item.status = 'running';
+        item.error = null;
+        this.onChange(item);
+        try {
+            item.output = await this.run(item);
+            item.status = 'done';
+        } catch (e) {
+            item.status = 'failed';
+            item.error = e.message;
+        }
+        this.active--;
+        this.onChange(item);
+        this.fill();
+    }
+}
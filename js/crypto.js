@@ -0,0 +1,83 @@
+/**
+ * PrivacyAI Crypto Module
+ * Passphrase-based encryption for data at rest (WebCrypto only).
+ * PBKDF2-SHA-256 derives an AES-GCM key; every record gets its own random IV.
+ */
+
+const PBKDF2_ITERATIONS = 600000; // OWASP recommendation for PBKDF2-SHA-256
+const VERIFIER_TEXT = 'privacyai-vault';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const vault = {
+    // Fresh parameters for a new passphrase; stored in clear next to the data
+    createParams() {
+        return {
+            salt: crypto.getRandomValues(new Uint8Array(16)),
+            iterations: PBKDF2_ITERATIONS
+        };
+    },
+
+    async deriveKey(passphrase, params) {
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: params.salt, iterations: params.iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    // Encrypts any structured-cloneable JSON value into { iv, data }
+    async seal(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+        return { iv, data };
+    },
+
+    async open(key, sealed) {
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+        return JSON.parse(decoder.decode(plain));
+    },
+
+    // Raw bytes (file contents) without the JSON round trip: { iv, data }
+    async sealBytes(key, bytes) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { iv, data };
+    },
+
+    async openBytes(key, sealed) {
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+    },
+
+    // Random HMAC key for the search index; stored sealed, so it needs no derivation of its own
+    createIndexKey() {
+        return Array.from(crypto.getRandomValues(new Uint8Array(32)));
+    },
+
+    async importIndexKey(raw) {
+        return crypto.subtle.importKey('raw', new Uint8Array(raw), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    },
+
+    // Index terms are stored as HMACs: exact lookups still work, the words themselves are not readable
+    async blind(indexKey, term) {
+        const mac = await crypto.subtle.sign('HMAC', indexKey, encoder.encode(term));
+        return btoa(String.fromCharCode(...new Uint8Array(mac)));
+    },
+
+    // A known value sealed with the key: opening it proves the passphrase without touching real data
+    async createVerifier(key) {
+        return this.seal(key, VERIFIER_TEXT);
+    },
+
+    async checkVerifier(key, verifier) {
+        try {
+            return await this.open(key, verifier) === VERIFIER_TEXT;
+        } catch (e) {
+            return false; // AES-GCM authentication fails for a wrong key
+        }
+    }
+};
@@ -0,0 +1,77 @@
+/**
+ * PrivacyAI CSV Module
+ * RFC 4180 CSV: reading batch inputs and exporting structured results and batch runs.
+ * Nested JSON is flattened into "a.b" columns so a table of results opens in any spreadsheet.
+ */
+
+const NEEDS_QUOTES = /[",\r\n]/;
+
+export const csv = {
+    // rows: [[cell, ...], ...] -> text with CRLF line ends
+    stringify(rows, delimiter = ',') {
+        return rows.map(row => row.map(cell => {
+            const text = cell == null ? '' : String(cell);
+            return NEEDS_QUOTES.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(delimiter)).join('\r\n');
+    },
+
+    // [[cell, ...], ...]; quoted cells may contain delimiters, quotes ("") and line breaks
+    parse(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (c === '"') {
+                    quoted = false;
+                } else {
+                    cell += c;
+                }
+            } else if (c === '"' && cell === '') {
+                quoted = true;
+            } else if (c === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += c;
+            }
+        }
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(c => c.trim() !== ''));
+    },
+
+    // { a: { b: 1 }, tags: ['x', 'y'] } -> { 'a.b': 1, tags: 'x; y' }; arrays of objects stay JSON
+    flatten(value, prefix = '', into = {}) {
+        if (Array.isArray(value)) {
+            into[prefix || 'value'] = value.every(v => v === null || typeof v !== 'object')
+                ? value.join('; ')
+                : JSON.stringify(value);
+        } else if (value && typeof value === 'object') {
+            Object.entries(value).forEach(([key, v]) => this.flatten(v, prefix ? `${prefix}.${key}` : key, into));
+        } else {
+            into[prefix || 'value'] = value;
+        }
+        return into;
+    },
+
+    // Flat objects -> CSV with the union of their keys as the header (first-seen order)
+    fromRecords(records) {
+        const columns = [...new Set(records.flatMap(r => Object.keys(r)))];
+        return this.stringify([columns, ...records.map(r => columns.map(c => r[c]))]);
+    }
+};
@@ -0,0 +1,126 @@
+/**
+ * PrivacyAI Documents Module
+ * Extracts plain text from PDF and DOCX files entirely in the browser (no network).
+ * PDF: the vendored pdf.js (js/vendor/pdfjs, text layer only, parsed in its worker). It reads object and
+ * xref streams, CID fonts and ToUnicode maps (CJK CMaps from js/vendor/pdfjs/cmaps) and files that are
+ * encrypted without a password. Scanned pages have no text layer and yield an empty string.
+ * DOCX: the ZIP container is opened with the vendored fflate and word/document.xml is walked paragraph by paragraph.
+ * Both libraries are only imported the first time such a file is attached.
+ */
+
+const PDFJS_URL = new URL('./vendor/pdfjs/pdf.min.mjs', import.meta.url).href;
+const PDFJS_WORKER_URL = new URL('./vendor/pdfjs/pdf.worker.min.mjs', import.meta.url).href;
+const PDFJS_CMAPS_URL = new URL('./vendor/pdfjs/cmaps/', import.meta.url).href;
+const FFLATE_URL = new URL('./vendor/fflate.mjs', import.meta.url).href;
+
+let pdfjsLoading = null;
+let fflateLoading = null;
+
+export const documents = {
+    // Throws ATTACHMENT_ENCRYPTED for password-protected files, ATTACHMENT_UNREADABLE for anything that is not a readable PDF
+    async pdfText(buffer) {
+        const pdfjs = await loadPdfjs();
+        const task = pdfjs.getDocument({
+            data: new Uint8Array(buffer),
+            cMapUrl: PDFJS_CMAPS_URL,
+            cMapPacked: true,
+            isEvalSupported: false
+        });
+
+        let pdf;
+        try {
+            pdf = await task.promise;
+        } catch (e) {
+            await task.destroy();
+            if (e.name === 'PasswordException') throw new Error("ATTACHMENT_ENCRYPTED");
+            console.warn("PDF could not be opened:", e);
+            throw new Error("ATTACHMENT_UNREADABLE");
+        }
+
+        try {
+            const pages = [];
+            for (let n = 1; n <= pdf.numPages; n++) {
+                const page = await pdf.getPage(n);
+                const content = await page.getTextContent();
+                pages.push(content.items.map(item => (item.str || '') + (item.hasEOL ? '\n' : '')).join(''));
+                page.cleanup();
+            }
+            return tidy(pages.join('\n\n'));
+        } finally {
+            await task.destroy();
+        }
+    },
+
+    async docxText(buffer) {
+        const { unzipSync } = await loadFflate();
+        let files;
+        try {
+            files = unzipSync(new Uint8Array(buffer), { filter: file => file.name === 'word/document.xml' });
+        } catch (e) {
+            console.warn("DOCX could not be unpacked:", e);
+            throw new Error("ATTACHMENT_UNREADABLE");
+        }
+        const xml = files['word/document.xml'];
+        if (!xml) throw new Error("ATTACHMENT_UNREADABLE");
+        const doc = new DOMParser().parseFromString(new TextDecoder().decode(xml), 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) throw new Error("ATTACHMENT_UNREADABLE");
+        return tidy(docxNodeText(doc.documentElement));
+    }
+};
+
+// --- Vendored libraries (imported on first use, precached by the service worker) ---
+
+function loadPdfjs() {
+    if (!pdfjsLoading) {
+        pdfjsLoading = import(PDFJS_URL).then(pdfjs => {
+            pdfjs.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_URL;
+            return pdfjs;
+        });
+        pdfjsLoading.catch(() => { pdfjsLoading = null; });
+    }
+    return pdfjsLoading;
+}
+
+function loadFflate() {
+    if (!fflateLoading) {
+        fflateLoading = import(FFLATE_URL);
+        fflateLoading.catch(() => { fflateLoading = null; });
+    }
+    return fflateLoading;
+}
+
+// --- DOCX ---
+
+// WordprocessingML: paragraphs become lines, table rows become "cell | cell" lines
+function docxNodeText(node) {
+    let text = '';
+    for (const child of node.childNodes) {
+        if (child.nodeType !== Node.ELEMENT_NODE) continue;
+        switch (child.localName) {
+            case 't': text += child.textContent; break;
+            case 'tab': text += '\t'; break;
+            case 'br':
+            case 'cr': text += '\n'; break;
+            case 'p': text += docxNodeText(child) + '\n'; break;
+            case 'tr':
+                text += Array.from(child.childNodes)
+                    .filter(cell => cell.localName === 'tc')
+                    .map(cell => docxNodeText(cell).trim().replace(/\s*\n\s*/g, ' '))
+                    .join(' | ') + '\n';
+                break;
+            // Deleted revisions, field codes and drawings carry no visible text
+            case 'del':
+            case 'instrText':
+            case 'drawing': break;
+            default: text += docxNodeText(child);
+        }
+    }
+    return text;
+}
+
+// --- Helpers ---
+
+// Trims line ends and collapses runs of blank lines
+function tidy(text) {
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
@@ -0,0 +1,54 @@
+/**
+ * PrivacyAI Syntax Highlighter
+ * Fence names and file extensions for code blocks; the highlighting itself is done offline by the
+ * vendored highlight.js (js/vendor/highlight.min.js, common languages). Its HTML goes through the
+ * sanitizer before it reaches the page. Unknown languages are left as plain text.
+ */
+
+import { sanitize } from './sanitize.js';
+
+// Fence names highlight.js does not know under that name -> its language
+const LANGUAGE_ALIASES = { node: 'javascript', console: 'bash', zsh: 'bash', jsonc: 'json', svg: 'xml', vue: 'xml', golang: 'go', text: 'plaintext', txt: 'plaintext' };
+
+// Fence names -> file extension for "download as file"
+const EXTENSIONS = {
+    js: 'js', javascript: 'js', jsx: 'jsx', mjs: 'mjs', node: 'js',
+    ts: 'ts', typescript: 'ts', tsx: 'tsx',
+    py: 'py', python: 'py',
+    sh: 'sh', bash: 'sh', shell: 'sh', zsh: 'sh', console: 'sh',
+    json: 'json', jsonc: 'json',
+    html: 'html', xml: 'xml', svg: 'svg', vue: 'vue',
+    css: 'css', scss: 'scss', less: 'less',
+    sql: 'sql',
+    c: 'c', h: 'h', cpp: 'cpp', 'c++': 'cpp', cc: 'cc', hpp: 'hpp',
+    java: 'java', kotlin: 'kt', kt: 'kt',
+    cs: 'cs', csharp: 'cs',
+    go: 'go', golang: 'go',
+    rust: 'rs', rs: 'rs',
+    php: 'php',
+    rb: 'rb', ruby: 'rb',
+    yaml: 'yml', yml: 'yml',
+    swift: 'swift', lua: 'lua', r: 'r', pl: 'pl', perl: 'pl', diff: 'diff', ini: 'ini', toml: 'toml',
+    md: 'md', markdown: 'md', text: 'txt', txt: 'txt'
+};
+
+export const highlight = {
+    // Normalized info about a fence name such as "Python" or "c++"; grammar is null when it cannot be highlighted
+    language(name) {
+        const key = (name || '').toLowerCase();
+        const grammar = LANGUAGE_ALIASES[key] || key;
+        const known = !!(key && window.hljs && window.hljs.getLanguage(grammar)) && grammar !== 'plaintext';
+        return { name: key, grammar: known ? grammar : null, extension: EXTENSIONS[key] || 'txt' };
+    },
+
+    // The code as nodes: <span class="hljs-…"> for highlighted tokens, text for the rest
+    fragment(code, name) {
+        const { grammar } = this.language(name);
+        if (!grammar) {
+            const fragment = document.createDocumentFragment();
+            fragment.append(code);
+            return fragment;
+        }
+        return sanitize.spans(window.hljs.highlight(code, { language: grammar, ignoreIllegals: true }).value);
+    }
+};
@@ -0,0 +1,114 @@
+/**
+ * PrivacyAI Conversation Tree
+ * Chat history is stored as a tree of message nodes. Edits and regenerations add
+ * siblings instead of overwriting, and every level remembers which branch is shown.
+ *
+ * Shape: { nodes: { [id]: node }, childIds: [], activeChildId }
+ * Node:  { id, parentId, role, content, createdAt, childIds: [], activeChildId }
+ * The tree object itself acts as the (content-less) root.
+ */
+
+export const chatTree = {
+    create() {
+        return { nodes: {}, childIds: [], activeChildId: null };
+    },
+
+    // Converts a legacy flat [{ role, content }] history into a single branch
+    fromFlat(messages = []) {
+        const tree = this.create();
+        let parentId = null;
+        messages.forEach(msg => {
+            parentId = this.append(tree, parentId, msg).id;
+        });
+        return tree;
+    },
+
+    // Accepts either shape, so older data never reaches the UI as an array
+    normalize(history) {
+        if (Array.isArray(history)) return this.fromFlat(history);
+        return history && history.nodes ? history : this.create();
+    },
+
+    isEmpty(tree) {
+        return tree.childIds.length === 0;
+    },
+
+    size(tree) {
+        return Object.keys(tree.nodes).length;
+    },
+
+    // Adds a message under parentId (null for the root) and makes it the active branch
+    append(tree, parentId, message) {
+        const node = {
+            ...message,
+            id: crypto.randomUUID(),
+            parentId: parentId,
+            createdAt: message.createdAt || Date.now(),
+            childIds: [],
+            activeChildId: null
+        };
+        tree.nodes[node.id] = node;
+
+        const parent = this._holder(tree, parentId);
+        parent.childIds.push(node.id);
+        parent.activeChildId = node.id;
+        return node;
+    },
+
+    // Follows the selected branch at every level, from the first message to the leaf
+    activePath(tree) {
+        const path = [];
+        let holder = tree;
+        while (holder.childIds.length > 0) {
+            const id = holder.childIds.includes(holder.activeChildId)
+                ? holder.activeChildId
+                : holder.childIds[holder.childIds.length - 1];
+            holder = tree.nodes[id];
+            path.push(holder);
+        }
+        return path;
+    },
+
+    // Ancestors of a node, oldest first, including the node itself
+    pathTo(tree, id) {
+        const path = [];
+        let node = id ? tree.nodes[id] : null;
+        while (node) {
+            path.unshift(node);
+            node = node.parentId ? tree.nodes[node.parentId] : null;
+        }
+        return path;
+    },
+
+    // Position among siblings, 1-based, for the "< 2/3 >" switcher
+    branchInfo(tree, id) {
+        const siblings = this._holder(tree, tree.nodes[id].parentId).childIds;
+        return { index: siblings.indexOf(id) + 1, count: siblings.length };
+    },
+
+    // Selects the previous (-1) or next (+1) sibling of a node; returns the new node id
+    switchBranch(tree, id, delta) {
+        const parent = this._holder(tree, tree.nodes[id].parentId);
+        const index = parent.childIds.indexOf(id) + delta;
+        if (index < 0 || index >= parent.childIds.length) return id;
+        parent.activeChildId = parent.childIds[index];
+        return parent.activeChildId;
+    },
+
+    // Makes the branch containing a node the shown one; returns true if anything changed
+    activate(tree, id) {
+        let changed = false;
+        this.pathTo(tree, id).forEach(node => {
+            const parent = this._holder(tree, node.parentId);
+            if (parent.activeChildId !== node.id) {
+                parent.activeChildId = node.id;
+                changed = true;
+            }
+        });
+        return changed;
+    },
+
+    _holder(tree, parentId) {
+        return parentId ? tree.nodes[parentId] : tree;
+    }
+};
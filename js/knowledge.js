@@ -0,0 +1,99 @@
+/**
+ * PrivacyAI Knowledge Module
+ * A per-project knowledge base ("chat with your documents"): documents are split into passages and
+ * indexed for BM25 keyword scoring (storage.js keeps the inverted index in IndexedDB). Before a chat
+ * turn the best passages are put in front of the question as numbered sources the model is asked to cite.
+ *
+ * project.knowledge: [{ id, name, type, size, passages, length, addedAt }]  (id of the file in the attachments store)
+ * Index entry:       { term, projectId, postings: [[docId, passage, tf, passageLength], ...] }
+ * Source:            { n, docId, passage, name } on the reply, plus the passage text while prompting
+ */
+
+import { search } from './search.js';
+import { attachments } from './attachments.js';
+
+const PASSAGE_CHARS = 800;
+export const TOP_K = 4;
+const SOURCE_SHARE = 0.4; // Part of the remaining input quota the excerpts may use
+const FALLBACK_QUOTA = 4000;
+const CHARS_PER_TOKEN = 4;
+
+// BM25 parameters (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+export const knowledge = {
+    // Passage n of a document is always the same text: the index stores positions, not copies
+    passages(text) {
+        return attachments.chunk(text, PASSAGE_CHARS);
+    },
+
+    // term -> postings for one document, plus the totals kept in project.knowledge
+    index(docId, text) {
+        const postings = new Map();
+        const passages = this.passages(text);
+        let length = 0;
+
+        passages.forEach((passage, n) => {
+            const terms = search.tokenize(passage);
+            length += terms.length;
+            const counts = new Map();
+            terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+            counts.forEach((tf, term) => {
+                if (!postings.has(term)) postings.set(term, []);
+                postings.get(term).push([docId, n, tf, terms.length]);
+            });
+        });
+        return { postings, passages: passages.length, length };
+    },
+
+    // Collection size for BM25: { count: passages, avgLength: terms per passage }
+    stats(project) {
+        const docs = project.knowledge || [];
+        const count = docs.reduce((n, d) => n + d.passages, 0);
+        const length = docs.reduce((n, d) => n + d.length, 0);
+        return { count, avgLength: count ? length / count : 1 };
+    },
+
+    // Scores passages from the postings of each query term; best first
+    rank(postingsByTerm, stats, limit = TOP_K) {
+        const scores = new Map();
+        postingsByTerm.forEach(postings => {
+            const df = postings.length;
+            const idf = Math.log(1 + (stats.count - df + 0.5) / (df + 0.5));
+            postings.forEach(([docId, passage, tf, length]) => {
+                const key = `${docId}:${passage}`;
+                const score = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / stats.avgLength));
+                const hit = scores.get(key) || { docId, passage, score: 0 };
+                hit.score += score;
+                scores.set(key, hit);
+            });
+        });
+        return [...scores.values()].sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+
+    // The question with as many numbered excerpts as fit: { prompt, sources } (sources renumbered 1..n)
+    async buildPrompt(session, message, sources) {
+        const measure = async (text) => {
+            if (session.measureInputUsage) return await session.measureInputUsage(text);
+            return Math.ceil(text.length / CHARS_PER_TOKEN);
+        };
+        const quota = session.inputQuota ?? FALLBACK_QUOTA;
+        let budget = Math.floor((quota - (session.inputUsage ?? 0)) * SOURCE_SHARE);
+
+        const kept = [];
+        for (const source of sources) {
+            const block = `[${kept.length + 1}] ${source.name}\n${source.text}`;
+            const cost = await measure(block);
+            if (cost > budget) break;
+            budget -= cost;
+            kept.push({ ...source, n: kept.length + 1, block });
+        }
+        if (kept.length === 0) return { prompt: message, sources: [] };
+
+        const prompt = 'Answer using the numbered excerpts from the project\'s documents below when they are relevant, ' +
+            'and cite them like [1] or [2]. If they do not contain the answer, say so.\n\n' +
+            `${kept.map(s => s.block).join('\n\n')}\n\n--- Question ---\n${message}`;
+        return { prompt, sources: kept.map(({ n, docId, passage, name }) => ({ n, docId, passage, name })) };
+    }
+};
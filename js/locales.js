@@ -26,6 +26,7 @@ export const locales = {
                 <li>Prompt API for Gemini Nano</li>
                 <li>Writer API for Gemini Nano</li>
                 <li>Rewriter API for Gemini Nano</li>
+                <li>Summarization API for Gemini Nano</li>
                 <li>Proofreader API for Gemini Nano</li>
                 <li>Enables optimization guide on device</li>
             </ul>`,
@@ -91,7 +92,233 @@ export const locales = {
         mode_desc_editor: "Fix grammar and improve style.",
         diag_prompt: "Chat Capabilities",
         diag_writer: "Writer Capabilities",
-        diag_rewriter: "Editor Capabilities"
+        diag_rewriter: "Editor Capabilities",
+        backend_label: "Backend",
+        backend_builtin: "Built-in (Gemini Nano)",
+        backend_local: "Local Endpoint",
+        diag_local: "Local Endpoint",
+        status_not_configured: "Not Configured",
+        status_unreachable: "Unreachable",
+        local_setup_btn: "Use a Local Endpoint",
+        local_endpoint_label: "Local Endpoint URL",
+        local_model_label: "Model",
+        local_endpoint_help: "Any OpenAI-compatible server running on this machine (llama.cpp server, Ollama, LM Studio).",
+        update_available: "A new version of PrivacyAI is available.",
+        update_reload: "Reload",
+        mode_summarizer: "Summarize",
+        mode_desc_summarizer: "Condense long notes and articles.",
+        diag_summarizer: "Summarizer Capabilities",
+        summarizer_input: "Text to Summarize",
+        summarizer_output: "Summary",
+        summarizer_placeholder: "Paste meeting notes or an article...",
+        opt_type: "Type",
+        opt_format: "Format",
+        opt_length: "Length",
+        sum_type_tldr: "TL;DR",
+        sum_type_key_points: "Key Points",
+        sum_type_teaser: "Teaser",
+        sum_type_headline: "Headline",
+        format_markdown: "Markdown",
+        format_plain: "Plain Text",
+        len_medium: "Medium",
+        mode_proofreader: "Proofread",
+        mode_desc_proofreader: "Check spelling and grammar, correction by correction.",
+        diag_proofreader: "Proofreader Capabilities",
+        proofread_accept: "Accept",
+        proofread_reject: "Reject",
+        proofread_accept_all: "✓ Accept All",
+        proofread_edit: "✏️ Edit Text",
+        revisions_label: "Revisions",
+        revisions_empty: "No runs yet.",
+        revision_restore: "↺ Use as Input",
+        opt_tone: "Tone",
+        tone_more_formal: "More Formal",
+        tone_more_casual: "More Casual",
+        tone_asis: "Unchanged",
+        tone_neutral: "Neutral",
+        format_asis: "Unchanged",
+        len_shorter: "Shorter",
+        len_longer: "Longer",
+        writer_context_label: "Shared Context",
+        writer_context_placeholder: "Audience, company background, style notes... (used for every draft)",
+        writer_prompt_label: "What to Write",
+        drafts_label: "Drafts",
+        drafts_empty: "No drafts yet.",
+        compare_close: "✕ Close Compare",
+        draft_star: "Star",
+        draft_compare: "Compare",
+        draft_copy: "Copy",
+        draft_to_editor: "Send to Editor",
+        draft_delete: "Delete",
+        context_restored: "Context restored: kept {kept} of {total} earlier messages.",
+        context_summarized: "Older messages were summarized.",
+        context_truncated: "Older messages were left out.",
+        stop_btn: "Stop",
+        edit_btn: "Edit",
+        regenerate_btn: "Regenerate",
+        save_send_btn: "Save & Send",
+        message_stopped: "Stopped",
+        branch_prev: "Previous version",
+        branch_next: "Next version",
+        backup_btn: "💾 Backup",
+        backup_title: "Backup & Restore",
+        backup_help: "Save every project and setting to a JSON file, or restore one on another machine. Nothing is uploaded.",
+        backup_export: "Export All (JSON)",
+        backup_conflict_label: "If a project already exists",
+        backup_merge: "Merge (keep everything)",
+        backup_duplicate: "Import as a copy",
+        backup_overwrite: "Overwrite local version",
+        backup_import: "Import File…",
+        backup_copy_suffix: " (copy)",
+        backup_done: "Imported {count} projects.",
+        backup_invalid: "This file is not a PrivacyAI backup.",
+        backup_too_new: "This backup was made by a newer version of PrivacyAI.",
+        export_title: "Export",
+        lock_title: "PrivacyAI is locked",
+        lock_desc: "Enter your passphrase to decrypt your projects.",
+        unlock_btn: "Unlock",
+        unlocking: "Unlocking...",
+        wrong_passphrase: "Wrong passphrase.",
+        security_label: "Passphrase Lock",
+        security_on: "Your projects are encrypted with a passphrase.",
+        security_off: "Projects are stored unencrypted in this browser.",
+        passphrase_set: "Set Passphrase",
+        passphrase_change: "Change Passphrase",
+        passphrase_remove: "Remove Passphrase",
+        passphrase_current: "Current Passphrase",
+        passphrase_new: "New Passphrase",
+        passphrase_confirm: "Confirm Passphrase",
+        passphrase_warning: "There is no recovery: if you forget the passphrase, your projects cannot be decrypted.",
+        passphrase_too_short: "Use at least 8 characters.",
+        passphrase_mismatch: "The passphrases do not match.",
+        autolock_label: "Auto-lock after inactivity",
+        autolock_never: "Never",
+        search_placeholder: "Search all chats...",
+        search_results: "Search Results",
+        search_empty: "No matches.",
+        pinned: "Pinned",
+        pin: "Pin",
+        unpin: "Unpin",
+        tags: "Tags",
+        tags_prompt: "Tags (comma-separated)",
+        new_folder: "+ Folder",
+        new_folder_prompt: "Folder Name",
+        rename_folder: "Rename Folder",
+        delete_folder: "Delete Folder",
+        delete_folder_confirm: "Delete this folder? Its chats move to the top level.",
+        sort_recent: "Recent activity",
+        sort_manual: "Custom order",
+        storage_blocked: "Close other PrivacyAI tabs to finish updating your data.",
+        storage_outdated: "PrivacyAI was updated in another tab. Reload to continue.",
+        storage_failed: "Your data could not be upgraded and was left unchanged. Reload to try again.",
+        storage_too_new: "Your data was saved by a newer version of PrivacyAI. Reload to update the app.",
+        conflict_title: "Edited in another tab",
+        conflict_text: "This chat was changed in another tab since you opened it. Merge keeps the messages from both; reload shows the other tab's version and drops your latest change.",
+        conflict_merge: "Merge both",
+        conflict_reload: "Discard mine and reload",
+        storage_vault: "The passphrase was changed in another tab. Reload to unlock with the new one.",
+        templates_btn: "📝 Templates",
+        templates_title: "Prompt Templates",
+        templates_help: "Write {{variable}} for the parts that change. Type / in the input of the matching mode to pick a template.",
+        templates_import: "Import Pack…",
+        templates_export: "Export Pack",
+        templates_new: "+ New Template",
+        template_name: "Name",
+        template_text: "Prompt",
+        template_insert: "Insert",
+        template_use: "Use",
+        template_edit: "Edit",
+        template_delete: "Delete",
+        template_delete_confirm: "Delete this template?",
+        templates_empty: "No templates yet.",
+        templates_no_match: "No matching templates. Add some under 📝 Templates.",
+        templates_imported: "Imported {count} templates.",
+        templates_invalid: "This file is not a PrivacyAI template pack.",
+        templates_too_new: "This pack was made by a newer version of PrivacyAI.",
+        project_settings: "Chat Settings",
+        temperature_label: "Temperature",
+        topk_label: "Top-K",
+        sampling_help: "Leave empty for the model default (temperature {temperature}, top-K {topK}).",
+        copy_btn: "Copy",
+        copied: "Copied",
+        code_copy: "Copy code",
+        code_download: "Download as file",
+        jump_latest: "Jump to latest",
+        attach_btn: "Attach documents",
+        attach_reading: "Reading…",
+        attach_remove: "Remove",
+        attach_unsupported: "Unsupported file type",
+        attach_too_large: "File is too large (max. 20 MB)",
+        attach_encrypted: "Password-protected PDF",
+        attach_empty: "No text found (scanned pages cannot be read)",
+        attach_unreadable: "Could not read the file",
+        attach_truncated: "The documents are too long for the model: only {included} of {total} parts were sent.",
+        attach_missing: "This file is not stored on this device.",
+        attach_save_failed: "The attached files could not be saved (the browser's storage may be full).",
+        knowledge_title: "Knowledge Base",
+        knowledge_help: "Documents added here are searched before every message in this chat; the best passages are given to the model, and the answer cites them. Everything is indexed and searched on this device.",
+        knowledge_add: "+ Add Documents",
+        knowledge_empty: "No documents yet. Add PDF, DOCX or text files.",
+        knowledge_passages: "{count} passages",
+        knowledge_remove: "Remove",
+        knowledge_remove_confirm: "Remove this document from the knowledge base?",
+        knowledge_adding: "Indexing {name}…",
+        knowledge_added: "Added {count} documents.",
+        knowledge_missing: "This document is no longer in the knowledge base.",
+        sources_label: "Sources:",
+        record_btn: "Record audio",
+        record_stop: "Stop recording",
+        media_image_unsupported: "This model does not accept images",
+        media_audio_unsupported: "This model does not accept audio",
+        media_audio_unavailable: "The current model does not accept audio. Audio input needs Chrome's built-in model with multimodal input enabled.",
+        media_mic_denied: "Microphone access was denied.",
+        media_recording_unsupported: "This browser cannot record audio.",
+        output_label: "Replies",
+        output_text: "Free text",
+        output_structured: "Structured (JSON Schema)",
+        schema_preset_label: "Start from",
+        schema_preset_none: "My own schema",
+        schema_preset_email: "Email fields",
+        schema_preset_ticket: "Support ticket",
+        schema_preset_contact: "Contact details",
+        schema_label: "JSON Schema",
+        schema_invalid: "The schema must be a JSON object.",
+        structured_help: "Every reply is constrained to this schema and shown as a JSON tree. Use 🗂️ next to Send to run it over many inputs at once.",
+        schema_valid: "✓ Matches the schema",
+        schema_problems: "⚠ {count} problems with the schema:",
+        json_download: "Download as JSON",
+        csv_download: "Download as CSV",
+        structured_batch_title: "Batch Extraction",
+        structured_batch_help: "Paste the inputs below. Each one is sent on its own with this project's schema, and the results are collected in the table.",
+        batch_split_label: "Inputs are separated by",
+        batch_split_blank: "A blank line",
+        batch_split_line: "A line break (one per line)",
+        batch_split_rule: "A line of ---",
+        batch_run: "Run",
+        batch_stop: "Stop",
+        batch_export_csv: "Download CSV",
+        batch_export_json: "Download JSON",
+        batch_progress: "Processing {done} of {total}…",
+        batch_done: "Processed {done} of {total}.",
+        batch_input: "Input",
+        batch_check: "Check",
+        batch_btn: "🗂️ Batch",
+        batch_title: "Batch Processing",
+        batch_help: "Every item is run with the mode's current options. The results stay with this project until the next batch.",
+        batch_format_label: "Items",
+        batch_split_custom: "A custom delimiter",
+        batch_format_csv: "CSV with a header row",
+        batch_delimiter: "Delimiter",
+        batch_column: "Column to run",
+        batch_concurrency: "At the same time",
+        batch_load: "Load File…",
+        batch_retry: "Retry Failed",
+        batch_pause: "Pause",
+        batch_resume: "Resume",
+        batch_counts: "{done} of {total} done, {failed} failed",
+        batch_pausing: "pausing after the running items…",
+        batch_paused: "paused",
+        batch_output: "Result"
     },
     lt: {
         brand: "PrivatumasAI",
@@ -120,6 +347,7 @@ export const locales = {
                 <li>Prompt API for Gemini Nano</li>
                 <li>Writer API for Gemini Nano</li>
                 <li>Rewriter API for Gemini Nano</li>
+                <li>Summarization API for Gemini Nano</li>
                 <li>Proofreader API for Gemini Nano</li>
                 <li>Enables optimization guide on device</li>
             </ul>`,
@@ -173,7 +401,233 @@ export const locales = {
             { q: "Kuo skiriasi 'Rašytojas' nuo 'Pokalbio'?", a: "Pokalbis skirtas bendravimui. Rašytojas optimizuotas kurti ilgus tekstus, laiškus ar straipsnius be nereikalingų pokalbio intarpų." },
             { q: "Kas yra 'Redaktoriaus' režimas?", a: "Redaktorius leidžia įklijuoti tekstą ir paprašyti AI jį perrašyti formaliau, trumpiau ar tiesiog pataisyti stilių." },
             { q: "Kodėl rodo 'Nepalaikoma'?", a: "Patikrinkite ar įjungėte visas reikiamas Chrome Flags parinktis chrome://flags puslapyje." }
-        ]
+        ],
+        backend_label: "Variklis",
+        backend_builtin: "Integruotas (Gemini Nano)",
+        backend_local: "Vietinis Serveris",
+        diag_local: "Vietinis Serveris",
+        status_not_configured: "Nenustatyta",
+        status_unreachable: "Nepasiekiamas",
+        local_setup_btn: "Naudoti Vietinį Serverį",
+        local_endpoint_label: "Vietinio Serverio URL",
+        local_model_label: "Modelis",
+        local_endpoint_help: "Bet koks su OpenAI suderinamas serveris, veikiantis šiame kompiuteryje (llama.cpp server, Ollama, LM Studio).",
+        update_available: "Yra nauja PrivatumasAI versija.",
+        update_reload: "Perkrauti",
+        mode_summarizer: "Santrauka",
+        mode_desc_summarizer: "Sutraukite ilgus užrašus ir straipsnius.",
+        diag_summarizer: "Santraukų Galimybės",
+        summarizer_input: "Tekstas Santraukai",
+        summarizer_output: "Santrauka",
+        summarizer_placeholder: "Įklijuokite užrašus ar straipsnį...",
+        opt_type: "Tipas",
+        opt_format: "Formatas",
+        opt_length: "Ilgis",
+        sum_type_tldr: "Trumpai",
+        sum_type_key_points: "Pagrindinės Mintys",
+        sum_type_teaser: "Anonsas",
+        sum_type_headline: "Antraštė",
+        format_markdown: "Markdown",
+        format_plain: "Paprastas Tekstas",
+        len_medium: "Vidutinis",
+        mode_proofreader: "Korektūra",
+        mode_desc_proofreader: "Tikrinkite rašybą ir gramatiką.",
+        diag_proofreader: "Korektūros Galimybės",
+        proofread_accept: "Priimti",
+        proofread_reject: "Atmesti",
+        proofread_accept_all: "✓ Priimti Visus",
+        proofread_edit: "✏️ Redaguoti",
+        revisions_label: "Versijos",
+        revisions_empty: "Dar nėra versijų.",
+        revision_restore: "↺ Naudoti kaip Tekstą",
+        opt_tone: "Tonas",
+        tone_more_formal: "Formaliau",
+        tone_more_casual: "Laisviau",
+        tone_asis: "Nekeisti",
+        tone_neutral: "Neutralus",
+        format_asis: "Nekeisti",
+        len_shorter: "Trumpiau",
+        len_longer: "Ilgiau",
+        writer_context_label: "Bendras Kontekstas",
+        writer_context_placeholder: "Auditorija, įmonės informacija, stiliaus pastabos... (naudojama kiekvienam juodraščiui)",
+        writer_prompt_label: "Ką Parašyti",
+        drafts_label: "Juodraščiai",
+        drafts_empty: "Juodraščių dar nėra.",
+        compare_close: "✕ Uždaryti Palyginimą",
+        draft_star: "Pažymėti",
+        draft_compare: "Palyginti",
+        draft_copy: "Kopijuoti",
+        draft_to_editor: "Siųsti į Redaktorių",
+        draft_delete: "Ištrinti",
+        context_restored: "Kontekstas atkurtas: išsaugota {kept} iš {total} ankstesnių žinučių.",
+        context_summarized: "Senesnės žinutės apibendrintos.",
+        context_truncated: "Senesnės žinutės praleistos.",
+        stop_btn: "Sustabdyti",
+        edit_btn: "Redaguoti",
+        regenerate_btn: "Generuoti iš naujo",
+        save_send_btn: "Išsaugoti ir siųsti",
+        message_stopped: "Sustabdyta",
+        branch_prev: "Ankstesnė versija",
+        branch_next: "Kita versija",
+        backup_btn: "💾 Atsarginė kopija",
+        backup_title: "Atsarginė kopija ir atkūrimas",
+        backup_help: "Išsaugokite visus projektus ir nustatymus JSON faile arba atkurkite juos kitame kompiuteryje. Niekas neįkeliama.",
+        backup_export: "Eksportuoti viską (JSON)",
+        backup_conflict_label: "Jei projektas jau egzistuoja",
+        backup_merge: "Sujungti (išsaugoti viską)",
+        backup_duplicate: "Importuoti kaip kopiją",
+        backup_overwrite: "Perrašyti vietinę versiją",
+        backup_import: "Importuoti failą…",
+        backup_copy_suffix: " (kopija)",
+        backup_done: "Importuota projektų: {count}.",
+        backup_invalid: "Šis failas nėra PrivacyAI atsarginė kopija.",
+        backup_too_new: "Ši kopija sukurta naujesne PrivacyAI versija.",
+        export_title: "Eksportuoti",
+        lock_title: "PrivacyAI užrakinta",
+        lock_desc: "Įveskite slaptafrazę, kad iššifruotumėte projektus.",
+        unlock_btn: "Atrakinti",
+        unlocking: "Atrakinama...",
+        wrong_passphrase: "Neteisinga slaptafrazė.",
+        security_label: "Slaptafrazės užraktas",
+        security_on: "Jūsų projektai užšifruoti slaptafraze.",
+        security_off: "Projektai šioje naršyklėje saugomi neužšifruoti.",
+        passphrase_set: "Nustatyti slaptafrazę",
+        passphrase_change: "Keisti slaptafrazę",
+        passphrase_remove: "Pašalinti slaptafrazę",
+        passphrase_current: "Dabartinė slaptafrazė",
+        passphrase_new: "Nauja slaptafrazė",
+        passphrase_confirm: "Pakartokite slaptafrazę",
+        passphrase_warning: "Atkūrimo nėra: pamiršus slaptafrazę, projektų iššifruoti nepavyks.",
+        passphrase_too_short: "Naudokite bent 8 simbolius.",
+        passphrase_mismatch: "Slaptafrazės nesutampa.",
+        autolock_label: "Automatiškai užrakinti po neveiklumo",
+        autolock_never: "Niekada",
+        search_placeholder: "Ieškoti visuose pokalbiuose...",
+        search_results: "Paieškos rezultatai",
+        search_empty: "Nieko nerasta.",
+        pinned: "Prisegti",
+        pin: "Prisegti",
+        unpin: "Atsegti",
+        tags: "Žymos",
+        tags_prompt: "Žymos (atskirtos kableliais)",
+        new_folder: "+ Aplankas",
+        new_folder_prompt: "Aplanko pavadinimas",
+        rename_folder: "Pervadinti aplanką",
+        delete_folder: "Ištrinti aplanką",
+        delete_folder_confirm: "Ištrinti šį aplanką? Jo pokalbiai bus perkelti į viršutinį lygį.",
+        sort_recent: "Naujausia veikla",
+        sort_manual: "Savo tvarka",
+        storage_blocked: "Uždarykite kitus PrivacyAI skirtukus, kad duomenų atnaujinimas būtų užbaigtas.",
+        storage_outdated: "PrivacyAI buvo atnaujinta kitame skirtuke. Įkelkite iš naujo, kad tęstumėte.",
+        storage_failed: "Duomenų nepavyko atnaujinti, jie liko nepakeisti. Įkelkite iš naujo ir bandykite dar kartą.",
+        storage_too_new: "Duomenys išsaugoti naujesne PrivacyAI versija. Įkelkite iš naujo, kad atnaujintumėte programą.",
+        conflict_title: "Redaguota kitame skirtuke",
+        conflict_text: "Šis pokalbis buvo pakeistas kitame skirtuke po to, kai jį atidarėte. Sujungus išliks abiejų žinutės; įkėlus iš naujo bus rodoma kito skirtuko versija, o jūsų paskutinis pakeitimas dings.",
+        conflict_merge: "Sujungti abu",
+        conflict_reload: "Atmesti mano ir įkelti iš naujo",
+        storage_vault: "Slaptafrazė buvo pakeista kitame skirtuke. Įkelkite iš naujo ir atrakinkite nauja.",
+        templates_btn: "📝 Šablonai",
+        templates_title: "Užklausų šablonai",
+        templates_help: "Kintančioms dalims rašykite {{kintamasis}}. Norėdami pasirinkti šabloną, atitinkamo režimo lauke įveskite /.",
+        templates_import: "Importuoti rinkinį…",
+        templates_export: "Eksportuoti rinkinį",
+        templates_new: "+ Naujas šablonas",
+        template_name: "Pavadinimas",
+        template_text: "Užklausa",
+        template_insert: "Įterpti",
+        template_use: "Naudoti",
+        template_edit: "Redaguoti",
+        template_delete: "Ištrinti",
+        template_delete_confirm: "Ištrinti šį šabloną?",
+        templates_empty: "Šablonų dar nėra.",
+        templates_no_match: "Atitinkančių šablonų nėra. Pridėkite juos per 📝 Šablonai.",
+        templates_imported: "Importuota šablonų: {count}.",
+        templates_invalid: "Šis failas nėra PrivacyAI šablonų rinkinys.",
+        templates_too_new: "Šis rinkinys sukurtas naujesne PrivacyAI versija.",
+        project_settings: "Pokalbio nustatymai",
+        temperature_label: "Temperatūra",
+        topk_label: "Top-K",
+        sampling_help: "Palikite tuščią, kad būtų naudojama modelio numatytoji reikšmė (temperatūra {temperature}, top-K {topK}).",
+        copy_btn: "Kopijuoti",
+        copied: "Nukopijuota",
+        code_copy: "Kopijuoti kodą",
+        code_download: "Atsisiųsti kaip failą",
+        jump_latest: "Į naujausią",
+        attach_btn: "Pridėti dokumentus",
+        attach_reading: "Skaitoma…",
+        attach_remove: "Pašalinti",
+        attach_unsupported: "Nepalaikomas failo tipas",
+        attach_too_large: "Failas per didelis (daugiausia 20 MB)",
+        attach_encrypted: "Slaptažodžiu apsaugotas PDF",
+        attach_empty: "Teksto nerasta (nuskenuotų puslapių perskaityti negalima)",
+        attach_unreadable: "Nepavyko perskaityti failo",
+        attach_truncated: "Dokumentai per ilgi modeliui: išsiųsta tik {included} iš {total} dalių.",
+        attach_missing: "Šis failas šiame įrenginyje nesaugomas.",
+        attach_save_failed: "Nepavyko išsaugoti pridėtų failų (naršyklės saugykla gali būti pilna).",
+        knowledge_title: "Žinių bazė",
+        knowledge_help: "Čia pridėti dokumentai peržiūrimi prieš kiekvieną šio pokalbio žinutę; tinkamiausios ištraukos pateikiamos modeliui, o atsakyme į jas nurodomos nuorodos. Viskas indeksuojama ir ieškoma šiame įrenginyje.",
+        knowledge_add: "+ Pridėti dokumentus",
+        knowledge_empty: "Dokumentų dar nėra. Pridėkite PDF, DOCX arba tekstinius failus.",
+        knowledge_passages: "Ištraukų: {count}",
+        knowledge_remove: "Pašalinti",
+        knowledge_remove_confirm: "Pašalinti šį dokumentą iš žinių bazės?",
+        knowledge_adding: "Indeksuojama {name}…",
+        knowledge_added: "Pridėta dokumentų: {count}.",
+        knowledge_missing: "Šio dokumento žinių bazėje nebėra.",
+        sources_label: "Šaltiniai:",
+        record_btn: "Įrašyti garsą",
+        record_stop: "Sustabdyti įrašymą",
+        media_image_unsupported: "Šis modelis nepriima paveikslėlių",
+        media_audio_unsupported: "Šis modelis nepriima garso",
+        media_audio_unavailable: "Dabartinis modelis nepriima garso. Garso įvestis veikia su Chrome integruotu modeliu, kai įjungta multimodalinė įvestis.",
+        media_mic_denied: "Prieiga prie mikrofono uždrausta.",
+        media_recording_unsupported: "Ši naršyklė negali įrašyti garso.",
+        output_label: "Atsakymai",
+        output_text: "Laisvas tekstas",
+        output_structured: "Struktūruoti (JSON Schema)",
+        schema_preset_label: "Pradėti nuo",
+        schema_preset_none: "Mano schema",
+        schema_preset_email: "El. laiško laukai",
+        schema_preset_ticket: "Pagalbos užklausa",
+        schema_preset_contact: "Kontaktiniai duomenys",
+        schema_label: "JSON Schema",
+        schema_invalid: "Schema turi būti JSON objektas.",
+        structured_help: "Kiekvienas atsakymas ribojamas šia schema ir rodomas kaip JSON medis. Mygtuku 🗂️ šalia „Siųsti“ galite ją pritaikyti daugeliui įvesčių iš karto.",
+        schema_valid: "✓ Atitinka schemą",
+        schema_problems: "⚠ Neatitikimų su schema: {count}:",
+        json_download: "Atsisiųsti kaip JSON",
+        csv_download: "Atsisiųsti kaip CSV",
+        structured_batch_title: "Paketinis išgavimas",
+        structured_batch_help: "Įklijuokite įvestis žemiau. Kiekviena siunčiama atskirai su šio projekto schema, o rezultatai surenkami lentelėje.",
+        batch_split_label: "Įvestis skiria",
+        batch_split_blank: "Tuščia eilutė",
+        batch_split_line: "Eilutės lūžis (po vieną eilutėje)",
+        batch_split_rule: "Eilutė ---",
+        batch_run: "Vykdyti",
+        batch_stop: "Sustabdyti",
+        batch_export_csv: "Atsisiųsti CSV",
+        batch_export_json: "Atsisiųsti JSON",
+        batch_progress: "Apdorojama {done} iš {total}…",
+        batch_done: "Apdorota {done} iš {total}.",
+        batch_input: "Įvestis",
+        batch_check: "Patikra",
+        batch_btn: "🗂️ Paketas",
+        batch_title: "Paketinis apdorojimas",
+        batch_help: "Kiekvienas elementas vykdomas su dabartinėmis režimo parinktimis. Rezultatai lieka šiame projekte iki kito paketo.",
+        batch_format_label: "Elementai",
+        batch_split_custom: "Pasirinktas skirtukas",
+        batch_format_csv: "CSV su antraštės eilute",
+        batch_delimiter: "Skirtukas",
+        batch_column: "Vykdomas stulpelis",
+        batch_concurrency: "Vienu metu",
+        batch_load: "Įkelti failą…",
+        batch_retry: "Kartoti nepavykusius",
+        batch_pause: "Pristabdyti",
+        batch_resume: "Tęsti",
+        batch_counts: "Atlikta {done} iš {total}, nepavyko {failed}",
+        batch_pausing: "stabdoma po vykdomų elementų…",
+        batch_paused: "pristabdyta",
+        batch_output: "Rezultatas"
     },
     pl: {
         brand: "PrywatneAI",
@@ -202,6 +656,7 @@ export const locales = {
                 <li>Prompt API for Gemini Nano</li>
                 <li>Writer API for Gemini Nano</li>
                 <li>Rewriter API for Gemini Nano</li>
+                <li>Summarization API for Gemini Nano</li>
                 <li>Proofreader API for Gemini Nano</li>
                 <li>Enables optimization guide on device</li>
             </ul>`,
@@ -255,7 +710,233 @@ export const locales = {
             { q: "Czym różni się 'Pisarz' od 'Czatu'?", a: "Czat służy do rozmowy. Pisarz jest zoptymalizowany do tworzenia długich treści, takich jak e-maile czy artykuły." },
             { q: "Co to jest tryb 'Edytor'?", a: "Edytor pozwala wkleić tekst i poprosić AI o jego poprawienie, zmianę tonu na bardziej formalny lub skrócenie." },
             { q: "Dlaczego 'Brak wsparcia'?", a: "Sprawdź, czy włączyłeś wymagane flagi Chrome w chrome://flags." }
-        ]
+        ],
+        backend_label: "Silnik",
+        backend_builtin: "Wbudowany (Gemini Nano)",
+        backend_local: "Lokalny Serwer",
+        diag_local: "Lokalny Serwer",
+        status_not_configured: "Nie skonfigurowano",
+        status_unreachable: "Niedostępny",
+        local_setup_btn: "Użyj Lokalnego Serwera",
+        local_endpoint_label: "Adres Lokalnego Serwera",
+        local_model_label: "Model",
+        local_endpoint_help: "Dowolny serwer zgodny z OpenAI działający na tym komputerze (llama.cpp server, Ollama, LM Studio).",
+        update_available: "Dostępna jest nowa wersja PrywatneAI.",
+        update_reload: "Odśwież",
+        mode_summarizer: "Podsumowanie",
+        mode_desc_summarizer: "Streszczaj długie notatki i artykuły.",
+        diag_summarizer: "Możliwości Podsumowań",
+        summarizer_input: "Tekst do Podsumowania",
+        summarizer_output: "Podsumowanie",
+        summarizer_placeholder: "Wklej notatki lub artykuł...",
+        opt_type: "Typ",
+        opt_format: "Format",
+        opt_length: "Długość",
+        sum_type_tldr: "TL;DR",
+        sum_type_key_points: "Kluczowe Punkty",
+        sum_type_teaser: "Zajawka",
+        sum_type_headline: "Nagłówek",
+        format_markdown: "Markdown",
+        format_plain: "Zwykły Tekst",
+        len_medium: "Średnio",
+        mode_proofreader: "Korekta",
+        mode_desc_proofreader: "Sprawdzaj pisownię i gramatykę.",
+        diag_proofreader: "Możliwości Korekty",
+        proofread_accept: "Akceptuj",
+        proofread_reject: "Odrzuć",
+        proofread_accept_all: "✓ Akceptuj Wszystkie",
+        proofread_edit: "✏️ Edytuj Tekst",
+        revisions_label: "Wersje",
+        revisions_empty: "Brak wersji.",
+        revision_restore: "↺ Użyj jako Tekstu",
+        opt_tone: "Ton",
+        tone_more_formal: "Bardziej Formalny",
+        tone_more_casual: "Bardziej Luźny",
+        tone_asis: "Bez Zmian",
+        tone_neutral: "Neutralny",
+        format_asis: "Bez Zmian",
+        len_shorter: "Krócej",
+        len_longer: "Dłużej",
+        writer_context_label: "Wspólny Kontekst",
+        writer_context_placeholder: "Odbiorcy, informacje o firmie, uwagi o stylu... (używane w każdym szkicu)",
+        writer_prompt_label: "Co Napisać",
+        drafts_label: "Szkice",
+        drafts_empty: "Brak szkiców.",
+        compare_close: "✕ Zamknij Porównanie",
+        draft_star: "Oznacz",
+        draft_compare: "Porównaj",
+        draft_copy: "Kopiuj",
+        draft_to_editor: "Wyślij do Edytora",
+        draft_delete: "Usuń",
+        context_restored: "Przywrócono kontekst: zachowano {kept} z {total} wcześniejszych wiadomości.",
+        context_summarized: "Starsze wiadomości zostały podsumowane.",
+        context_truncated: "Starsze wiadomości zostały pominięte.",
+        stop_btn: "Zatrzymaj",
+        edit_btn: "Edytuj",
+        regenerate_btn: "Wygeneruj ponownie",
+        save_send_btn: "Zapisz i wyślij",
+        message_stopped: "Zatrzymano",
+        branch_prev: "Poprzednia wersja",
+        branch_next: "Następna wersja",
+        backup_btn: "💾 Kopia zapasowa",
+        backup_title: "Kopia zapasowa i przywracanie",
+        backup_help: "Zapisz wszystkie projekty i ustawienia w pliku JSON lub przywróć je na innym komputerze. Nic nie jest wysyłane.",
+        backup_export: "Eksportuj wszystko (JSON)",
+        backup_conflict_label: "Jeśli projekt już istnieje",
+        backup_merge: "Scal (zachowaj wszystko)",
+        backup_duplicate: "Importuj jako kopię",
+        backup_overwrite: "Nadpisz wersję lokalną",
+        backup_import: "Importuj plik…",
+        backup_copy_suffix: " (kopia)",
+        backup_done: "Zaimportowano projektów: {count}.",
+        backup_invalid: "Ten plik nie jest kopią zapasową PrivacyAI.",
+        backup_too_new: "Ta kopia została utworzona w nowszej wersji PrivacyAI.",
+        export_title: "Eksportuj",
+        lock_title: "PrivacyAI jest zablokowane",
+        lock_desc: "Wpisz hasło, aby odszyfrować projekty.",
+        unlock_btn: "Odblokuj",
+        unlocking: "Odblokowywanie...",
+        wrong_passphrase: "Nieprawidłowe hasło.",
+        security_label: "Blokada hasłem",
+        security_on: "Twoje projekty są zaszyfrowane hasłem.",
+        security_off: "Projekty są przechowywane w tej przeglądarce bez szyfrowania.",
+        passphrase_set: "Ustaw hasło",
+        passphrase_change: "Zmień hasło",
+        passphrase_remove: "Usuń hasło",
+        passphrase_current: "Obecne hasło",
+        passphrase_new: "Nowe hasło",
+        passphrase_confirm: "Potwierdź hasło",
+        passphrase_warning: "Nie ma odzyskiwania: jeśli zapomnisz hasła, projektów nie da się odszyfrować.",
+        passphrase_too_short: "Użyj co najmniej 8 znaków.",
+        passphrase_mismatch: "Hasła nie są zgodne.",
+        autolock_label: "Automatyczna blokada po bezczynności",
+        autolock_never: "Nigdy",
+        search_placeholder: "Szukaj we wszystkich czatach...",
+        search_results: "Wyniki wyszukiwania",
+        search_empty: "Brak wyników.",
+        pinned: "Przypięte",
+        pin: "Przypnij",
+        unpin: "Odepnij",
+        tags: "Tagi",
+        tags_prompt: "Tagi (oddzielone przecinkami)",
+        new_folder: "+ Folder",
+        new_folder_prompt: "Nazwa folderu",
+        rename_folder: "Zmień nazwę folderu",
+        delete_folder: "Usuń folder",
+        delete_folder_confirm: "Usunąć ten folder? Jego czaty trafią na najwyższy poziom.",
+        sort_recent: "Ostatnia aktywność",
+        sort_manual: "Własna kolejność",
+        storage_blocked: "Zamknij inne karty PrivacyAI, aby dokończyć aktualizację danych.",
+        storage_outdated: "PrivacyAI zaktualizowano w innej karcie. Odśwież, aby kontynuować.",
+        storage_failed: "Nie udało się zaktualizować danych; pozostały bez zmian. Odśwież, aby spróbować ponownie.",
+        storage_too_new: "Dane zapisała nowsza wersja PrivacyAI. Odśwież, aby zaktualizować aplikację.",
+        conflict_title: "Zmieniono w innej karcie",
+        conflict_text: "Ten czat został zmieniony w innej karcie po jego otwarciu. Scalenie zachowa wiadomości z obu; ponowne wczytanie pokaże wersję z drugiej karty i odrzuci Twoją ostatnią zmianę.",
+        conflict_merge: "Scal oba",
+        conflict_reload: "Odrzuć moje i wczytaj ponownie",
+        storage_vault: "Hasło zmieniono w innej karcie. Odśwież, aby odblokować nowym hasłem.",
+        templates_btn: "📝 Szablony",
+        templates_title: "Szablony promptów",
+        templates_help: "Wpisz {{zmienna}} w miejscach, które się zmieniają. Wpisz / w polu odpowiedniego trybu, aby wybrać szablon.",
+        templates_import: "Importuj pakiet…",
+        templates_export: "Eksportuj pakiet",
+        templates_new: "+ Nowy szablon",
+        template_name: "Nazwa",
+        template_text: "Prompt",
+        template_insert: "Wstaw",
+        template_use: "Użyj",
+        template_edit: "Edytuj",
+        template_delete: "Usuń",
+        template_delete_confirm: "Usunąć ten szablon?",
+        templates_empty: "Brak szablonów.",
+        templates_no_match: "Brak pasujących szablonów. Dodaj je w 📝 Szablony.",
+        templates_imported: "Zaimportowano szablony: {count}.",
+        templates_invalid: "Ten plik nie jest pakietem szablonów PrivacyAI.",
+        templates_too_new: "Ten pakiet utworzyła nowsza wersja PrivacyAI.",
+        project_settings: "Ustawienia czatu",
+        temperature_label: "Temperatura",
+        topk_label: "Top-K",
+        sampling_help: "Pozostaw puste, aby użyć wartości domyślnej modelu (temperatura {temperature}, top-K {topK}).",
+        copy_btn: "Kopiuj",
+        copied: "Skopiowano",
+        code_copy: "Kopiuj kod",
+        code_download: "Pobierz jako plik",
+        jump_latest: "Przejdź do najnowszych",
+        attach_btn: "Dołącz dokumenty",
+        attach_reading: "Odczytywanie…",
+        attach_remove: "Usuń",
+        attach_unsupported: "Nieobsługiwany typ pliku",
+        attach_too_large: "Plik jest za duży (maks. 20 MB)",
+        attach_encrypted: "PDF chroniony hasłem",
+        attach_empty: "Nie znaleziono tekstu (zeskanowanych stron nie da się odczytać)",
+        attach_unreadable: "Nie udało się odczytać pliku",
+        attach_truncated: "Dokumenty są za długie dla modelu: wysłano tylko {included} z {total} części.",
+        attach_missing: "Ten plik nie jest zapisany na tym urządzeniu.",
+        attach_save_failed: "Nie udało się zapisać załączonych plików (pamięć przeglądarki może być pełna).",
+        knowledge_title: "Baza wiedzy",
+        knowledge_help: "Dokumenty dodane tutaj są przeszukiwane przed każdą wiadomością w tym czacie; najlepsze fragmenty trafiają do modelu, a odpowiedź je cytuje. Wszystko jest indeksowane i przeszukiwane na tym urządzeniu.",
+        knowledge_add: "+ Dodaj dokumenty",
+        knowledge_empty: "Brak dokumentów. Dodaj pliki PDF, DOCX lub tekstowe.",
+        knowledge_passages: "Fragmenty: {count}",
+        knowledge_remove: "Usuń",
+        knowledge_remove_confirm: "Usunąć ten dokument z bazy wiedzy?",
+        knowledge_adding: "Indeksowanie {name}…",
+        knowledge_added: "Dodano dokumenty: {count}.",
+        knowledge_missing: "Tego dokumentu nie ma już w bazie wiedzy.",
+        sources_label: "Źródła:",
+        record_btn: "Nagraj dźwięk",
+        record_stop: "Zatrzymaj nagrywanie",
+        media_image_unsupported: "Ten model nie przyjmuje obrazów",
+        media_audio_unsupported: "Ten model nie przyjmuje dźwięku",
+        media_audio_unavailable: "Bieżący model nie przyjmuje dźwięku. Wejście audio wymaga wbudowanego modelu Chrome z włączonym wejściem multimodalnym.",
+        media_mic_denied: "Odmówiono dostępu do mikrofonu.",
+        media_recording_unsupported: "Ta przeglądarka nie może nagrywać dźwięku.",
+        output_label: "Odpowiedzi",
+        output_text: "Dowolny tekst",
+        output_structured: "Ustrukturyzowane (JSON Schema)",
+        schema_preset_label: "Zacznij od",
+        schema_preset_none: "Własny schemat",
+        schema_preset_email: "Pola e-maila",
+        schema_preset_ticket: "Zgłoszenie do wsparcia",
+        schema_preset_contact: "Dane kontaktowe",
+        schema_label: "JSON Schema",
+        schema_invalid: "Schemat musi być obiektem JSON.",
+        structured_help: "Każda odpowiedź jest ograniczona do tego schematu i wyświetlana jako drzewo JSON. Użyj 🗂️ obok „Wyślij”, aby uruchomić go dla wielu danych naraz.",
+        schema_valid: "✓ Zgodne ze schematem",
+        schema_problems: "⚠ Problemy ze schematem: {count}:",
+        json_download: "Pobierz jako JSON",
+        csv_download: "Pobierz jako CSV",
+        structured_batch_title: "Ekstrakcja wsadowa",
+        structured_batch_help: "Wklej dane poniżej. Każdy element jest wysyłany osobno ze schematem tego projektu, a wyniki trafiają do tabeli.",
+        batch_split_label: "Elementy są rozdzielone",
+        batch_split_blank: "Pustą linią",
+        batch_split_line: "Znakiem nowej linii (jeden w linii)",
+        batch_split_rule: "Linią ---",
+        batch_run: "Uruchom",
+        batch_stop: "Zatrzymaj",
+        batch_export_csv: "Pobierz CSV",
+        batch_export_json: "Pobierz JSON",
+        batch_progress: "Przetwarzanie {done} z {total}…",
+        batch_done: "Przetworzono {done} z {total}.",
+        batch_input: "Dane",
+        batch_check: "Kontrola",
+        batch_btn: "🗂️ Wsadowo",
+        batch_title: "Przetwarzanie wsadowe",
+        batch_help: "Każdy element jest uruchamiany z bieżącymi opcjami trybu. Wyniki zostają w tym projekcie do następnego wsadu.",
+        batch_format_label: "Elementy",
+        batch_split_custom: "Własny separator",
+        batch_format_csv: "CSV z wierszem nagłówka",
+        batch_delimiter: "Separator",
+        batch_column: "Kolumna do przetworzenia",
+        batch_concurrency: "Jednocześnie",
+        batch_load: "Wczytaj plik…",
+        batch_retry: "Ponów nieudane",
+        batch_pause: "Wstrzymaj",
+        batch_resume: "Wznów",
+        batch_counts: "Gotowe {done} z {total}, nieudane: {failed}",
+        batch_pausing: "wstrzymywanie po bieżących elementach…",
+        batch_paused: "wstrzymano",
+        batch_output: "Wynik"
     },
     de: {
         brand: "PrivatAI",
@@ -284,6 +965,7 @@ export const locales = {
                 <li>Prompt API for Gemini Nano</li>
                 <li>Writer API for Gemini Nano</li>
                 <li>Rewriter API for Gemini Nano</li>
+                <li>Summarization API for Gemini Nano</li>
                 <li>Proofreader API for Gemini Nano</li>
                 <li>Enables optimization guide on device</li>
             </ul>`,
@@ -337,7 +1019,233 @@ export const locales = {
             { q: "Warum 'Autor' vs 'Chat'?", a: "Chat ist für Unterhaltungen. Der Autor-Modus ist für das Verfassen langer Texte wie E-Mails oder Artikel optimiert." },
             { q: "Was ist der 'Editor'-Modus?", a: "Mit dem Editor können Sie Text einfügen und von der KI umschreiben, formaler gestalten oder kürzen lassen." },
             { q: "Warum 'Nicht unterstützt'?", a: "Überprüfen Sie, ob Sie die erforderlichen Chrome-Flags unter chrome://flags aktiviert haben." }
-        ]
+        ],
+        backend_label: "Backend",
+        backend_builtin: "Integriert (Gemini Nano)",
+        backend_local: "Lokaler Server",
+        diag_local: "Lokaler Server",
+        status_not_configured: "Nicht konfiguriert",
+        status_unreachable: "Nicht erreichbar",
+        local_setup_btn: "Lokalen Server nutzen",
+        local_endpoint_label: "URL des lokalen Servers",
+        local_model_label: "Modell",
+        local_endpoint_help: "Jeder OpenAI-kompatible Server, der auf diesem Rechner läuft (llama.cpp server, Ollama, LM Studio).",
+        update_available: "Eine neue Version von PrivatAI ist verfügbar.",
+        update_reload: "Neu laden",
+        mode_summarizer: "Zusammenfassen",
+        mode_desc_summarizer: "Lange Notizen und Artikel verdichten.",
+        diag_summarizer: "Zusammenfassungs-Funktionen",
+        summarizer_input: "Text zum Zusammenfassen",
+        summarizer_output: "Zusammenfassung",
+        summarizer_placeholder: "Notizen oder Artikel einfügen...",
+        opt_type: "Typ",
+        opt_format: "Format",
+        opt_length: "Länge",
+        sum_type_tldr: "TL;DR",
+        sum_type_key_points: "Kernpunkte",
+        sum_type_teaser: "Teaser",
+        sum_type_headline: "Schlagzeile",
+        format_markdown: "Markdown",
+        format_plain: "Nur Text",
+        len_medium: "Mittel",
+        mode_proofreader: "Korrektur",
+        mode_desc_proofreader: "Rechtschreibung und Grammatik prüfen.",
+        diag_proofreader: "Korrektur-Funktionen",
+        proofread_accept: "Übernehmen",
+        proofread_reject: "Verwerfen",
+        proofread_accept_all: "✓ Alle übernehmen",
+        proofread_edit: "✏️ Text bearbeiten",
+        revisions_label: "Versionen",
+        revisions_empty: "Noch keine Durchläufe.",
+        revision_restore: "↺ Als Eingabe nutzen",
+        opt_tone: "Ton",
+        tone_more_formal: "Formeller",
+        tone_more_casual: "Lockerer",
+        tone_asis: "Unverändert",
+        tone_neutral: "Neutral",
+        format_asis: "Unverändert",
+        len_shorter: "Kürzer",
+        len_longer: "Länger",
+        writer_context_label: "Gemeinsamer Kontext",
+        writer_context_placeholder: "Zielgruppe, Firmenhintergrund, Stilhinweise... (gilt für jeden Entwurf)",
+        writer_prompt_label: "Was schreiben?",
+        drafts_label: "Entwürfe",
+        drafts_empty: "Noch keine Entwürfe.",
+        compare_close: "✕ Vergleich schließen",
+        draft_star: "Markieren",
+        draft_compare: "Vergleichen",
+        draft_copy: "Kopieren",
+        draft_to_editor: "An Editor senden",
+        draft_delete: "Löschen",
+        context_restored: "Kontext wiederhergestellt: {kept} von {total} früheren Nachrichten übernommen.",
+        context_summarized: "Ältere Nachrichten wurden zusammengefasst.",
+        context_truncated: "Ältere Nachrichten wurden ausgelassen.",
+        stop_btn: "Stopp",
+        edit_btn: "Bearbeiten",
+        regenerate_btn: "Neu generieren",
+        save_send_btn: "Speichern & Senden",
+        message_stopped: "Gestoppt",
+        branch_prev: "Vorherige Version",
+        branch_next: "Nächste Version",
+        backup_btn: "💾 Sicherung",
+        backup_title: "Sichern & Wiederherstellen",
+        backup_help: "Alle Projekte und Einstellungen in einer JSON-Datei sichern oder auf einem anderen Gerät wiederherstellen. Nichts wird hochgeladen.",
+        backup_export: "Alles exportieren (JSON)",
+        backup_conflict_label: "Wenn ein Projekt bereits existiert",
+        backup_merge: "Zusammenführen (alles behalten)",
+        backup_duplicate: "Als Kopie importieren",
+        backup_overwrite: "Lokale Version überschreiben",
+        backup_import: "Datei importieren…",
+        backup_copy_suffix: " (Kopie)",
+        backup_done: "{count} Projekte importiert.",
+        backup_invalid: "Diese Datei ist keine PrivacyAI-Sicherung.",
+        backup_too_new: "Diese Sicherung stammt von einer neueren PrivacyAI-Version.",
+        export_title: "Exportieren",
+        lock_title: "PrivacyAI ist gesperrt",
+        lock_desc: "Gib deine Passphrase ein, um deine Projekte zu entschlüsseln.",
+        unlock_btn: "Entsperren",
+        unlocking: "Wird entsperrt...",
+        wrong_passphrase: "Falsche Passphrase.",
+        security_label: "Passphrasen-Sperre",
+        security_on: "Deine Projekte sind mit einer Passphrase verschlüsselt.",
+        security_off: "Projekte werden unverschlüsselt in diesem Browser gespeichert.",
+        passphrase_set: "Passphrase festlegen",
+        passphrase_change: "Passphrase ändern",
+        passphrase_remove: "Passphrase entfernen",
+        passphrase_current: "Aktuelle Passphrase",
+        passphrase_new: "Neue Passphrase",
+        passphrase_confirm: "Passphrase bestätigen",
+        passphrase_warning: "Es gibt keine Wiederherstellung: Ohne Passphrase lassen sich die Projekte nicht entschlüsseln.",
+        passphrase_too_short: "Mindestens 8 Zeichen verwenden.",
+        passphrase_mismatch: "Die Passphrasen stimmen nicht überein.",
+        autolock_label: "Automatisch sperren bei Inaktivität",
+        autolock_never: "Nie",
+        search_placeholder: "Alle Chats durchsuchen...",
+        search_results: "Suchergebnisse",
+        search_empty: "Keine Treffer.",
+        pinned: "Angeheftet",
+        pin: "Anheften",
+        unpin: "Lösen",
+        tags: "Tags",
+        tags_prompt: "Tags (durch Komma getrennt)",
+        new_folder: "+ Ordner",
+        new_folder_prompt: "Ordnername",
+        rename_folder: "Ordner umbenennen",
+        delete_folder: "Ordner löschen",
+        delete_folder_confirm: "Diesen Ordner löschen? Seine Chats wandern auf die oberste Ebene.",
+        sort_recent: "Letzte Aktivität",
+        sort_manual: "Eigene Reihenfolge",
+        storage_blocked: "Schließen Sie andere PrivacyAI-Tabs, um die Aktualisierung Ihrer Daten abzuschließen.",
+        storage_outdated: "PrivacyAI wurde in einem anderen Tab aktualisiert. Laden Sie neu, um fortzufahren.",
+        storage_failed: "Ihre Daten konnten nicht aktualisiert werden und blieben unverändert. Laden Sie neu, um es erneut zu versuchen.",
+        storage_too_new: "Ihre Daten wurden von einer neueren PrivacyAI-Version gespeichert. Laden Sie neu, um die App zu aktualisieren.",
+        conflict_title: "In einem anderen Tab bearbeitet",
+        conflict_text: "Dieser Chat wurde seit dem Öffnen in einem anderen Tab geändert. Zusammenführen behält die Nachrichten beider Versionen; Neu laden zeigt die Version des anderen Tabs und verwirft Ihre letzte Änderung.",
+        conflict_merge: "Beide zusammenführen",
+        conflict_reload: "Meine verwerfen und neu laden",
+        storage_vault: "Die Passphrase wurde in einem anderen Tab geändert. Laden Sie neu, um mit der neuen zu entsperren.",
+        templates_btn: "📝 Vorlagen",
+        templates_title: "Prompt-Vorlagen",
+        templates_help: "Schreiben Sie {{variable}} für die Teile, die sich ändern. Tippen Sie / in das Eingabefeld des passenden Modus, um eine Vorlage zu wählen.",
+        templates_import: "Paket importieren…",
+        templates_export: "Paket exportieren",
+        templates_new: "+ Neue Vorlage",
+        template_name: "Name",
+        template_text: "Prompt",
+        template_insert: "Einfügen",
+        template_use: "Verwenden",
+        template_edit: "Bearbeiten",
+        template_delete: "Löschen",
+        template_delete_confirm: "Diese Vorlage löschen?",
+        templates_empty: "Noch keine Vorlagen.",
+        templates_no_match: "Keine passenden Vorlagen. Fügen Sie welche unter 📝 Vorlagen hinzu.",
+        templates_imported: "{count} Vorlagen importiert.",
+        templates_invalid: "Diese Datei ist kein PrivacyAI-Vorlagenpaket.",
+        templates_too_new: "Dieses Paket stammt von einer neueren PrivacyAI-Version.",
+        project_settings: "Chat-Einstellungen",
+        temperature_label: "Temperatur",
+        topk_label: "Top-K",
+        sampling_help: "Leer lassen für den Standardwert des Modells (Temperatur {temperature}, Top-K {topK}).",
+        copy_btn: "Kopieren",
+        copied: "Kopiert",
+        code_copy: "Code kopieren",
+        code_download: "Als Datei herunterladen",
+        jump_latest: "Zum neuesten Stand",
+        attach_btn: "Dokumente anhängen",
+        attach_reading: "Wird gelesen…",
+        attach_remove: "Entfernen",
+        attach_unsupported: "Nicht unterstützter Dateityp",
+        attach_too_large: "Datei ist zu groß (max. 20 MB)",
+        attach_encrypted: "Passwortgeschütztes PDF",
+        attach_empty: "Kein Text gefunden (gescannte Seiten können nicht gelesen werden)",
+        attach_unreadable: "Datei konnte nicht gelesen werden",
+        attach_truncated: "Die Dokumente sind zu lang für das Modell: nur {included} von {total} Teilen wurden gesendet.",
+        attach_missing: "Diese Datei ist auf diesem Gerät nicht gespeichert.",
+        attach_save_failed: "Die angehängten Dateien konnten nicht gespeichert werden (der Browserspeicher ist möglicherweise voll).",
+        knowledge_title: "Wissensbasis",
+        knowledge_help: "Hier hinzugefügte Dokumente werden vor jeder Nachricht in diesem Chat durchsucht; die besten Passagen erhält das Modell, und die Antwort zitiert sie. Alles wird auf diesem Gerät indexiert und durchsucht.",
+        knowledge_add: "+ Dokumente hinzufügen",
+        knowledge_empty: "Noch keine Dokumente. Füge PDF-, DOCX- oder Textdateien hinzu.",
+        knowledge_passages: "{count} Passagen",
+        knowledge_remove: "Entfernen",
+        knowledge_remove_confirm: "Dieses Dokument aus der Wissensbasis entfernen?",
+        knowledge_adding: "{name} wird indexiert…",
+        knowledge_added: "{count} Dokumente hinzugefügt.",
+        knowledge_missing: "Dieses Dokument ist nicht mehr in der Wissensbasis.",
+        sources_label: "Quellen:",
+        record_btn: "Audio aufnehmen",
+        record_stop: "Aufnahme beenden",
+        media_image_unsupported: "Dieses Modell akzeptiert keine Bilder",
+        media_audio_unsupported: "Dieses Modell akzeptiert kein Audio",
+        media_audio_unavailable: "Das aktuelle Modell akzeptiert kein Audio. Audioeingabe erfordert das integrierte Chrome-Modell mit aktivierter multimodaler Eingabe.",
+        media_mic_denied: "Der Zugriff auf das Mikrofon wurde verweigert.",
+        media_recording_unsupported: "Dieser Browser kann kein Audio aufnehmen.",
+        output_label: "Antworten",
+        output_text: "Freier Text",
+        output_structured: "Strukturiert (JSON Schema)",
+        schema_preset_label: "Ausgehend von",
+        schema_preset_none: "Eigenes Schema",
+        schema_preset_email: "E-Mail-Felder",
+        schema_preset_ticket: "Support-Ticket",
+        schema_preset_contact: "Kontaktdaten",
+        schema_label: "JSON Schema",
+        schema_invalid: "Das Schema muss ein JSON-Objekt sein.",
+        structured_help: "Jede Antwort wird auf dieses Schema beschränkt und als JSON-Baum angezeigt. Mit 🗂️ neben „Senden“ läuft es über viele Eingaben auf einmal.",
+        schema_valid: "✓ Entspricht dem Schema",
+        schema_problems: "⚠ {count} Abweichungen vom Schema:",
+        json_download: "Als JSON herunterladen",
+        csv_download: "Als CSV herunterladen",
+        structured_batch_title: "Stapel-Extraktion",
+        structured_batch_help: "Füge die Eingaben unten ein. Jede wird einzeln mit dem Schema dieses Projekts gesendet, die Ergebnisse landen in der Tabelle.",
+        batch_split_label: "Eingaben sind getrennt durch",
+        batch_split_blank: "Eine Leerzeile",
+        batch_split_line: "Einen Zeilenumbruch (eine pro Zeile)",
+        batch_split_rule: "Eine Zeile ---",
+        batch_run: "Starten",
+        batch_stop: "Stoppen",
+        batch_export_csv: "CSV herunterladen",
+        batch_export_json: "JSON herunterladen",
+        batch_progress: "Verarbeite {done} von {total}…",
+        batch_done: "{done} von {total} verarbeitet.",
+        batch_input: "Eingabe",
+        batch_check: "Prüfung",
+        batch_btn: "🗂️ Stapel",
+        batch_title: "Stapelverarbeitung",
+        batch_help: "Jedes Element wird mit den aktuellen Optionen des Modus ausgeführt. Die Ergebnisse bleiben bis zum nächsten Stapel bei diesem Projekt.",
+        batch_format_label: "Elemente",
+        batch_split_custom: "Ein eigenes Trennzeichen",
+        batch_format_csv: "CSV mit Kopfzeile",
+        batch_delimiter: "Trennzeichen",
+        batch_column: "Auszuführende Spalte",
+        batch_concurrency: "Gleichzeitig",
+        batch_load: "Datei laden…",
+        batch_retry: "Fehlgeschlagene wiederholen",
+        batch_pause: "Pausieren",
+        batch_resume: "Fortsetzen",
+        batch_counts: "{done} von {total} fertig, {failed} fehlgeschlagen",
+        batch_pausing: "pausiert nach den laufenden Elementen…",
+        batch_paused: "pausiert",
+        batch_output: "Ergebnis"
     },
     es: {
         brand: "PrivacidadAI",
@@ -366,6 +1274,7 @@ export const locales = {
                 <li>Prompt API for Gemini Nano</li>
                 <li>Writer API for Gemini Nano</li>
                 <li>Rewriter API for Gemini Nano</li>
+                <li>Summarization API for Gemini Nano</li>
                 <li>Proofreader API for Gemini Nano</li>
                 <li>Enables optimization guide on device</li>
             </ul>`,
@@ -419,7 +1328,233 @@ export const locales = {
             { q: "¿Por qué 'Escritor' vs 'Chat'?", a: "El chat es para conversar. El modo Escritor está optimizado para generar contenido largo como correos electrónicos sin relleno conversacional." },
             { q: "¿Qué es el modo 'Editor'?", a: "El editor le permite pegar texto y hacer que la IA lo reescriba para que sea más formal, casual o más corto." },
             { q: "¿Por qué 'No soportado'?", a: "Verifique si ha habilitado las Chrome Flags requeridas en chrome://flags." }
-        ]
+        ],
+        backend_label: "Motor",
+        backend_builtin: "Integrado (Gemini Nano)",
+        backend_local: "Servidor Local",
+        diag_local: "Servidor Local",
+        status_not_configured: "Sin configurar",
+        status_unreachable: "Inaccesible",
+        local_setup_btn: "Usar un Servidor Local",
+        local_endpoint_label: "URL del Servidor Local",
+        local_model_label: "Modelo",
+        local_endpoint_help: "Cualquier servidor compatible con OpenAI que se ejecute en este equipo (llama.cpp server, Ollama, LM Studio).",
+        update_available: "Hay una nueva versión de PrivacidadAI disponible.",
+        update_reload: "Recargar",
+        mode_summarizer: "Resumir",
+        mode_desc_summarizer: "Condensa notas y artículos largos.",
+        diag_summarizer: "Capacidades de Resumen",
+        summarizer_input: "Texto a Resumir",
+        summarizer_output: "Resumen",
+        summarizer_placeholder: "Pega notas o un artículo...",
+        opt_type: "Tipo",
+        opt_format: "Formato",
+        opt_length: "Longitud",
+        sum_type_tldr: "TL;DR",
+        sum_type_key_points: "Puntos Clave",
+        sum_type_teaser: "Avance",
+        sum_type_headline: "Titular",
+        format_markdown: "Markdown",
+        format_plain: "Texto Plano",
+        len_medium: "Medio",
+        mode_proofreader: "Corrector",
+        mode_desc_proofreader: "Revisa ortografía y gramática.",
+        diag_proofreader: "Capacidades de Corrección",
+        proofread_accept: "Aceptar",
+        proofread_reject: "Rechazar",
+        proofread_accept_all: "✓ Aceptar Todo",
+        proofread_edit: "✏️ Editar Texto",
+        revisions_label: "Versiones",
+        revisions_empty: "Aún no hay versiones.",
+        revision_restore: "↺ Usar como Entrada",
+        opt_tone: "Tono",
+        tone_more_formal: "Más Formal",
+        tone_more_casual: "Más Casual",
+        tone_asis: "Sin Cambios",
+        tone_neutral: "Neutral",
+        format_asis: "Sin Cambios",
+        len_shorter: "Más Corto",
+        len_longer: "Más Largo",
+        writer_context_label: "Contexto Compartido",
+        writer_context_placeholder: "Audiencia, contexto de la empresa, notas de estilo... (se usa en cada borrador)",
+        writer_prompt_label: "Qué Escribir",
+        drafts_label: "Borradores",
+        drafts_empty: "Aún no hay borradores.",
+        compare_close: "✕ Cerrar Comparación",
+        draft_star: "Destacar",
+        draft_compare: "Comparar",
+        draft_copy: "Copiar",
+        draft_to_editor: "Enviar al Editor",
+        draft_delete: "Eliminar",
+        context_restored: "Contexto restaurado: se conservaron {kept} de {total} mensajes anteriores.",
+        context_summarized: "Los mensajes más antiguos se resumieron.",
+        context_truncated: "Los mensajes más antiguos se omitieron.",
+        stop_btn: "Detener",
+        edit_btn: "Editar",
+        regenerate_btn: "Regenerar",
+        save_send_btn: "Guardar y enviar",
+        message_stopped: "Detenido",
+        branch_prev: "Versión anterior",
+        branch_next: "Versión siguiente",
+        backup_btn: "💾 Copia de seguridad",
+        backup_title: "Copia de seguridad y restauración",
+        backup_help: "Guarda todos los proyectos y ajustes en un archivo JSON o restáuralos en otro equipo. No se sube nada.",
+        backup_export: "Exportar todo (JSON)",
+        backup_conflict_label: "Si un proyecto ya existe",
+        backup_merge: "Combinar (conservar todo)",
+        backup_duplicate: "Importar como copia",
+        backup_overwrite: "Sobrescribir versión local",
+        backup_import: "Importar archivo…",
+        backup_copy_suffix: " (copia)",
+        backup_done: "Se importaron {count} proyectos.",
+        backup_invalid: "Este archivo no es una copia de seguridad de PrivacyAI.",
+        backup_too_new: "Esta copia se creó con una versión más reciente de PrivacyAI.",
+        export_title: "Exportar",
+        lock_title: "PrivacyAI está bloqueado",
+        lock_desc: "Introduce tu frase de contraseña para descifrar tus proyectos.",
+        unlock_btn: "Desbloquear",
+        unlocking: "Desbloqueando...",
+        wrong_passphrase: "Frase de contraseña incorrecta.",
+        security_label: "Bloqueo con frase de contraseña",
+        security_on: "Tus proyectos están cifrados con una frase de contraseña.",
+        security_off: "Los proyectos se guardan sin cifrar en este navegador.",
+        passphrase_set: "Establecer frase",
+        passphrase_change: "Cambiar frase",
+        passphrase_remove: "Quitar frase",
+        passphrase_current: "Frase actual",
+        passphrase_new: "Nueva frase",
+        passphrase_confirm: "Confirmar frase",
+        passphrase_warning: "No hay recuperación: si olvidas la frase, tus proyectos no se podrán descifrar.",
+        passphrase_too_short: "Usa al menos 8 caracteres.",
+        passphrase_mismatch: "Las frases no coinciden.",
+        autolock_label: "Bloqueo automático por inactividad",
+        autolock_never: "Nunca",
+        search_placeholder: "Buscar en todos los chats...",
+        search_results: "Resultados de búsqueda",
+        search_empty: "Sin resultados.",
+        pinned: "Fijados",
+        pin: "Fijar",
+        unpin: "Desfijar",
+        tags: "Etiquetas",
+        tags_prompt: "Etiquetas (separadas por comas)",
+        new_folder: "+ Carpeta",
+        new_folder_prompt: "Nombre de la carpeta",
+        rename_folder: "Renombrar carpeta",
+        delete_folder: "Eliminar carpeta",
+        delete_folder_confirm: "¿Eliminar esta carpeta? Sus chats pasan al nivel superior.",
+        sort_recent: "Actividad reciente",
+        sort_manual: "Orden personalizado",
+        storage_blocked: "Cierra las demás pestañas de PrivacyAI para terminar de actualizar tus datos.",
+        storage_outdated: "PrivacyAI se actualizó en otra pestaña. Recarga para continuar.",
+        storage_failed: "No se pudieron actualizar tus datos y no se modificaron. Recarga para intentarlo de nuevo.",
+        storage_too_new: "Tus datos fueron guardados por una versión más reciente de PrivacyAI. Recarga para actualizar la aplicación.",
+        conflict_title: "Editado en otra pestaña",
+        conflict_text: "Este chat se modificó en otra pestaña desde que lo abriste. Combinar conserva los mensajes de ambas; recargar muestra la versión de la otra pestaña y descarta tu último cambio.",
+        conflict_merge: "Combinar ambas",
+        conflict_reload: "Descartar lo mío y recargar",
+        storage_vault: "La frase de contraseña se cambió en otra pestaña. Recarga para desbloquear con la nueva.",
+        templates_btn: "📝 Plantillas",
+        templates_title: "Plantillas de prompts",
+        templates_help: "Escribe {{variable}} en las partes que cambian. Escribe / en el campo del modo correspondiente para elegir una plantilla.",
+        templates_import: "Importar paquete…",
+        templates_export: "Exportar paquete",
+        templates_new: "+ Nueva plantilla",
+        template_name: "Nombre",
+        template_text: "Prompt",
+        template_insert: "Insertar",
+        template_use: "Usar",
+        template_edit: "Editar",
+        template_delete: "Eliminar",
+        template_delete_confirm: "¿Eliminar esta plantilla?",
+        templates_empty: "Aún no hay plantillas.",
+        templates_no_match: "No hay plantillas que coincidan. Añádelas en 📝 Plantillas.",
+        templates_imported: "Se importaron {count} plantillas.",
+        templates_invalid: "Este archivo no es un paquete de plantillas de PrivacyAI.",
+        templates_too_new: "Este paquete se creó con una versión más reciente de PrivacyAI.",
+        project_settings: "Ajustes del chat",
+        temperature_label: "Temperatura",
+        topk_label: "Top-K",
+        sampling_help: "Déjalo vacío para usar el valor predeterminado del modelo (temperatura {temperature}, top-K {topK}).",
+        copy_btn: "Copiar",
+        copied: "Copiado",
+        code_copy: "Copiar código",
+        code_download: "Descargar como archivo",
+        jump_latest: "Ir a lo más reciente",
+        attach_btn: "Adjuntar documentos",
+        attach_reading: "Leyendo…",
+        attach_remove: "Quitar",
+        attach_unsupported: "Tipo de archivo no compatible",
+        attach_too_large: "El archivo es demasiado grande (máx. 20 MB)",
+        attach_encrypted: "PDF protegido con contraseña",
+        attach_empty: "No se encontró texto (las páginas escaneadas no se pueden leer)",
+        attach_unreadable: "No se pudo leer el archivo",
+        attach_truncated: "Los documentos son demasiado largos para el modelo: solo se enviaron {included} de {total} partes.",
+        attach_missing: "Este archivo no está guardado en este dispositivo.",
+        attach_save_failed: "No se pudieron guardar los archivos adjuntos (puede que el almacenamiento del navegador esté lleno).",
+        knowledge_title: "Base de conocimiento",
+        knowledge_help: "Los documentos añadidos aquí se consultan antes de cada mensaje de este chat; los mejores pasajes se entregan al modelo y la respuesta los cita. Todo se indexa y se busca en este dispositivo.",
+        knowledge_add: "+ Añadir documentos",
+        knowledge_empty: "Aún no hay documentos. Añade archivos PDF, DOCX o de texto.",
+        knowledge_passages: "{count} pasajes",
+        knowledge_remove: "Quitar",
+        knowledge_remove_confirm: "¿Quitar este documento de la base de conocimiento?",
+        knowledge_adding: "Indexando {name}…",
+        knowledge_added: "Se añadieron {count} documentos.",
+        knowledge_missing: "Este documento ya no está en la base de conocimiento.",
+        sources_label: "Fuentes:",
+        record_btn: "Grabar audio",
+        record_stop: "Detener grabación",
+        media_image_unsupported: "Este modelo no acepta imágenes",
+        media_audio_unsupported: "Este modelo no acepta audio",
+        media_audio_unavailable: "El modelo actual no acepta audio. La entrada de audio requiere el modelo integrado de Chrome con la entrada multimodal activada.",
+        media_mic_denied: "Se denegó el acceso al micrófono.",
+        media_recording_unsupported: "Este navegador no puede grabar audio.",
+        output_label: "Respuestas",
+        output_text: "Texto libre",
+        output_structured: "Estructuradas (JSON Schema)",
+        schema_preset_label: "Partir de",
+        schema_preset_none: "Mi propio esquema",
+        schema_preset_email: "Campos de correo",
+        schema_preset_ticket: "Ticket de soporte",
+        schema_preset_contact: "Datos de contacto",
+        schema_label: "JSON Schema",
+        schema_invalid: "El esquema debe ser un objeto JSON.",
+        structured_help: "Cada respuesta se limita a este esquema y se muestra como árbol JSON. Usa 🗂️ junto a Enviar para aplicarlo a muchas entradas a la vez.",
+        schema_valid: "✓ Cumple el esquema",
+        schema_problems: "⚠ {count} problemas con el esquema:",
+        json_download: "Descargar como JSON",
+        csv_download: "Descargar como CSV",
+        structured_batch_title: "Extracción por lotes",
+        structured_batch_help: "Pega las entradas abajo. Cada una se envía por separado con el esquema de este proyecto y los resultados se reúnen en la tabla.",
+        batch_split_label: "Las entradas se separan con",
+        batch_split_blank: "Una línea en blanco",
+        batch_split_line: "Un salto de línea (una por línea)",
+        batch_split_rule: "Una línea ---",
+        batch_run: "Ejecutar",
+        batch_stop: "Detener",
+        batch_export_csv: "Descargar CSV",
+        batch_export_json: "Descargar JSON",
+        batch_progress: "Procesando {done} de {total}…",
+        batch_done: "Procesadas {done} de {total}.",
+        batch_input: "Entrada",
+        batch_check: "Control",
+        batch_btn: "🗂️ Lote",
+        batch_title: "Procesamiento por lotes",
+        batch_help: "Cada elemento se ejecuta con las opciones actuales del modo. Los resultados se quedan en este proyecto hasta el siguiente lote.",
+        batch_format_label: "Elementos",
+        batch_split_custom: "Un delimitador propio",
+        batch_format_csv: "CSV con fila de encabezado",
+        batch_delimiter: "Delimitador",
+        batch_column: "Columna a procesar",
+        batch_concurrency: "A la vez",
+        batch_load: "Cargar archivo…",
+        batch_retry: "Reintentar fallidos",
+        batch_pause: "Pausar",
+        batch_resume: "Reanudar",
+        batch_counts: "{done} de {total} listos, {failed} fallidos",
+        batch_pausing: "pausando tras los elementos en curso…",
+        batch_paused: "en pausa",
+        batch_output: "Resultado"
     },
     ja: {
         brand: "プライバシーAI",
@@ -448,6 +1583,7 @@ export const locales = {
                 <li>Prompt API for Gemini Nano</li>
                 <li>Writer API for Gemini Nano</li>
                 <li>Rewriter API for Gemini Nano</li>
+                <li>Summarization API for Gemini Nano</li>
                 <li>Proofreader API for Gemini Nano</li>
                 <li>Enables optimization guide on device</li>
             </ul>`,
@@ -501,6 +1637,232 @@ export const locales = {
             { q: "「執筆」と「チャット」の違いは？", a: "チャットは会話用です。執筆モードは、会話的なつなぎ言葉なしでメールや記事などの長文を作成するのに最適化されています。" },
             { q: "「編集」モードとは？", a: "編集モードでは、テキストを貼り付けて、AIに修正、フォーマル化、または要約を依頼できます。" },
             { q: "なぜ「非対応」なのですか？", a: "chrome://flags で必要なフラグが有効になっているか確認してください。" }
-        ]
+        ],
+        backend_label: "バックエンド",
+        backend_builtin: "内蔵 (Gemini Nano)",
+        backend_local: "ローカルサーバー",
+        diag_local: "ローカルサーバー",
+        status_not_configured: "未設定",
+        status_unreachable: "接続できません",
+        local_setup_btn: "ローカルサーバーを使う",
+        local_endpoint_label: "ローカルサーバーのURL",
+        local_model_label: "モデル",
+        local_endpoint_help: "このコンピューターで動作するOpenAI互換サーバー（llama.cpp server、Ollama、LM Studio）。",
+        update_available: "プライバシーAIの新しいバージョンがあります。",
+        update_reload: "再読み込み",
+        mode_summarizer: "要約",
+        mode_desc_summarizer: "長いメモや記事を要約",
+        diag_summarizer: "要約機能",
+        summarizer_input: "要約するテキスト",
+        summarizer_output: "要約",
+        summarizer_placeholder: "議事録や記事を貼り付け...",
+        opt_type: "種類",
+        opt_format: "形式",
+        opt_length: "長さ",
+        sum_type_tldr: "TL;DR",
+        sum_type_key_points: "要点",
+        sum_type_teaser: "ティーザー",
+        sum_type_headline: "見出し",
+        format_markdown: "Markdown",
+        format_plain: "プレーンテキスト",
+        len_medium: "普通",
+        mode_proofreader: "校正",
+        mode_desc_proofreader: "スペルと文法をチェック",
+        diag_proofreader: "校正機能",
+        proofread_accept: "承認",
+        proofread_reject: "却下",
+        proofread_accept_all: "✓ すべて承認",
+        proofread_edit: "✏️ テキストを編集",
+        revisions_label: "履歴",
+        revisions_empty: "まだ実行されていません。",
+        revision_restore: "↺ 入力に使う",
+        opt_tone: "トーン",
+        tone_more_formal: "よりフォーマル",
+        tone_more_casual: "よりカジュアル",
+        tone_asis: "変更なし",
+        tone_neutral: "ニュートラル",
+        format_asis: "変更なし",
+        len_shorter: "短く",
+        len_longer: "長く",
+        writer_context_label: "共通コンテキスト",
+        writer_context_placeholder: "対象読者、会社の背景、文体のメモなど（すべての下書きで使用されます）",
+        writer_prompt_label: "書きたい内容",
+        drafts_label: "下書き",
+        drafts_empty: "下書きはまだありません。",
+        compare_close: "✕ 比較を閉じる",
+        draft_star: "スター",
+        draft_compare: "比較",
+        draft_copy: "コピー",
+        draft_to_editor: "編集に送る",
+        draft_delete: "削除",
+        context_restored: "コンテキストを復元しました：以前のメッセージ {total} 件中 {kept} 件を保持しました。",
+        context_summarized: "古いメッセージは要約されました。",
+        context_truncated: "古いメッセージは省略されました。",
+        stop_btn: "停止",
+        edit_btn: "編集",
+        regenerate_btn: "再生成",
+        save_send_btn: "保存して送信",
+        message_stopped: "停止しました",
+        branch_prev: "前のバージョン",
+        branch_next: "次のバージョン",
+        backup_btn: "💾 バックアップ",
+        backup_title: "バックアップと復元",
+        backup_help: "すべてのプロジェクトと設定をJSONファイルに保存し、別の端末で復元できます。何もアップロードされません。",
+        backup_export: "すべてエクスポート (JSON)",
+        backup_conflict_label: "同じプロジェクトが既にある場合",
+        backup_merge: "統合（すべて保持）",
+        backup_duplicate: "コピーとしてインポート",
+        backup_overwrite: "ローカル版を上書き",
+        backup_import: "ファイルをインポート…",
+        backup_copy_suffix: "（コピー）",
+        backup_done: "{count} 件のプロジェクトをインポートしました。",
+        backup_invalid: "このファイルはPrivacyAIのバックアップではありません。",
+        backup_too_new: "このバックアップは新しいバージョンのPrivacyAIで作成されています。",
+        export_title: "エクスポート",
+        lock_title: "PrivacyAIはロックされています",
+        lock_desc: "プロジェクトを復号するにはパスフレーズを入力してください。",
+        unlock_btn: "ロック解除",
+        unlocking: "解除中...",
+        wrong_passphrase: "パスフレーズが違います。",
+        security_label: "パスフレーズロック",
+        security_on: "プロジェクトはパスフレーズで暗号化されています。",
+        security_off: "プロジェクトはこのブラウザに暗号化せずに保存されています。",
+        passphrase_set: "パスフレーズを設定",
+        passphrase_change: "パスフレーズを変更",
+        passphrase_remove: "パスフレーズを解除",
+        passphrase_current: "現在のパスフレーズ",
+        passphrase_new: "新しいパスフレーズ",
+        passphrase_confirm: "パスフレーズの確認",
+        passphrase_warning: "復旧手段はありません。パスフレーズを忘れるとプロジェクトを復号できません。",
+        passphrase_too_short: "8文字以上にしてください。",
+        passphrase_mismatch: "パスフレーズが一致しません。",
+        autolock_label: "無操作時に自動ロック",
+        autolock_never: "しない",
+        search_placeholder: "すべてのチャットを検索...",
+        search_results: "検索結果",
+        search_empty: "一致する結果はありません。",
+        pinned: "ピン留め",
+        pin: "ピン留め",
+        unpin: "ピン留めを解除",
+        tags: "タグ",
+        tags_prompt: "タグ（カンマ区切り）",
+        new_folder: "+ フォルダ",
+        new_folder_prompt: "フォルダ名",
+        rename_folder: "フォルダ名を変更",
+        delete_folder: "フォルダを削除",
+        delete_folder_confirm: "このフォルダを削除しますか？チャットは最上位に移動します。",
+        sort_recent: "最近のアクティビティ",
+        sort_manual: "カスタム順",
+        storage_blocked: "データの更新を完了するには、他の PrivacyAI タブを閉じてください。",
+        storage_outdated: "PrivacyAI が別のタブで更新されました。続行するには再読み込みしてください。",
+        storage_failed: "データを更新できませんでした。データは変更されていません。再読み込みしてもう一度お試しください。",
+        storage_too_new: "データは新しいバージョンの PrivacyAI で保存されています。再読み込みしてアプリを更新してください。",
+        conflict_title: "別のタブで編集されました",
+        conflict_text: "このチャットは開いた後に別のタブで変更されました。統合すると両方のメッセージが残ります。再読み込みすると別のタブの内容が表示され、最新の変更は破棄されます。",
+        conflict_merge: "両方を統合",
+        conflict_reload: "自分の変更を破棄して再読み込み",
+        storage_vault: "パスフレーズが別のタブで変更されました。再読み込みして新しいパスフレーズでロックを解除してください。",
+        templates_btn: "📝 テンプレート",
+        templates_title: "プロンプトテンプレート",
+        templates_help: "変わる部分には {{変数}} と書きます。対応するモードの入力欄で / を入力するとテンプレートを選べます。",
+        templates_import: "パックをインポート…",
+        templates_export: "パックをエクスポート",
+        templates_new: "+ 新しいテンプレート",
+        template_name: "名前",
+        template_text: "プロンプト",
+        template_insert: "挿入",
+        template_use: "使う",
+        template_edit: "編集",
+        template_delete: "削除",
+        template_delete_confirm: "このテンプレートを削除しますか？",
+        templates_empty: "テンプレートはまだありません。",
+        templates_no_match: "一致するテンプレートがありません。📝 テンプレートから追加してください。",
+        templates_imported: "{count} 件のテンプレートをインポートしました。",
+        templates_invalid: "このファイルは PrivacyAI のテンプレートパックではありません。",
+        templates_too_new: "このパックは新しいバージョンの PrivacyAI で作成されました。",
+        project_settings: "チャット設定",
+        temperature_label: "温度",
+        topk_label: "Top-K",
+        sampling_help: "空欄の場合はモデルの既定値を使います（温度 {temperature}、top-K {topK}）。",
+        copy_btn: "コピー",
+        copied: "コピーしました",
+        code_copy: "コードをコピー",
+        code_download: "ファイルとしてダウンロード",
+        jump_latest: "最新へ移動",
+        attach_btn: "ドキュメントを添付",
+        attach_reading: "読み込み中…",
+        attach_remove: "削除",
+        attach_unsupported: "対応していないファイル形式です",
+        attach_too_large: "ファイルが大きすぎます（最大20 MB）",
+        attach_encrypted: "パスワード保護されたPDF",
+        attach_empty: "テキストが見つかりません（スキャンしたページは読み取れません）",
+        attach_unreadable: "ファイルを読み込めませんでした",
+        attach_truncated: "ドキュメントがモデルには長すぎます：{total}件中{included}件の部分のみ送信しました。",
+        attach_missing: "このファイルはこのデバイスに保存されていません。",
+        attach_save_failed: "添付ファイルを保存できませんでした（ブラウザのストレージがいっぱいの可能性があります）。",
+        knowledge_title: "ナレッジベース",
+        knowledge_help: "ここに追加したドキュメントは、このチャットの各メッセージの前に検索されます。最適な箇所がモデルに渡され、回答はそれを引用します。インデックス作成と検索はすべてこのデバイス上で行われます。",
+        knowledge_add: "+ ドキュメントを追加",
+        knowledge_empty: "ドキュメントはまだありません。PDF、DOCX、テキストファイルを追加してください。",
+        knowledge_passages: "{count} 件の箇所",
+        knowledge_remove: "削除",
+        knowledge_remove_confirm: "このドキュメントをナレッジベースから削除しますか？",
+        knowledge_adding: "{name} をインデックス中…",
+        knowledge_added: "{count} 件のドキュメントを追加しました。",
+        knowledge_missing: "このドキュメントはナレッジベースにありません。",
+        sources_label: "出典:",
+        record_btn: "音声を録音",
+        record_stop: "録音を停止",
+        media_image_unsupported: "このモデルは画像に対応していません",
+        media_audio_unsupported: "このモデルは音声に対応していません",
+        media_audio_unavailable: "現在のモデルは音声入力に対応していません。音声入力には、マルチモーダル入力を有効にした Chrome の内蔵モデルが必要です。",
+        media_mic_denied: "マイクへのアクセスが拒否されました。",
+        media_recording_unsupported: "このブラウザーは音声を録音できません。",
+        output_label: "返信",
+        output_text: "自由テキスト",
+        output_structured: "構造化 (JSON Schema)",
+        schema_preset_label: "テンプレート",
+        schema_preset_none: "独自のスキーマ",
+        schema_preset_email: "メールの項目",
+        schema_preset_ticket: "サポートチケット",
+        schema_preset_contact: "連絡先情報",
+        schema_label: "JSON Schema",
+        schema_invalid: "スキーマは JSON オブジェクトである必要があります。",
+        structured_help: "すべての返信はこのスキーマに制約され、JSON ツリーとして表示されます。送信の横の 🗂️ で多数の入力に一括適用できます。",
+        schema_valid: "✓ スキーマに一致",
+        schema_problems: "⚠ スキーマとの不一致 {count} 件:",
+        json_download: "JSON としてダウンロード",
+        csv_download: "CSV としてダウンロード",
+        structured_batch_title: "一括抽出",
+        structured_batch_help: "以下に入力を貼り付けてください。各入力はこのプロジェクトのスキーマで個別に送信され、結果は表にまとめられます。",
+        batch_split_label: "入力の区切り",
+        batch_split_blank: "空行",
+        batch_split_line: "改行 (1 行に 1 件)",
+        batch_split_rule: "--- の行",
+        batch_run: "実行",
+        batch_stop: "停止",
+        batch_export_csv: "CSV をダウンロード",
+        batch_export_json: "JSON をダウンロード",
+        batch_progress: "{total} 件中 {done} 件目を処理中…",
+        batch_done: "{total} 件中 {done} 件を処理しました。",
+        batch_input: "入力",
+        batch_check: "チェック",
+        batch_btn: "🗂️ 一括",
+        batch_title: "一括処理",
+        batch_help: "各項目はモードの現在のオプションで実行されます。結果は次の一括処理まで、このプロジェクトに保存されます。",
+        batch_format_label: "項目",
+        batch_split_custom: "任意の区切り文字",
+        batch_format_csv: "ヘッダー行付き CSV",
+        batch_delimiter: "区切り文字",
+        batch_column: "処理する列",
+        batch_concurrency: "同時実行数",
+        batch_load: "ファイルを読み込む…",
+        batch_retry: "失敗分を再試行",
+        batch_pause: "一時停止",
+        batch_resume: "再開",
+        batch_counts: "{total} 件中 {done} 件完了、{failed} 件失敗",
+        batch_pausing: "実行中の項目の完了後に一時停止します…",
+        batch_paused: "一時停止中",
+        batch_output: "結果"
     }
 };
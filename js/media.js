@@ -0,0 +1,74 @@
+/**
+ * PrivacyAI Media Module
+ * Images and audio clips for multimodal chat: type checks, microphone recording, and the message
+ * shape the Prompt API takes for them. Whether the model accepts a kind is decided by ai.js.
+ *
+ * Messages keep { id, name, type, size, kind }; the file itself lives in the attachments store.
+ */
+
+export const MAX_MEDIA_SIZE = 20 * 1024 * 1024;
+export const MEDIA_ACCEPT = 'image/*,audio/*';
+
+// First one MediaRecorder supports wins
+const RECORDING_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+export const media = {
+    // 'image' | 'audio' | null
+    kind(file) {
+        const type = (file.type || '').split('/')[0];
+        return type === 'image' || type === 'audio' ? type : null;
+    },
+
+    describe(file, kind) {
+        const { id, name, type, size } = file;
+        return { id, name, type, size, kind };
+    },
+
+    canRecord() {
+        return !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia && window.MediaRecorder);
+    },
+
+    // Starts recording from the microphone; throws MEDIA_RECORDING_UNSUPPORTED / MEDIA_MIC_DENIED.
+    // Returns { stop(): Promise<File>, cancel() }
+    async record() {
+        if (!this.canRecord()) throw new Error("MEDIA_RECORDING_UNSUPPORTED");
+        let stream;
+        try {
+            stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (e) {
+            console.warn("Microphone unavailable:", e);
+            throw new Error(e.name === 'NotAllowedError' ? "MEDIA_MIC_DENIED" : "MEDIA_RECORDING_UNSUPPORTED");
+        }
+
+        const mimeType = RECORDING_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+        const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+        const parts = [];
+        recorder.ondataavailable = (e) => { if (e.data.size > 0) parts.push(e.data); };
+        const release = () => stream.getTracks().forEach(track => track.stop());
+        recorder.start();
+
+        return {
+            stop: () => new Promise(resolve => {
+                recorder.onstop = () => {
+                    release();
+                    const type = recorder.mimeType || 'audio/webm';
+                    const extension = type.includes('ogg') ? 'ogg' : type.includes('mp4') ? 'm4a' : 'webm';
+                    const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+                    resolve(new File(parts, `recording-${stamp}.${extension}`, { type: type.split(';')[0] }));
+                };
+                recorder.stop();
+            }),
+            cancel: () => {
+                recorder.onstop = release;
+                recorder.stop();
+            }
+        };
+    },
+
+    // A user turn with text and media: [{ role, content: [{ type, value }] }]
+    prompt(text, items) {
+        const content = items.map(item => ({ type: item.kind, value: item.blob }));
+        if (text) content.unshift({ type: 'text', value: text });
+        return [{ role: 'user', content }];
+    }
+};
@@ -0,0 +1,150 @@
+/**
+ * PrivacyAI Database Migrations
+ * Ordered schema/data migrations for PrivacyAI_DB, run by storage.js inside the
+ * `versionchange` transaction of indexedDB.open(). The database version is the
+ * version of the last entry, so adding a migration is all it takes to upgrade.
+ *
+ * Rules for a migration:
+ * - up(db, transaction) may return a promise, which must settle from IndexedDB request callbacks
+ *   on `transaction` only: awaiting anything else (WebCrypto, fetch, timers) lets it commit early.
+ * - Migrations run one after another, so a data migration always sees the previous one's output.
+ * - Never edit a migration that has shipped; add a new one instead.
+ * - Encrypted projects ({ id, sealed, ... }) cannot be read here; leave them alone or touch
+ *   only their clear fields.
+ * If any step throws, the whole upgrade is aborted and the database stays at its old version.
+ */
+
+import { chatTree } from './history.js';
+
+export const STORE_PROJECTS = 'projects';
+export const STORE_SETTINGS = 'settings';
+export const STORE_SEARCH = 'search';
+export const STORE_TEMPLATES = 'templates';
+export const STORE_ATTACHMENTS = 'attachments';
+export const STORE_KNOWLEDGE = 'knowledge';
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Projects and settings stores',
+        up(db) {
+            // Projects Store: id (key), name, systemPrompt, history, apiMode, ...
+            db.createObjectStore(STORE_PROJECTS, { keyPath: 'id' });
+            // Settings Store: key (key), value
+            db.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
+        }
+    },
+    {
+        version: 2,
+        description: 'Flat history arrays become conversation trees',
+        up(db, transaction) {
+            return updateEach(transaction.objectStore(STORE_PROJECTS), project => {
+                if (!Array.isArray(project.history)) return false;
+                project.history = chatTree.fromFlat(project.history);
+                return true;
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Search store (inverted index)',
+        up(db) {
+            // [term, projectId] (key), refs; filled by storage.ensureSearchIndex()
+            const index = db.createObjectStore(STORE_SEARCH, { keyPath: ['term', 'projectId'] });
+            index.createIndex('projectId', 'projectId');
+        }
+    },
+    {
+        version: 4,
+        description: 'Timestamps on every project, updatedAt and apiMode indexes',
+        up(db, transaction) {
+            const projects = transaction.objectStore(STORE_PROJECTS);
+            projects.createIndex('updatedAt', 'updatedAt');
+            projects.createIndex('apiMode', 'apiMode');
+
+            // Unknown dates sort last; sealed records get their clear updatedAt on the next save
+            return updateEach(projects, project => {
+                if (project.updatedAt !== undefined) return false;
+                project.updatedAt = 0;
+                if (!project.sealed) {
+                    project.createdAt = project.createdAt || 0;
+                    project.apiMode = project.apiMode || 'prompt';
+                }
+                return true;
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Prompt templates store',
+        up(db) {
+            // Templates Store: id (key), name, mode, text (see templates.js)
+            const templates = db.createObjectStore(STORE_TEMPLATES, { keyPath: 'id' });
+            templates.createIndex('mode', 'mode');
+        }
+    },
+    {
+        version: 6,
+        description: 'Attachments store',
+        up(db) {
+            // Attachments Store: id (key), projectId, name, type, size, text, blob (see attachments.js)
+            const attachments = db.createObjectStore(STORE_ATTACHMENTS, { keyPath: 'id' });
+            attachments.createIndex('projectId', 'projectId');
+        }
+    },
+    {
+        version: 7,
+        description: 'Knowledge base index',
+        up(db) {
+            // Knowledge Store: [term, projectId] (key), postings (see knowledge.js)
+            const index = db.createObjectStore(STORE_KNOWLEDGE, { keyPath: ['term', 'projectId'] });
+            index.createIndex('projectId', 'projectId');
+        }
+    }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Versions must run 1, 2, 3, ... without gaps
+export function checkOrder(migrations) {
+    migrations.forEach((m, i) => {
+        if (m.version !== i + 1) throw new Error(`Migration ${i + 1} is registered as version ${m.version}`);
+    });
+}
+
+// Catch a mis-ordered registry at load time rather than in a user's upgrade
+checkOrder(MIGRATIONS);
+
+// Runs every migration newer than oldVersion, in order; resolves with the versions that ran.
+// `migrations` is only passed by the tests.
+export async function runMigrations(db, transaction, oldVersion, migrations = MIGRATIONS) {
+    const pending = migrations.filter(m => m.version > oldVersion);
+    for (const m of pending) {
+        try {
+            await m.up(db, transaction);
+        } catch (e) {
+            e.migration = m.version;
+            throw e;
+        }
+    }
+    return pending.map(m => m.version);
+}
+
+// change(record) returns true when it modified the record; resolves once every record was visited
+function updateEach(store, change) {
+    return new Promise((resolve, reject) => {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return resolve();
+            try {
+                const record = cursor.value;
+                if (change(record)) cursor.update(record);
+                cursor.continue();
+            } catch (e) {
+                reject(e);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
@@ -0,0 +1,49 @@
+/**
+ * PrivacyAI PWA Module
+ * Registers the Service Worker and reports when a new version is ready to install.
+ */
+
+export const pwa = {
+    // onUpdateReady receives an apply() function that activates the waiting version and reloads
+    async registerServiceWorker(onUpdateReady) {
+        if (!('serviceWorker' in navigator)) return null;
+
+        let applying = false;
+        const notify = (worker) => {
+            onUpdateReady(() => {
+                applying = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            });
+        };
+
+        // Reload only for an update the user accepted (first install also fires controllerchange)
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (applying) window.location.reload();
+        });
+
+        try {
+            const registration = await navigator.serviceWorker.register('./sw.js');
+
+            // Update downloaded during an earlier visit, still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                notify(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install: nothing to replace
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        notify(worker);
+                    }
+                });
+            });
+
+            return registration;
+        } catch (e) {
+            console.warn("Service Worker registration failed:", e);
+            return null;
+        }
+    }
+};
@@ -0,0 +1,140 @@
+/**
+ * PrivacyAI Sanitizer
+ * Allow-list configuration for DOMPurify (js/vendor/purify.min.js), which cleans all rendered Markdown
+ * (model output, remote endpoint replies, imported projects) and highlighter output.
+ * Anything not listed is removed: unknown elements are unwrapped to their text, dangerous ones
+ * (scripts, frames, forms, ...) are dropped with their content, and every attribute is checked.
+ * Remote images are turned into links, so opening a chat never contacts another server.
+ */
+
+const ALLOWED_TAGS = [
+    'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'code',
+    'strong', 'b', 'em', 'i', 'del', 's', 'mark', 'kbd', 'sub', 'sup', 'span', 'div',
+    'ul', 'ol', 'li', 'a', 'img', 'input', 'details', 'summary',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td'
+];
+
+// Removed together with everything inside them (on top of DOMPurify's own list)
+const DROPPED_TAGS = [
+    'script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'form', 'textarea', 'select', 'button', 'option', 'svg', 'math', 'head', 'title', 'meta', 'link', 'base'
+];
+
+// Per element; DOMPurify only knows one global attribute list, the hook below narrows it
+const ALLOWED_ATTRIBUTES = {
+    '*': ['title'],
+    a: ['href'],
+    img: ['src', 'alt'],
+    code: ['class'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+    input: ['type', 'checked', 'disabled']
+};
+
+const MARKDOWN_CONFIG = {
+    ALLOWED_TAGS,
+    ALLOWED_ATTR: [...new Set(Object.values(ALLOWED_ATTRIBUTES).flat())],
+    ADD_FORBID_CONTENTS: DROPPED_TAGS,
+    ALLOW_DATA_ATTR: false,
+    ALLOW_ARIA_ATTR: false,
+    RETURN_DOM_FRAGMENT: true
+};
+
+// Highlighter output: <span class="hljs-…"> around escaped text, nothing else
+const SPANS_CONFIG = {
+    ALLOWED_TAGS: ['span'],
+    ALLOWED_ATTR: ['class'],
+    ALLOW_DATA_ATTR: false,
+    ALLOW_ARIA_ATTR: false,
+    RETURN_DOM_FRAGMENT: true
+};
+
+const SAFE_LINK = /^(?:https?:|mailto:|#|[^:]*$)/i; // Absolute web/mail links or relative ones
+const SAFE_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp);/i;
+const CODE_CLASS = /^language-[\w+#.-]+$/;
+const SPAN_CLASS = /^(?:(?:hljs|language)-[\w-]+|[\w-]+_)(?: (?:(?:hljs|language)-[\w-]+|[\w-]+_))*$/;
+
+// Private instances, so their hooks never affect each other or another user of the global DOMPurify
+const createPurifier = (onAttribute) => {
+    if (!window.DOMPurify) return null;
+    const purifier = window.DOMPurify(window);
+    purifier.addHook('uponSanitizeAttribute', onAttribute);
+    return purifier;
+};
+
+const markdownPurifier = createPurifier((node, data) => {
+    const allowed = [...ALLOWED_ATTRIBUTES['*'], ...(ALLOWED_ATTRIBUTES[node.localName] || [])];
+    if (!allowed.includes(data.attrName)) data.keepAttr = false;
+});
+
+const spanPurifier = createPurifier((node, data) => {
+    if (!SPAN_CLASS.test(data.attrValue)) data.keepAttr = false;
+});
+
+export const sanitize = {
+    // Cleans HTML and returns it as a fragment of this document
+    fragment(html) {
+        if (!markdownPurifier) return plainText(html);
+        const fragment = markdownPurifier.sanitize(html, MARKDOWN_CONFIG);
+        fragment.querySelectorAll('a, img, code, input').forEach(node => fixElement(node, node.localName));
+        return fragment;
+    },
+
+    html(html) {
+        const div = document.createElement('div');
+        div.appendChild(this.fragment(html));
+        return div.innerHTML;
+    },
+
+    // Highlighted code: only class-bearing spans survive
+    spans(html) {
+        if (!spanPurifier) return plainText(html);
+        return spanPurifier.sanitize(html, SPANS_CONFIG);
+    }
+};
+
+// Without the vendored sanitizer nothing is rendered as HTML: the text is parsed inertly and shown as text
+function plainText(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const fragment = document.createDocumentFragment();
+    fragment.append(doc.body.textContent);
+    return fragment;
+}
+
+// Per-element rules for the attributes that survived
+function fixElement(node, tag) {
+    if (tag === 'a') {
+        const href = node.getAttribute('href');
+        if (href && SAFE_LINK.test(stripControls(href))) {
+            node.setAttribute('target', '_blank');
+            node.setAttribute('rel', 'noopener noreferrer');
+        } else {
+            node.removeAttribute('href');
+        }
+    } else if (tag === 'img') {
+        const src = stripControls(node.getAttribute('src') || '');
+        if (SAFE_IMAGE.test(src)) return;
+        // Remote images would be fetched (and could track reading); offer them as a link instead
+        const link = document.createElement('a');
+        link.textContent = node.getAttribute('alt') || src;
+        if (/^https?:/i.test(src)) {
+            link.href = src;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        }
+        node.replaceWith(link);
+    } else if (tag === 'code') {
+        const cls = node.getAttribute('class');
+        if (cls && !CODE_CLASS.test(cls)) node.removeAttribute('class');
+    } else if (tag === 'input') {
+        // Only Markdown task-list checkboxes
+        if (node.getAttribute('type') !== 'checkbox') node.remove();
+        else node.setAttribute('disabled', '');
+    }
+}
+
+// For scheme checks only: browsers skip such characters, so "java\tscript:" would still run
+function stripControls(url) {
+    return url.replace(/[\u0000- \u007f-\u009f]/g, '');
+}
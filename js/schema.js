@@ -0,0 +1,162 @@
+/**
+ * PrivacyAI Schema Module
+ * JSON Schemas for structured chat output: ready-made presets, parsing of user-written schemas, and a
+ * validator for the part of JSON Schema the Prompt API's responseConstraint understands
+ * (type, properties, required, additionalProperties, items, enum, const, anyOf / oneOf, ranges, lengths, pattern).
+ */
+
+const MAX_ERRORS = 20;
+
+// Starting points in the project settings; the label keys are in locales.js
+export const SCHEMA_PRESETS = {
+    email: {
+        label: ['schema_preset_email', 'Email fields'],
+        schema: {
+            type: 'object',
+            properties: {
+                sender: { type: 'string' },
+                subject: { type: 'string' },
+                date: { type: 'string' },
+                intent: { type: 'string', enum: ['question', 'request', 'complaint', 'information', 'other'] },
+                summary: { type: 'string' },
+                action_items: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['sender', 'subject', 'intent', 'summary', 'action_items'],
+            additionalProperties: false
+        }
+    },
+    ticket: {
+        label: ['schema_preset_ticket', 'Support ticket'],
+        schema: {
+            type: 'object',
+            properties: {
+                category: { type: 'string', enum: ['bug', 'billing', 'account', 'feature request', 'other'] },
+                priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+                product: { type: 'string' },
+                sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+                summary: { type: 'string' }
+            },
+            required: ['category', 'priority', 'sentiment', 'summary'],
+            additionalProperties: false
+        }
+    },
+    contact: {
+        label: ['schema_preset_contact', 'Contact details'],
+        schema: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                email: { type: 'string' },
+                phone: { type: 'string' },
+                company: { type: 'string' },
+                role: { type: 'string' }
+            },
+            required: ['name'],
+            additionalProperties: false
+        }
+    }
+};
+
+export const schema = {
+    // A schema typed by the user; throws SCHEMA_INVALID if it is not a JSON object
+    parse(text) {
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (e) {
+            throw new Error("SCHEMA_INVALID");
+        }
+        if (!value || typeof value !== 'object' || Array.isArray(value)) throw new Error("SCHEMA_INVALID");
+        return value;
+    },
+
+    // A reply to a constrained prompt: { value, errors }; value is undefined if the text is not JSON
+    check(text, responseSchema) {
+        let value;
+        try {
+            value = JSON.parse(text);
+        } catch (e) {
+            return { value: undefined, errors: [{ path: '$', message: 'is not valid JSON' }] };
+        }
+        return { value, errors: this.validate(value, responseSchema) };
+    },
+
+    // [{ path, message }], empty when value matches (at most MAX_ERRORS are collected)
+    validate(value, responseSchema) {
+        const errors = [];
+        visit(value, responseSchema, '$', errors);
+        return errors;
+    }
+};
+
+function visit(value, s, path, errors) {
+    if (errors.length >= MAX_ERRORS || !s || typeof s !== 'object') return;
+    const fail = (message, at = path) => errors.push({ path: at, message });
+
+    const options = s.anyOf || s.oneOf;
+    if (options && !options.some(option => schema.validate(value, option).length === 0)) {
+        fail('does not match any of the allowed shapes');
+        return;
+    }
+    if (Object.hasOwn(s, 'const') && !equal(value, s.const)) fail(`must be ${JSON.stringify(s.const)}`);
+    if (s.enum && !s.enum.some(option => equal(option, value))) {
+        fail(`must be one of ${s.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    if (s.type) {
+        const types = [].concat(s.type);
+        if (!types.some(type => isType(value, type))) {
+            fail(`must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (s.minLength != null && value.length < s.minLength) fail(`must have at least ${s.minLength} characters`);
+        if (s.maxLength != null && value.length > s.maxLength) fail(`must have at most ${s.maxLength} characters`);
+        if (s.pattern && !safePattern(s.pattern).test(value)) fail(`must match ${s.pattern}`);
+    } else if (typeof value === 'number') {
+        if (s.minimum != null && value < s.minimum) fail(`must be at least ${s.minimum}`);
+        if (s.maximum != null && value > s.maximum) fail(`must be at most ${s.maximum}`);
+        if (s.exclusiveMinimum != null && value <= s.exclusiveMinimum) fail(`must be more than ${s.exclusiveMinimum}`);
+        if (s.exclusiveMaximum != null && value >= s.exclusiveMaximum) fail(`must be less than ${s.exclusiveMaximum}`);
+    } else if (Array.isArray(value)) {
+        if (s.minItems != null && value.length < s.minItems) fail(`must have at least ${s.minItems} items`);
+        if (s.maxItems != null && value.length > s.maxItems) fail(`must have at most ${s.maxItems} items`);
+        if (s.items) value.forEach((item, i) => visit(item, s.items, `${path}[${i}]`, errors));
+    } else if (value && typeof value === 'object') {
+        (s.required || []).forEach(key => {
+            if (!Object.hasOwn(value, key)) fail('is required', `${path}.${key}`);
+        });
+        // Own keys only: "constructor" or "toString" in a reply must not match Object.prototype members
+        const additional = Object.hasOwn(s, 'additionalProperties') ? s.additionalProperties : undefined;
+        Object.entries(value).forEach(([key, item]) => {
+            if (s.properties && Object.hasOwn(s.properties, key)) visit(item, s.properties[key], `${path}.${key}`, errors);
+            else if (additional === false) fail('is not allowed', `${path}.${key}`);
+            else if (additional && typeof additional === 'object') visit(item, additional, `${path}.${key}`, errors);
+        });
+    }
+}
+
+function isType(value, type) {
+    switch (type) {
+        case 'object': return !!value && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'null': return value === null;
+        default: return typeof value === type;
+    }
+}
+
+function equal(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// A broken pattern in a hand-written schema should not stop validation of everything else
+function safePattern(pattern) {
+    try {
+        return new RegExp(pattern, 'u');
+    } catch (e) {
+        return /[\s\S]*/;
+    }
+}
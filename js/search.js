@@ -0,0 +1,82 @@
+/**
+ * PrivacyAI Search Module
+ * Turns projects into searchable documents and terms for the inverted index kept by storage.js,
+ * and builds highlighted snippets for results.
+ *
+ * A document is one piece of text inside a project, addressed by a ref:
+ *   'node:<id>' chat message, 'draft:<id>' writer draft, 'revision:<id>' editor run,
+ *   'summary' last summary, 'proofread' proofread text, 'name' project name, 'tags' project tags.
+ */
+
+import { chatTree } from './history.js';
+
+const MIN_TERM_LENGTH = 2;
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 120;
+
+// Intl.Segmenter also splits languages without spaces (Japanese); the regex is the fallback
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter ? new Intl.Segmenter(undefined, { granularity: 'word' }) : null;
+
+export const search = {
+    tokenize(text) {
+        if (!text) return [];
+        const lower = text.toLowerCase();
+        const words = segmenter
+            ? Array.from(segmenter.segment(lower)).filter(s => s.isWordLike).map(s => s.segment)
+            : lower.split(/[^\p{L}\p{N}]+/u);
+        return words.filter(w => w.length >= MIN_TERM_LENGTH || /[^\x00-\x7F]/.test(w));
+    },
+
+    documents(project) {
+        const docs = [{ ref: 'name', text: project.name || '' }];
+        if (project.tags && project.tags.length > 0) docs.push({ ref: 'tags', text: project.tags.map(t => `#${t}`).join(' ') });
+
+        const tree = chatTree.normalize(project.history);
+        Object.values(tree.nodes).forEach(node => docs.push({ ref: `node:${node.id}`, text: node.content }));
+
+        (project.drafts || []).forEach(d => docs.push({ ref: `draft:${d.id}`, text: `${d.prompt}\n${d.content}` }));
+        (project.revisions || []).forEach(r => docs.push({ ref: `revision:${r.id}`, text: `${r.input}\n${r.output}` }));
+        if (project.lastSummary) docs.push({ ref: 'summary', text: `${project.lastSummary.input}\n${project.lastSummary.output}` });
+        if (project.proofread) docs.push({ ref: 'proofread', text: project.proofread.input });
+
+        return docs.filter(d => d.text);
+    },
+
+    // term -> [refs] for one project
+    terms(project) {
+        const index = new Map();
+        this.documents(project).forEach(({ ref, text }) => {
+            new Set(this.tokenize(text)).forEach(term => {
+                if (!index.has(term)) index.set(term, []);
+                index.get(term).push(ref);
+            });
+        });
+        return index;
+    },
+
+    findText(project, ref) {
+        const doc = this.documents(project).find(d => d.ref === ref);
+        return doc ? doc.text : '';
+    },
+
+    // HTML-escaped excerpt around the first hit, with every query term wrapped in <mark>
+    snippet(text, terms) {
+        const lower = text.toLowerCase();
+        const first = terms.map(t => lower.indexOf(t)).filter(i => i >= 0).sort((a, b) => a - b)[0] || 0;
+        const start = Math.max(0, first - SNIPPET_BEFORE);
+        const end = Math.min(text.length, first + SNIPPET_AFTER);
+
+        // Hits are found in the raw text and escaped afterwards, so a term never matches inside an entity
+        const raw = text.slice(start, end).replace(/\s+/g, ' ');
+        const pattern = terms.filter(Boolean).map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        const parts = pattern ? raw.split(new RegExp(`(${pattern})`, 'giu')) : [raw];
+        // split() with a capture group puts the hits at the odd indexes
+        const excerpt = parts.map((part, i) => i % 2 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)).join('');
+
+        return `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`;
+    }
+};
+
+function escapeHTML(text) {
+    return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
@@ -4,69 +4,287 @@
  * Zero external dependencies.
  */
 
+import { vault } from './crypto.js';
+import { search } from './search.js';
+import { runMigrations, LATEST_VERSION, STORE_PROJECTS, STORE_SETTINGS, STORE_SEARCH, STORE_TEMPLATES, STORE_ATTACHMENTS, STORE_KNOWLEDGE } from './migrations.js';
+import { knowledge } from './knowledge.js';
+
 const DB_NAME = 'PrivacyAI_DB';
-const DB_VERSION = 1;
-const STORE_PROJECTS = 'projects';
-const STORE_SETTINGS = 'settings';
+const DB_VERSION = LATEST_VERSION; // Schema changes go into migrations.js
+const VAULT_KEY = 'vault'; // Settings entry with the passphrase parameters (salt, iterations, verifier)
+const SEARCH_INDEX_KEY = 'searchIndexVersion';
+const SEARCH_INDEX_VERSION = 2; // Bump when search.js changes what or how it indexes
+const SYNC_CHANNEL = 'privacyai-sync'; // BroadcastChannel between tabs (and the installed PWA) of this origin
 
 class StorageManager {
     constructor() {
         this.db = null;
+        this.vaultMeta = null; // Set when a passphrase protects the projects
+        this.key = null;       // AES-GCM key, only in memory while unlocked
+        this.indexKey = null;  // HMAC key for blinded search terms, only while unlocked
+        this.channel = null;
     }
 
-    async init() {
+    // onBlocked: other tabs still hold an older version open, the upgrade waits for them to close.
+    // onVersionChange: another tab needs a newer version; this connection is closed so it can proceed.
+    // onRemoteChange: another tab wrote something, see _broadcast() for the messages.
+    async init({ onBlocked, onVersionChange, onRemoteChange } = {}) {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(SYNC_CHANNEL);
+            if (onRemoteChange) this.channel.onmessage = (event) => onRemoteChange(event.data);
+        }
+
         return new Promise((resolve, reject) => {
             const request = indexedDB.open(DB_NAME, DB_VERSION);
+            let upgradeError = null;
 
             request.onerror = (event) => {
-                console.error("Storage initialization failed", event);
-                reject("Storage Error");
+                console.error("Storage initialization failed", upgradeError || request.error);
+                if (upgradeError) reject(new Error("STORAGE_UPGRADE_FAILED"));
+                else if (request.error && request.error.name === 'VersionError') reject(new Error("STORAGE_TOO_NEW"));
+                else reject(new Error("STORAGE_ERROR"));
+                event.preventDefault();
+            };
+
+            request.onblocked = () => {
+                if (onBlocked) onBlocked();
             };
 
             request.onsuccess = (event) => {
-                // alert("DB Opened Successfully");
                 this.db = event.target.result;
-                resolve();
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    if (onVersionChange) onVersionChange();
+                };
+                this.getSetting(VAULT_KEY).then(meta => {
+                    this.vaultMeta = meta;
+                    resolve();
+                }, reject);
             };
 
+            // A failing migration aborts the whole versionchange transaction: the database keeps its old version and data
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-
-                // Projects Store: id (key), name, systemPrompt, history, type
-                if (!db.objectStoreNames.contains(STORE_PROJECTS)) {
-                    db.createObjectStore(STORE_PROJECTS, { keyPath: 'id' });
-                }
-
-                // Settings Store: key (key), value
-                if (!db.objectStoreNames.contains(STORE_SETTINGS)) {
-                    db.createObjectStore(STORE_SETTINGS, { keyPath: 'key' });
-                }
+                const transaction = event.target.transaction;
+                runMigrations(event.target.result, transaction, event.oldVersion).then(applied => {
+                    console.info(`Storage upgraded to v${DB_VERSION} (migrations ${applied.join(', ')})`);
+                }, e => {
+                    upgradeError = e;
+                    console.error(`Migration ${e.migration} failed`, e);
+                    transaction.abort();
+                });
             };
         });
     }
 
     // --- Projects ---
 
-    async saveProject(project) {
-        return this._params('readwrite', STORE_PROJECTS, store => store.put(project));
+    // The project and its search entries are written in one transaction, so the index never lags behind.
+    // touch: false keeps updatedAt (layout changes and imports are not activity).
+    // project.rev counts saves: if the stored copy moved past the revision this one was loaded at (another
+    // tab saved in between), nothing is written and SAVE_CONFLICT is thrown. force: true overwrites anyway.
+    async saveProject(project, { touch = true, force = false } = {}) {
+        if (this.isLocked()) throw new Error("STORAGE_LOCKED");
+        if (touch || !project.updatedAt) project.updatedAt = Date.now();
+        if (!project.createdAt) project.createdAt = project.updatedAt;
+        const baseRev = project.rev || 0;
+        const record = this.key ? await this._seal(this.key, project) : { ...project };
+        const entries = await this._indexEntries(project, this.indexKey);
+
+        let conflict = false;
+        try {
+            await this._transaction([STORE_PROJECTS, STORE_SEARCH], transaction => {
+                const store = transaction.objectStore(STORE_PROJECTS);
+                const request = store.get(project.id);
+                request.onsuccess = () => {
+                    const stored = request.result;
+                    const storedRev = stored ? stored.rev || 0 : 0;
+                    if (stored && storedRev !== baseRev && !force) {
+                        conflict = true;
+                        transaction.abort();
+                        return;
+                    }
+                    record.rev = Math.max(storedRev, baseRev) + 1;
+                    store.put(record);
+                    this._replaceIndexEntries(transaction, project.id, entries);
+                };
+            });
+        } catch (e) {
+            throw conflict ? new Error("SAVE_CONFLICT") : e;
+        }
+
+        project.rev = record.rev;
+        this._broadcast({ type: 'project', id: project.id, rev: project.rev });
     }
 
     async getProject(id) {
-        return this._params('readonly', STORE_PROJECTS, store => store.get(id));
+        const record = await this._params('readonly', STORE_PROJECTS, store => store.get(id));
+        return record ? this._open(record) : record;
     }
 
+    // Most recently updated first (updatedAt index; migration v4 guarantees every record has the field)
     async getAllProjects() {
-        return this._params('readonly', STORE_PROJECTS, store => store.getAll());
+        const records = await this._params('readonly', STORE_PROJECTS, store => store.index('updatedAt').getAll());
+        return Promise.all(records.reverse().map(r => this._open(r)));
     }
 
     async deleteProject(id) {
-        return this._params('readwrite', STORE_PROJECTS, store => store.delete(id));
+        await this._transaction([STORE_PROJECTS, STORE_SEARCH, STORE_ATTACHMENTS, STORE_KNOWLEDGE], transaction => {
+            transaction.objectStore(STORE_PROJECTS).delete(id);
+            this._replaceIndexEntries(transaction, id, []);
+            [STORE_ATTACHMENTS, STORE_KNOWLEDGE].forEach(name => {
+                const store = transaction.objectStore(name);
+                const request = store.index('projectId').getAllKeys(IDBKeyRange.only(id));
+                request.onsuccess = () => request.result.forEach(key => store.delete(key));
+            });
+        });
+        this._broadcast({ type: 'delete', id });
+    }
+
+    // --- Search ---
+
+    // Projects where every query term occurs in the same document: { terms, results: [{ projectId, refs }] }
+    async searchProjects(query) {
+        const terms = [...new Set(search.tokenize(query))];
+        if (terms.length === 0 || this.isLocked()) return { terms, results: [] };
+
+        let matches = null; // projectId -> Set of refs containing all terms so far
+        for (const [i, term] of terms.entries()) {
+            // The word being typed also matches as a prefix; blinded terms only allow exact lookups
+            const stored = await this._term(term, this.indexKey);
+            const range = i === terms.length - 1 && !this.indexKey
+                ? IDBKeyRange.bound([term], [term + '\uffff'])
+                : IDBKeyRange.bound([stored], [stored, []]);
+            const entries = await this._params('readonly', STORE_SEARCH, store => store.getAll(range));
+
+            const found = new Map();
+            entries.forEach(e => {
+                if (!found.has(e.projectId)) found.set(e.projectId, new Set());
+                e.refs.forEach(ref => found.get(e.projectId).add(ref));
+            });
+
+            if (matches) {
+                found.forEach((refs, projectId) => {
+                    const previous = matches.get(projectId);
+                    found.set(projectId, new Set([...refs].filter(ref => previous && previous.has(ref))));
+                });
+            }
+            matches = new Map([...found].filter(([, refs]) => refs.size > 0));
+            if (matches.size === 0) break;
+        }
+
+        return { terms, results: [...matches].map(([projectId, refs]) => ({ projectId, refs: [...refs] })) };
+    }
+
+    // Builds the index for data that predates it (or after search.js changed); needs the store unlocked
+    async ensureSearchIndex() {
+        if (this.isLocked() || await this.getSetting(SEARCH_INDEX_KEY) === SEARCH_INDEX_VERSION) return;
+
+        const projects = await this.getAllProjects();
+        const entries = (await Promise.all(projects.map(p => this._indexEntries(p, this.indexKey)))).flat();
+
+        await this._transaction([STORE_SEARCH, STORE_SETTINGS], transaction => {
+            const store = transaction.objectStore(STORE_SEARCH);
+            store.clear();
+            entries.forEach(entry => store.put(entry));
+            transaction.objectStore(STORE_SETTINGS).put({ key: SEARCH_INDEX_KEY, value: SEARCH_INDEX_VERSION });
+        });
+    }
+
+    // --- Templates ---
+
+    async saveTemplate(template) {
+        template.updatedAt = Date.now();
+        if (!template.createdAt) template.createdAt = template.updatedAt;
+        await this._params('readwrite', STORE_TEMPLATES, store => store.put(template));
+        this._broadcast({ type: 'template', id: template.id });
+    }
+
+    async getAllTemplates() {
+        const list = await this._params('readonly', STORE_TEMPLATES, store => store.getAll());
+        return list.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async deleteTemplate(id) {
+        await this._params('readwrite', STORE_TEMPLATES, store => store.delete(id));
+        this._broadcast({ type: 'template', id });
+    }
+
+    // --- Attachments ---
+    // Written before the message that refers to them; the project save that follows notifies other tabs.
+
+    async saveAttachment(attachment) {
+        if (this.isLocked()) throw new Error("STORAGE_LOCKED");
+        const record = this.key ? await this._sealAttachment(this.key, attachment) : attachment;
+        await this._params('readwrite', STORE_ATTACHMENTS, store => store.put(record));
+    }
+
+    async getAttachment(id) {
+        const record = await this._params('readonly', STORE_ATTACHMENTS, store => store.get(id));
+        return record ? this._openAttachment(record) : record;
+    }
+
+    async deleteAttachment(id) {
+        await this._params('readwrite', STORE_ATTACHMENTS, store => store.delete(id));
+    }
+
+    // --- Knowledge Base ---
+    // BM25 postings per [term, projectId]; the passage texts are cut from the stored file on demand.
+    // Terms are blinded like the search index when a passphrase is set.
+
+    // Adds a document's postings; returns { passages, length } for project.knowledge
+    async addKnowledge(projectId, docId, text) {
+        if (this.isLocked()) throw new Error("STORAGE_LOCKED");
+        const { postings, passages, length } = knowledge.index(docId, text);
+        const terms = await Promise.all([...postings.keys()].map(term => this._term(term, this.indexKey)));
+
+        await this._transaction([STORE_KNOWLEDGE], transaction => {
+            const store = transaction.objectStore(STORE_KNOWLEDGE);
+            [...postings.values()].forEach((list, i) => {
+                const request = store.get([terms[i], projectId]);
+                request.onsuccess = () => {
+                    const entry = request.result || { term: terms[i], projectId, postings: [] };
+                    entry.postings = entry.postings.filter(p => p[0] !== docId).concat(list);
+                    store.put(entry);
+                };
+            });
+        });
+        return { passages, length };
+    }
+
+    async removeKnowledge(projectId, docId) {
+        await this._transaction([STORE_KNOWLEDGE], transaction => {
+            const request = transaction.objectStore(STORE_KNOWLEDGE).index('projectId').openCursor(IDBKeyRange.only(projectId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const postings = cursor.value.postings.filter(p => p[0] !== docId);
+                if (postings.length === 0) cursor.delete();
+                else if (postings.length < cursor.value.postings.length) cursor.update({ ...cursor.value, postings });
+                cursor.continue();
+            };
+        });
+    }
+
+    // Best passages of the project's knowledge base for a query: [{ docId, passage, score }]
+    async queryKnowledge(project, query, limit) {
+        const terms = [...new Set(search.tokenize(query))];
+        if (terms.length === 0 || !project.knowledge || project.knowledge.length === 0 || this.isLocked()) return [];
+
+        const postings = [];
+        for (const term of terms) {
+            const key = [await this._term(term, this.indexKey), project.id];
+            const entry = await this._params('readonly', STORE_KNOWLEDGE, store => store.get(key));
+            if (entry) postings.push(entry.postings);
+        }
+        return knowledge.rank(postings, knowledge.stats(project), limit);
     }
 
     // --- Settings ---
 
     async saveSetting(key, value) {
-        return this._params('readwrite', STORE_SETTINGS, store => store.put({ key, value }));
+        await this._params('readwrite', STORE_SETTINGS, store => store.put({ key, value }));
+        if (key !== VAULT_KEY && key !== SEARCH_INDEX_KEY) this._broadcast({ type: 'setting', key });
     }
 
     async getSetting(key) {
@@ -74,10 +292,202 @@ class StorageManager {
         return result ? result.value : null;
     }
 
+    async getAllSettings() {
+        const settings = await this._params('readonly', STORE_SETTINGS, store => store.getAll());
+        return settings.filter(s => !this.isReservedSetting(s.key));
+    }
+
+    // Entries managed by storage itself; they describe this database and never travel in a backup
+    isReservedSetting(key) {
+        return key === VAULT_KEY || key === SEARCH_INDEX_KEY;
+    }
+
+    // --- Encryption ---
+    // Project bodies are sealed with AES-GCM; only the id (the key path), the indexed updatedAt / apiMode
+    // and the revision counter stay readable.
+    // Search terms are HMACs under a random index key, which is itself stored sealed in the vault entry.
+    // Settings stay in clear: the language and the passphrase parameters are needed before unlocking.
+    // Templates stay in clear too; they hold reusable prompts, not conversations.
+    // Attachments keep only id, projectId and createdAt readable; the file bytes are sealed separately.
+
+    isEncrypted() {
+        return !!this.vaultMeta;
+    }
+
+    isLocked() {
+        return this.isEncrypted() && !this.key;
+    }
+
+    async unlock(passphrase) {
+        const key = await vault.deriveKey(passphrase, this.vaultMeta);
+        if (!await vault.checkVerifier(key, this.vaultMeta.verifier)) throw new Error("WRONG_PASSPHRASE");
+        this.key = key;
+
+        // Vaults created before search existed get an index key now and a rebuilt index
+        if (!this.vaultMeta.indexKey) {
+            this.vaultMeta.indexKey = await vault.seal(key, vault.createIndexKey());
+            await this.saveSetting(VAULT_KEY, this.vaultMeta);
+            await this.saveSetting(SEARCH_INDEX_KEY, 0);
+        }
+        this.indexKey = await vault.importIndexKey(await vault.open(key, this.vaultMeta.indexKey));
+    }
+
+    lock() {
+        this.key = null;
+        this.indexKey = null;
+    }
+
+    // Sets, changes or (with an empty newPassphrase) removes the passphrase, re-encrypting every project
+    async setPassphrase(currentPassphrase, newPassphrase) {
+        if (this.isEncrypted()) await this.unlock(currentPassphrase);
+        const projects = await this.getAllProjects();
+
+        let key = null;
+        let indexKey = null;
+        let meta = null;
+        if (newPassphrase) {
+            const params = vault.createParams();
+            const indexRaw = vault.createIndexKey();
+            key = await vault.deriveKey(newPassphrase, params);
+            indexKey = await vault.importIndexKey(indexRaw);
+            meta = { ...params, verifier: await vault.createVerifier(key), indexKey: await vault.seal(key, indexRaw) };
+        }
+        const records = await Promise.all(projects.map(p => key ? this._seal(key, p) : p));
+        const entries = (await Promise.all(projects.map(p => this._indexEntries(p, indexKey)))).flat();
+        const stored = await this._params('readonly', STORE_ATTACHMENTS, store => store.getAll());
+        const opened = await Promise.all(stored.map(record => this._openAttachment(record)));
+        const files = await Promise.all(opened.map(file => key ? this._sealAttachment(key, file) : file));
+        const knowledgeEntries = await this._knowledgeEntries(projects, opened, indexKey);
+
+        // A single transaction: either every record, the index and the new parameters are written, or nothing is
+        await this._transaction([STORE_PROJECTS, STORE_SEARCH, STORE_SETTINGS, STORE_ATTACHMENTS, STORE_KNOWLEDGE], transaction => {
+            const store = transaction.objectStore(STORE_PROJECTS);
+            records.forEach(record => store.put(record));
+
+            const attachments = transaction.objectStore(STORE_ATTACHMENTS);
+            files.forEach(file => attachments.put(file));
+
+            const knowledgeIndex = transaction.objectStore(STORE_KNOWLEDGE);
+            knowledgeIndex.clear();
+            knowledgeEntries.forEach(entry => knowledgeIndex.put(entry));
+
+            const index = transaction.objectStore(STORE_SEARCH);
+            index.clear();
+            entries.forEach(entry => index.put(entry));
+
+            const settings = transaction.objectStore(STORE_SETTINGS);
+            if (meta) settings.put({ key: VAULT_KEY, value: meta });
+            else settings.delete(VAULT_KEY);
+            settings.put({ key: SEARCH_INDEX_KEY, value: SEARCH_INDEX_VERSION });
+        });
+
+        this.vaultMeta = meta;
+        this.key = key;
+        this.indexKey = indexKey;
+        this._broadcast({ type: 'vault' });
+    }
+
+    async _seal(key, project) {
+        return { id: project.id, updatedAt: project.updatedAt, apiMode: project.apiMode, rev: project.rev, sealed: await vault.seal(key, project) };
+    }
+
+    async _open(record) {
+        if (!record.sealed) return record;
+        if (!this.key) throw new Error("STORAGE_LOCKED");
+        // The clear rev is the authoritative one: saveProject() bumps it without re-sealing
+        return { ...await vault.open(this.key, record.sealed), rev: record.rev };
+    }
+
+    async _sealAttachment(key, attachment) {
+        const { blob, ...meta } = attachment;
+        return {
+            id: attachment.id,
+            projectId: attachment.projectId,
+            createdAt: attachment.createdAt,
+            sealed: await vault.seal(key, meta),
+            data: await vault.sealBytes(key, await blob.arrayBuffer())
+        };
+    }
+
+    async _openAttachment(record) {
+        if (!record.sealed) return record;
+        if (!this.key) throw new Error("STORAGE_LOCKED");
+        const meta = await vault.open(this.key, record.sealed);
+        return { ...meta, blob: new Blob([await vault.openBytes(this.key, record.data)], { type: meta.type }) };
+    }
+
+    async _term(term, indexKey) {
+        return indexKey ? vault.blind(indexKey, term) : term;
+    }
+
+    async _indexEntries(project, indexKey) {
+        const entries = [];
+        for (const [term, refs] of search.terms(project)) {
+            entries.push({ term: await this._term(term, indexKey), projectId: project.id, refs });
+        }
+        return entries;
+    }
+
+    // The whole knowledge index rebuilt from the stored files (terms blinded with indexKey, if any)
+    async _knowledgeEntries(projects, files, indexKey) {
+        const entries = [];
+        for (const project of projects) {
+            const merged = new Map();
+            (project.knowledge || []).forEach(doc => {
+                const file = files.find(f => f.id === doc.id);
+                if (!file) return;
+                knowledge.index(doc.id, file.text).postings.forEach((list, term) => {
+                    merged.set(term, (merged.get(term) || []).concat(list));
+                });
+            });
+            for (const [term, postings] of merged) {
+                entries.push({ term: await this._term(term, indexKey), projectId: project.id, postings });
+            }
+        }
+        return entries;
+    }
+
+    // Must run inside a transaction on STORE_SEARCH: new entries go in only after the old ones are gone
+    _replaceIndexEntries(transaction, projectId, entries) {
+        const store = transaction.objectStore(STORE_SEARCH);
+        const request = store.index('projectId').openKeyCursor(IDBKeyRange.only(projectId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+                return;
+            }
+            entries.forEach(entry => store.put(entry));
+        };
+    }
+
+    // --- Cross-tab Sync ---
+    // Messages: { type: 'project', id, rev } | { type: 'delete', id } | { type: 'setting', key } | { type: 'vault' }
+    //           | { type: 'template', id }
+    // BroadcastChannel never delivers to the sender, so a tab only hears about other tabs' writes.
+
+    _broadcast(change) {
+        if (this.channel) this.channel.postMessage(change);
+    }
+
     // --- Helper ---
 
+    _transaction(storeNames, callback) {
+        return new Promise((resolve, reject) => {
+            if (!this.db) throw new Error("STORAGE_CLOSED");
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+            callback(transaction);
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
     _params(mode, storeName, callback) {
         return new Promise((resolve, reject) => {
+            if (!this.db) throw new Error("STORAGE_CLOSED");
             const transaction = this.db.transaction([storeName], mode);
             const store = transaction.objectStore(storeName);
             const request = callback(store);
@@ -0,0 +1,65 @@
+/**
+ * PrivacyAI Templates Module
+ * Reusable prompts with named {{variables}}, each meant for one mode (chat, writer or editor),
+ * and template packs: JSON files for sharing templates between people and machines.
+ *
+ * Template: { id, name, mode: 'prompt' | 'writer' | 'rewriter', text, createdAt, updatedAt }
+ */
+
+const PACK_APP = 'PrivacyAI';
+const PACK_KIND = 'templates';
+const PACK_FORMAT = 1; // Bump when the pack layout changes; older packs must stay importable
+
+export const TEMPLATE_MODES = ['prompt', 'writer', 'rewriter'];
+
+// {{ name }}: letters, digits, spaces, _ and -
+const VARIABLE = /\{\{\s*([\p{L}\p{N}_ -]+?)\s*\}\}/gu;
+
+export const templates = {
+    create({ name, mode, text }) {
+        return { id: crypto.randomUUID(), name, mode, text };
+    },
+
+    // Variable names in order of first appearance
+    variables(text) {
+        return [...new Set(Array.from(text.matchAll(VARIABLE), m => m[1]))];
+    },
+
+    fill(text, values) {
+        return text.replace(VARIABLE, (match, name) => values[name] ?? match);
+    },
+
+    // Templates for a mode whose name contains the query (what the slash picker lists)
+    match(list, mode, query) {
+        const q = query.toLowerCase();
+        return list.filter(t => t.mode === mode && t.name.toLowerCase().includes(q));
+    },
+
+    exportPack(list) {
+        return {
+            app: PACK_APP,
+            kind: PACK_KIND,
+            format: PACK_FORMAT,
+            exportedAt: new Date().toISOString(),
+            templates: list.map(({ id, name, mode, text }) => ({ id, name, mode, text }))
+        };
+    },
+
+    // Validates a pack file; unknown modes and incomplete entries are dropped
+    parsePack(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error("TEMPLATES_INVALID");
+        }
+        if (!data || data.app !== PACK_APP || data.kind !== PACK_KIND || !Array.isArray(data.templates)) {
+            throw new Error("TEMPLATES_INVALID");
+        }
+        if (data.format > PACK_FORMAT) throw new Error("TEMPLATES_TOO_NEW");
+
+        return data.templates
+            .filter(t => t && typeof t.name === 'string' && typeof t.text === 'string' && TEMPLATE_MODES.includes(t.mode))
+            .map(t => ({ id: t.id || crypto.randomUUID(), name: t.name, mode: t.mode, text: t.text }));
+    }
+};
@@ -3,12 +3,27 @@
  * Handles DOM manipulations, Localization, and View updates.
  */
 import { locales } from './locales.js';
+import { sanitize } from './sanitize.js';
+import { highlight } from './highlight.js';
+import { attachments, ATTACHMENT_ACCEPT } from './attachments.js';
+import { csv } from './csv.js';
+import { schema, SCHEMA_PRESETS } from './schema.js';
+import { batch, MAX_CONCURRENCY } from './batch.js';
 
 // DOM Elements
 const elements = {
     projectList: document.getElementById('project-list'),
+    projectSearch: document.getElementById('project-search'),
+    searchResults: document.getElementById('search-results'),
     outputStream: document.getElementById('output-stream'),
+    jumpLatestBtn: document.getElementById('jump-latest-btn'),
     userInput: document.getElementById('user-input'),
+    attachmentTray: document.getElementById('attachment-tray'),
+    attachBtn: document.getElementById('attach-btn'),
+    attachFileInput: document.getElementById('attach-file-input'),
+    knowledgeBtn: document.getElementById('knowledge-btn'),
+    recordBtn: document.getElementById('record-btn'),
+    structuredBatchBtn: document.getElementById('structured-batch-btn'),
     progressBar: document.getElementById('download-progress'),
     modelLoader: document.getElementById('model-loader'),
     loaderStatus: document.querySelector('.loader-status'),
@@ -16,7 +31,27 @@ const elements = {
     rewriterSplit: document.getElementById('re-writer-split'),
     rewriterInput: document.getElementById('rewriter-input'),
     rewriterOutput: document.getElementById('rewriter-output'),
+    proofreadDiff: document.getElementById('proofread-diff'),
+    rewriterRevisions: document.getElementById('rewriter-revisions'),
+    writerView: document.getElementById('writer-view'),
+    writerContext: document.getElementById('writer-context'),
+    writerPrompt: document.getElementById('writer-prompt'),
+    writerDrafts: document.getElementById('writer-drafts'),
+    writerCompare: document.getElementById('writer-compare'),
+    summarizerSplit: document.getElementById('summarizer-split'),
+    summarizerInput: document.getElementById('summarizer-input'),
+    summarizerOutput: document.getElementById('summarizer-output'),
+    summarizerType: document.getElementById('summarizer-type'),
+    summarizerFormat: document.getElementById('summarizer-format'),
+    summarizerLength: document.getElementById('summarizer-length'),
+    editorTone: document.getElementById('editor-tone'),
+    editorFormat: document.getElementById('editor-format'),
+    editorLength: document.getElementById('editor-length'),
+    writerTone: document.getElementById('writer-tone'),
+    writerFormat: document.getElementById('writer-format'),
+    writerLength: document.getElementById('writer-length'),
     apiSelector: document.getElementById('api-selector'),
+    backendSelector: document.getElementById('backend-selector'),
     hardwareStatus: document.querySelector('.hardware-status'),
     closeModalBtn: document.querySelector('.close-modal'), // For input modal
     langSelector: document.getElementById('lang-selector'),
@@ -31,6 +66,39 @@ const elements = {
 
 let currentLang = 'en';
 
+const SCROLL_STICK_PX = 40; // Closer than this to the bottom counts as "following" the stream
+
+// Error codes from attachments.js -> [locale key, fallback]
+const BATCH_STATUS_ICONS = { pending: '⏳', running: '⚙️', done: '✓', failed: '⚠' };
+
+const ATTACHMENT_ERRORS = {
+    ATTACHMENT_UNSUPPORTED: ['attach_unsupported', 'Unsupported file type'],
+    ATTACHMENT_TOO_LARGE: ['attach_too_large', 'File is too large (max. 20 MB)'],
+    ATTACHMENT_ENCRYPTED: ['attach_encrypted', 'Password-protected PDF'],
+    ATTACHMENT_EMPTY: ['attach_empty', 'No text found (scanned pages cannot be read)'],
+    ATTACHMENT_UNREADABLE: ['attach_unreadable', 'Could not read the file'],
+    MEDIA_IMAGE_UNSUPPORTED: ['media_image_unsupported', 'This model does not accept images'],
+    MEDIA_AUDIO_UNSUPPORTED: ['media_audio_unsupported', 'This model does not accept audio']
+};
+
+// Object URLs of images / audio clips shown in the chat, by attachment id (released when the project changes)
+const mediaUrls = new Map();
+
+const MODE_ICONS = {
+    'prompt': '💬',
+    'writer': '📝',
+    'rewriter': '✂️',
+    'summarizer': '📋',
+    'proofreader': '🔍'
+};
+
+// Option selects of each mode: option name -> [element name, default value]
+const MODE_OPTION_FIELDS = {
+    writer: { tone: ['writerTone', 'neutral'], format: ['writerFormat', 'markdown'], length: ['writerLength', 'medium'] },
+    rewriter: { tone: ['editorTone', 'more-formal'], format: ['editorFormat', 'as-is'], length: ['editorLength', 'as-is'] },
+    summarizer: { type: ['summarizerType', 'tldr'], format: ['summarizerFormat', 'markdown'], length: ['summarizerLength', 'medium'] }
+};
+
 export const UI = {
     ...elements,
 
@@ -53,6 +121,13 @@ export const UI = {
         // Update placeholders dynamically
         elements.userInput.placeholder = dict.input_placeholder;
         elements.rewriterInput.placeholder = dict.editor_placeholder;
+        elements.summarizerInput.placeholder = dict.summarizer_placeholder || "Paste meeting notes or an article...";
+        elements.writerPrompt.placeholder = dict.writer_placeholder;
+        elements.writerContext.placeholder = dict.writer_context_placeholder || "Audience, company background, style notes... (used for every draft)";
+        if (elements.attachBtn) elements.attachBtn.title = dict.attach_btn || 'Attach documents';
+        if (elements.knowledgeBtn) elements.knowledgeBtn.title = dict.knowledge_title || 'Knowledge Base';
+        if (elements.recordBtn) this.setRecording(elements.recordBtn.classList.contains('recording'));
+        if (elements.structuredBatchBtn) elements.structuredBatchBtn.title = dict.structured_batch_title || 'Batch Extraction';
 
         // Update Mode Description
         this.updateModeDescription(elements.apiSelector.value);
@@ -75,60 +150,559 @@ export const UI = {
         if (mode === 'prompt') text = dict.mode_desc_chat;
         else if (mode === 'writer') text = dict.mode_desc_writer;
         else if (mode === 'rewriter') text = dict.mode_desc_editor;
+        else if (mode === 'summarizer') text = dict.mode_desc_summarizer;
+        else if (mode === 'proofreader') text = dict.mode_desc_proofreader;
         elements.modeDesc.textContent = text;
     },
 
-    renderProjects(projects, activeId) {
+    // projects arrive already sorted; layout = { folders: [{ id, name, collapsed }] }
+    renderProjects(projects, activeId, layout = { folders: [] }) {
+        const dict = locales[currentLang];
         elements.projectList.innerHTML = '';
-        projects.forEach(p => {
-            const div = document.createElement('div');
-            div.className = `project-item ${p.id === activeId ? 'active' : ''}`;
-            div.dataset.id = p.id;
-
-            // Icon based on Mode
-            const iconMock = {
-                'prompt': '💬',
-                'writer': '📝',
-                'rewriter': '✂️'
-            };
-            const modeIcon = document.createElement('span');
-            modeIcon.textContent = iconMock[p.apiMode] || '💬';
-            modeIcon.style.marginRight = '8px';
-            modeIcon.style.opacity = '0.7';
 
-            // Name
-            const span = document.createElement('span');
-            span.className = 'project-name';
-            span.textContent = p.name;
+        const folderIds = new Set(layout.folders.map(f => f.id));
+        const pinned = projects.filter(p => p.pinned);
+        const loose = projects.filter(p => !p.pinned && !folderIds.has(p.folderId));
+
+        if (pinned.length > 0) {
+            const group = this.createProjectGroup('pinned', `📌 ${dict.pinned || 'Pinned'}`);
+            pinned.forEach(p => group.appendChild(this.createProjectItem(p, activeId, 'pinned')));
+            elements.projectList.appendChild(group);
+        }
 
-            // Actions
+        layout.folders.forEach(folder => {
+            const items = projects.filter(p => !p.pinned && p.folderId === folder.id);
+            const div = document.createElement('div');
+            div.className = `project-folder ${folder.collapsed ? 'collapsed' : ''}`;
+            div.dataset.folderId = folder.id;
+
+            const header = document.createElement('div');
+            header.className = 'folder-header';
+            const name = document.createElement('span');
+            name.className = 'folder-name';
+            name.textContent = `${folder.collapsed ? '▸' : '▾'} ${folder.name} (${items.length})`;
             const actions = document.createElement('div');
             actions.className = 'project-actions';
             actions.innerHTML = `
-                <button class="rename-chat-btn" title="Rename">✏️</button>
-                <button class="delete-chat-btn" title="Delete">🗑️</button>
+                <button class="rename-folder-btn" title="${dict.rename_folder || 'Rename Folder'}">✏️</button>
+                <button class="delete-folder-btn" title="${dict.delete_folder || 'Delete Folder'}">🗑️</button>
             `;
+            header.append(name, actions);
+            div.appendChild(header);
 
-            div.appendChild(modeIcon);
-            div.appendChild(span);
-            div.appendChild(actions);
+            const group = this.createProjectGroup(folder.id);
+            items.forEach(p => group.appendChild(this.createProjectItem(p, activeId, folder.id)));
+            div.appendChild(group);
             elements.projectList.appendChild(div);
         });
+
+        const root = this.createProjectGroup('');
+        loose.forEach(p => root.appendChild(this.createProjectItem(p, activeId, '')));
+        elements.projectList.appendChild(root);
+    },
+
+    // container: 'pinned', a folder id, or '' for the top level (used as the drop target)
+    createProjectGroup(container, label = null) {
+        const group = document.createElement('div');
+        group.className = 'project-group';
+        group.dataset.container = container;
+        if (label) {
+            const header = document.createElement('div');
+            header.className = 'group-label';
+            header.textContent = label;
+            group.appendChild(header);
+        }
+        return group;
+    },
+
+    createProjectItem(p, activeId, container) {
+        const dict = locales[currentLang];
+        const div = document.createElement('div');
+        div.className = `project-item ${p.id === activeId ? 'active' : ''}`;
+        div.dataset.id = p.id;
+        div.dataset.container = container;
+        div.draggable = true;
+
+        // Icon based on Mode
+        const modeIcon = document.createElement('span');
+        modeIcon.textContent = MODE_ICONS[p.apiMode] || '💬';
+        modeIcon.style.marginRight = '8px';
+        modeIcon.style.opacity = '0.7';
+
+        // Name and Tags
+        const label = document.createElement('div');
+        label.className = 'project-label';
+        const span = document.createElement('span');
+        span.className = 'project-name';
+        span.textContent = p.name;
+        label.appendChild(span);
+        if (p.tags && p.tags.length > 0) {
+            const tags = document.createElement('div');
+            tags.className = 'project-tags';
+            p.tags.forEach(tag => {
+                const chip = document.createElement('span');
+                chip.className = 'tag-chip';
+                chip.dataset.tag = tag;
+                chip.textContent = `#${tag}`;
+                tags.appendChild(chip);
+            });
+            label.appendChild(tags);
+        }
+
+        // Actions
+        const actions = document.createElement('div');
+        actions.className = 'project-actions';
+        actions.innerHTML = `
+            <button class="pin-chat-btn" title="${p.pinned ? (dict.unpin || 'Unpin') : (dict.pin || 'Pin')}">${p.pinned ? '📍' : '📌'}</button>
+            <button class="tag-chat-btn" title="${dict.tags || 'Tags'}">🏷️</button>
+            <button class="settings-chat-btn" title="${dict.project_settings || 'Chat Settings'}">⚙️</button>
+            <button class="export-chat-btn" title="Export">📤</button>
+            <button class="rename-chat-btn" title="Rename">✏️</button>
+            <button class="delete-chat-btn" title="Delete">🗑️</button>
+        `;
+
+        div.appendChild(modeIcon);
+        div.appendChild(label);
+        div.appendChild(actions);
+        return div;
+    },
+
+    setProjectSort(sort) {
+        const select = document.getElementById('project-sort');
+        if (select) select.value = sort;
+    },
+
+    // Where a dragged project would land: { container, beforeId } (beforeId null = end of the group)
+    getDropTarget(e) {
+        const item = e.target.closest('.project-item');
+        if (item) {
+            const rect = item.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            const next = after ? item.nextElementSibling : item;
+            return {
+                container: item.dataset.container,
+                beforeId: next && next.classList.contains('project-item') ? next.dataset.id : null,
+                el: item,
+                position: after ? 'after' : 'before'
+            };
+        }
+        const folder = e.target.closest('.project-folder');
+        if (folder) return { container: folder.dataset.folderId, beforeId: null, el: folder.querySelector('.folder-header'), position: 'into' };
+        const group = e.target.closest('.project-group');
+        return { container: group ? group.dataset.container : '', beforeId: null, el: null, position: 'end' };
+    },
+
+    showDropIndicator(target) {
+        this.clearDropIndicator();
+        if (target && target.el) target.el.classList.add(`drop-${target.position}`);
+    },
+
+    clearDropIndicator() {
+        elements.projectList.querySelectorAll('.drop-before, .drop-after, .drop-into')
+            .forEach(el => el.classList.remove('drop-before', 'drop-after', 'drop-into'));
+    },
+
+    // Search hits replace the project list while a query is active; null restores the list
+    renderSearchResults(hits) {
+        const dict = locales[currentLang];
+        const active = hits !== null;
+        elements.projectList.classList.toggle('hidden', active);
+        elements.searchResults.classList.toggle('hidden', !active);
+        document.querySelector('#project-list-container .list-header').textContent = active
+            ? (dict.search_results || 'Search Results')
+            : dict.my_chats;
+        if (!active) return;
+
+        elements.searchResults.innerHTML = '';
+        if (hits.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-empty';
+            empty.textContent = dict.search_empty || 'No matches.';
+            elements.searchResults.appendChild(empty);
+            return;
+        }
+
+        hits.forEach(hit => {
+            const div = document.createElement('div');
+            div.className = 'search-hit';
+            div.dataset.projectId = hit.projectId;
+            div.dataset.ref = hit.ref;
+
+            const title = document.createElement('div');
+            title.className = 'search-hit-title';
+            title.textContent = `${MODE_ICONS[hit.apiMode] || '💬'} ${hit.projectName}`;
+
+            const snippet = document.createElement('div');
+            snippet.className = 'search-hit-snippet';
+            snippet.innerHTML = hit.snippet; // Escaped by search.snippet, only <mark> added
+
+            div.append(title, snippet);
+            elements.searchResults.appendChild(div);
+        });
+    },
+
+    // Scrolls a chat message into view and flashes it
+    revealMessage(id) {
+        const el = elements.outputStream.querySelector(`.message[data-id="${id}"]`);
+        if (!el) return;
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        el.classList.add('search-flash');
+        setTimeout(() => el.classList.remove('search-flash'), 2000);
     },
 
     clearChat() {
         elements.outputStream.innerHTML = '';
+        this.showJumpToLatest(false);
         // Removed generic system message to keep it clean
     },
 
-    appendUserMessage(text) {
+    appendUserMessage(message) {
         const div = document.createElement('div');
         div.className = 'message user';
-        div.textContent = text;
+        this.fillUserMessage(div, message);
         elements.outputStream.appendChild(div);
         this.scrollToBottom();
     },
 
+    fillUserMessage(div, message) {
+        div.dataset.id = message.id;
+        div.textContent = message.content;
+        if (message.attachments && message.attachments.length > 0) {
+            const list = document.createElement('div');
+            list.className = 'attachment-list';
+            message.attachments.forEach(file => list.appendChild(this.createAttachmentChip(file)));
+            div.appendChild(list);
+        }
+        if (message.media && message.media.length > 0) {
+            const list = document.createElement('div');
+            list.className = 'media-list';
+            message.media.forEach(item => list.appendChild(this.createMediaItem(item)));
+            div.appendChild(list);
+        }
+        div.appendChild(this.createMessageFooter(message, [['edit', '✏️', 'edit_btn', 'Edit'], ['copy', '📋', 'copy_btn', 'Copy']]));
+    },
+
+    // Renders the active branch; message ids let the actions find their node
+    renderChatHistory(messages) {
+        this.clearChat();
+        messages.forEach(msg => {
+            if (msg.role === 'user') this.appendUserMessage(msg);
+            else {
+                const con = this.createModelMessageContainer();
+                this.updateMessageContent(con, msg.content);
+                this.finishModelMessage(con, msg);
+            }
+        });
+    },
+
+    // File chip; sent attachments open (download) on click, pending ones have a status and a remove button
+    createAttachmentChip(file, pending = null) {
+        const dict = locales[currentLang];
+        const chip = document.createElement(pending ? 'div' : 'button');
+        chip.className = 'attachment-chip';
+        chip.dataset.attachment = file.id;
+        chip.title = file.name;
+
+        const name = document.createElement('span');
+        name.className = 'attachment-name';
+        name.textContent = `${file.kind === 'image' ? '🖼️' : file.kind === 'audio' ? '🎙️' : '📄'} ${file.name}`;
+        if (file.kind === 'image' && mediaUrls.has(file.id)) {
+            const thumb = document.createElement('img');
+            thumb.className = 'attachment-thumb';
+            thumb.src = mediaUrls.get(file.id);
+            thumb.alt = '';
+            chip.appendChild(thumb);
+        }
+        const meta = document.createElement('span');
+        meta.className = 'attachment-meta';
+        meta.textContent = attachments.formatSize(file.size);
+        chip.append(name, meta);
+
+        if (pending) {
+            if (pending.status === 'reading') {
+                meta.textContent = dict.attach_reading || 'Reading…';
+            } else if (pending.status === 'error') {
+                meta.textContent = this.attachmentError(pending.error);
+                chip.classList.add('error');
+            }
+            const remove = document.createElement('button');
+            remove.className = 'attachment-remove';
+            remove.dataset.removeAttachment = file.id;
+            remove.title = dict.attach_remove || 'Remove';
+            remove.textContent = '×';
+            chip.appendChild(remove);
+        }
+        return chip;
+    },
+
+    // Thumbnail (click downloads the original) or audio player; the source is filled in by showMedia
+    createMediaItem(item) {
+        if (item.kind === 'audio') {
+            const figure = document.createElement('div');
+            figure.className = 'media-audio';
+            const caption = document.createElement('span');
+            caption.className = 'attachment-meta';
+            caption.textContent = `🎙️ ${item.name}`;
+            const audio = document.createElement('audio');
+            audio.controls = true;
+            audio.preload = 'metadata';
+            audio.dataset.media = item.id;
+            if (mediaUrls.has(item.id)) audio.src = mediaUrls.get(item.id);
+            figure.append(caption, audio);
+            return figure;
+        }
+
+        const btn = document.createElement('button');
+        btn.className = 'media-thumb';
+        btn.dataset.attachment = item.id;
+        btn.title = item.name;
+        const img = document.createElement('img');
+        img.alt = item.name;
+        img.dataset.media = item.id;
+        if (mediaUrls.has(item.id)) img.src = mediaUrls.get(item.id);
+        btn.appendChild(img);
+        return btn;
+    },
+
+    // Ids of rendered media whose file has not been loaded yet
+    missingMedia() {
+        const ids = Array.from(elements.outputStream.querySelectorAll('[data-media]'))
+            .filter(el => !mediaUrls.has(el.dataset.media))
+            .map(el => el.dataset.media);
+        return [...new Set(ids)];
+    },
+
+    showMedia(id, blob) {
+        if (!mediaUrls.has(id)) mediaUrls.set(id, URL.createObjectURL(blob));
+        document.querySelectorAll(`[data-media="${CSS.escape(id)}"]`).forEach(el => { el.src = mediaUrls.get(id); });
+    },
+
+    // Frees the given object URLs, or all of them
+    releaseMedia(ids = [...mediaUrls.keys()]) {
+        ids.forEach(id => {
+            if (!mediaUrls.has(id)) return;
+            URL.revokeObjectURL(mediaUrls.get(id));
+            mediaUrls.delete(id);
+        });
+    },
+
+    setRecording(active) {
+        const dict = locales[currentLang];
+        elements.recordBtn.classList.toggle('recording', active);
+        elements.recordBtn.textContent = active ? '⏹' : '🎤';
+        elements.recordBtn.title = active ? (dict.record_stop || 'Stop recording') : (dict.record_btn || 'Record audio');
+    },
+
+    // Files waiting to go out with the next message: [{ id, name, size, status, error }]
+    renderAttachmentTray(pending) {
+        const tray = elements.attachmentTray;
+        tray.replaceChildren(...pending.map(p => this.createAttachmentChip(p, p)));
+        tray.classList.toggle('hidden', pending.length === 0);
+    },
+
+    showAttachmentNotice(beforeEl, info) {
+        const dict = locales[currentLang];
+        const div = document.createElement('div');
+        div.className = 'system-message';
+        div.textContent = (dict.attach_truncated || 'The documents are too long for the model: only {included} of {total} parts were sent.')
+            .replace('{included}', info.included)
+            .replace('{total}', info.total);
+        elements.outputStream.insertBefore(div, beforeEl);
+    },
+
+    // Branch switcher ("< 2/3 >", only when there are siblings) followed by the hover actions
+    createMessageFooter(message, actions) {
+        const dict = locales[currentLang];
+        const footer = document.createElement('div');
+        footer.className = 'message-footer';
+
+        const { index, count } = message.branch;
+        if (count > 1) {
+            const switcher = document.createElement('div');
+            switcher.className = 'branch-switcher';
+            switcher.innerHTML = `
+                <button data-action="prev-branch" title="${dict.branch_prev || 'Previous version'}" ${index === 1 ? 'disabled' : ''}>‹</button>
+                <span>${index}/${count}</span>
+                <button data-action="next-branch" title="${dict.branch_next || 'Next version'}" ${index === count ? 'disabled' : ''}>›</button>
+            `;
+            footer.appendChild(switcher);
+        }
+
+        const bar = document.createElement('div');
+        bar.className = 'message-actions';
+        actions.forEach(([action, icon, key, fallback]) => {
+            const btn = document.createElement('button');
+            btn.dataset.action = action;
+            btn.textContent = `${icon} ${dict[key] || fallback}`;
+            bar.appendChild(btn);
+        });
+        footer.appendChild(bar);
+        return footer;
+    },
+
+    // Only the newest reply can be regenerated, so the button moves along with it
+    finishModelMessage(container, message) {
+        const dict = locales[currentLang];
+        container.dataset.id = message.id;
+        if (message.structured) this.renderStructured(container, message);
+        if (message.stopped) {
+            const tag = document.createElement('div');
+            tag.className = 'message-stopped';
+            tag.textContent = dict.message_stopped || 'Stopped';
+            container.appendChild(tag);
+        }
+        if (message.sources && message.sources.length > 0) {
+            this.linkCitations(container, message.sources);
+            container.appendChild(this.createSourceList(message.sources));
+        }
+        elements.outputStream.querySelectorAll('[data-action="regenerate"]').forEach(el => el.remove());
+        container.appendChild(this.createMessageFooter(message, [['copy', '📋', 'copy_btn', 'Copy'], ['regenerate', '🔄', 'regenerate_btn', 'Regenerate']]));
+    },
+
+    // A reply constrained by the project's schema: a collapsible JSON tree and the validation result
+    renderStructured(container, message) {
+        const dict = locales[currentLang];
+        const errors = message.structured.errors || [];
+
+        const status = document.createElement('div');
+        status.className = `schema-status ${errors.length > 0 ? 'invalid' : 'valid'}`;
+        status.textContent = errors.length === 0
+            ? (dict.schema_valid || '✓ Matches the schema')
+            : (dict.schema_problems || '⚠ {count} problems with the schema:').replace('{count}', errors.length);
+        if (errors.length > 0) {
+            const list = document.createElement('ul');
+            errors.forEach(error => {
+                const item = document.createElement('li');
+                item.textContent = `${error.path} ${error.message}`;
+                list.appendChild(item);
+            });
+            status.appendChild(list);
+        }
+
+        let value;
+        try {
+            value = JSON.parse(message.content);
+        } catch (e) {
+            // Not JSON at all: the Markdown rendering stays, with the status below it
+            container.appendChild(status);
+            return;
+        }
+        container.replaceChildren(this.createJsonView(value), status);
+    },
+
+    // Same frame as a code block; the toolbar actions read the JSON from data-json
+    createJsonView(value) {
+        const dict = locales[currentLang];
+        const block = document.createElement('div');
+        block.className = 'code-block json-view';
+        block.dataset.ext = 'json';
+        block.dataset.json = JSON.stringify(value, null, 2);
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'code-toolbar';
+        const label = document.createElement('span');
+        label.className = 'code-lang';
+        label.textContent = 'json';
+        toolbar.appendChild(label);
+        [['copy', '📋', 'code_copy', 'Copy code'], ['download', '💾', 'json_download', 'Download as JSON'], ['csv', '📊', 'csv_download', 'Download as CSV']].forEach(([action, icon, key, fallback]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.dataset.codeAction = action;
+            btn.title = dict[key] || fallback;
+            btn.textContent = icon;
+            toolbar.appendChild(btn);
+        });
+
+        const tree = document.createElement('div');
+        tree.className = 'json-tree';
+        tree.appendChild(jsonNode(null, value));
+        block.append(toolbar, tree);
+        return block;
+    },
+
+    // "Sources: [1] handbook.pdf · §4 ..." under a reply that used the knowledge base
+    createSourceList(sources) {
+        const dict = locales[currentLang];
+        const list = document.createElement('div');
+        list.className = 'message-sources';
+        const label = document.createElement('span');
+        label.textContent = dict.sources_label || 'Sources:';
+        list.appendChild(label);
+        sources.forEach(source => {
+            const btn = document.createElement('button');
+            btn.dataset.source = source.n;
+            btn.textContent = `[${source.n}] ${source.name} · §${source.passage + 1}`;
+            list.appendChild(btn);
+        });
+        return list;
+    },
+
+    // Turns "[2]" in the rendered reply into a button that opens that source (not inside code)
+    linkCitations(container, sources) {
+        const known = new Set(sources.map(s => String(s.n)));
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => node.parentElement.closest('pre, code, a, button')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        nodes.forEach(node => {
+            const parts = node.textContent.split(/(\[\d+\])/);
+            if (parts.length === 1) return;
+            node.replaceWith(...parts.map(part => {
+                const n = (part.match(/^\[(\d+)\]$/) || [])[1];
+                if (!n || !known.has(n)) return document.createTextNode(part);
+                const btn = document.createElement('button');
+                btn.className = 'citation';
+                btn.dataset.source = n;
+                btn.textContent = part;
+                return btn;
+            }));
+        });
+    },
+
+    startMessageEdit(message, onSave) {
+        const div = elements.outputStream.querySelector(`.message.user[data-id="${message.id}"]`);
+        if (!div) return;
+        const dict = locales[currentLang];
+
+        const textarea = document.createElement('textarea');
+        textarea.className = 'message-edit';
+        textarea.value = message.content;
+
+        const bar = document.createElement('div');
+        bar.className = 'message-actions';
+        const save = document.createElement('button');
+        save.textContent = dict.save_send_btn || 'Save & Send';
+        const cancel = document.createElement('button');
+        cancel.textContent = dict.cancel || 'Cancel';
+        bar.append(save, cancel);
+
+        div.replaceChildren(textarea, bar);
+        textarea.focus();
+
+        const restore = () => this.fillUserMessage(div, message);
+        cancel.addEventListener('click', restore);
+        save.addEventListener('click', () => {
+            const value = textarea.value.trim();
+            if (!value || value === message.content) return restore();
+            onSave(value);
+        });
+    },
+
+    // Turns the Send button into Stop while a reply streams
+    setGenerating(active) {
+        const dict = locales[currentLang];
+        const btn = document.getElementById('execute-btn');
+        if (btn) {
+            btn.textContent = active ? (dict.stop_btn || 'Stop') : (dict.send_btn || 'Send');
+            btn.classList.toggle('stop', active);
+        }
+        elements.outputStream.classList.toggle('generating', active);
+    },
+
     createModelMessageContainer() {
         const div = document.createElement('div');
         div.className = 'message model';
@@ -136,17 +710,323 @@ export const UI = {
         return div;
     },
 
+    showContextNotice(beforeEl, info) {
+        const dict = locales[currentLang];
+        const div = document.createElement('div');
+        div.className = 'system-message';
+        let text = (dict.context_restored || 'Context restored: kept {kept} of {total} earlier messages.')
+            .replace('{kept}', info.kept)
+            .replace('{total}', info.total);
+        if (info.summarized) text += ' ' + (dict.context_summarized || 'Older messages were summarized.');
+        else if (info.kept < info.total) text += ' ' + (dict.context_truncated || 'Older messages were left out.');
+        div.textContent = text;
+        elements.outputStream.insertBefore(div, beforeEl);
+    },
+
     updateMessageContent(container, markdownText) {
-        if (window.marked) {
-            container.innerHTML = window.marked.parse(markdownText);
-        } else {
+        this.renderMarkdown(container, markdownText);
+        this.scrollToBottom();
+    },
+
+    // For replies that are still streaming: see StreamRenderer
+    createStreamRenderer(container) {
+        return new StreamRenderer(container);
+    },
+
+    // Model output is untrusted: parsed Markdown always passes the sanitizer before it reaches the page
+    renderMarkdown(container, markdownText) {
+        if (!window.marked) {
             container.textContent = markdownText;
+            return;
         }
-        this.scrollToBottom();
+        container.replaceChildren(this.markdownFragment(markdownText));
+    },
+
+    markdownFragment(markdownText) {
+        const fragment = sanitize.fragment(window.marked.parse(markdownText));
+        fragment.querySelectorAll('pre > code').forEach(code => this.decorateCodeBlock(code));
+        return fragment;
     },
 
-    scrollToBottom() {
-        elements.outputStream.scrollTop = elements.outputStream.scrollHeight;
+    // Highlights a code block and wraps it with a toolbar (language, copy, download)
+    decorateCodeBlock(code) {
+        const dict = locales[currentLang];
+        const name = (code.className.match(/language-(\S+)/) || [])[1];
+        const lang = highlight.language(name);
+        const text = code.textContent;
+
+        code.replaceChildren(highlight.fragment(text, name));
+
+        const pre = code.parentElement;
+        const block = document.createElement('div');
+        block.className = 'code-block';
+        block.dataset.ext = lang.extension;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'code-toolbar';
+        const label = document.createElement('span');
+        label.className = 'code-lang';
+        label.textContent = lang.name;
+        toolbar.appendChild(label);
+        [['copy', '📋', 'code_copy', 'Copy code'], ['download', '💾', 'code_download', 'Download as file']].forEach(([action, icon, key, fallback]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.dataset.codeAction = action;
+            btn.title = dict[key] || fallback;
+            btn.textContent = icon;
+            toolbar.appendChild(btn);
+        });
+
+        pre.replaceWith(block);
+        block.append(toolbar, pre);
+    },
+
+    // Toolbar buttons of a rendered code block
+    async runCodeAction(btn) {
+        const block = btn.closest('.code-block');
+        // A JSON view keeps its source on the block; the tree is only a rendering of it
+        const json = block.dataset.json;
+        const text = json ?? block.querySelector('pre').textContent;
+        if (btn.dataset.codeAction === 'copy') {
+            await this.copyText(btn, text);
+        } else if (btn.dataset.codeAction === 'download') {
+            this.downloadFile(`${json ? 'result' : 'snippet'}.${block.dataset.ext}`, text, 'text/plain');
+        } else if (btn.dataset.codeAction === 'csv') {
+            const value = JSON.parse(json);
+            const records = (Array.isArray(value) ? value : [value]).map(item => csv.flatten(item));
+            this.downloadFile('result.csv', csv.fromRecords(records), 'text/csv');
+        }
+    },
+
+    // Copies to the clipboard and briefly shows a check mark on the button
+    async copyText(btn, text) {
+        await navigator.clipboard.writeText(text);
+        const dict = locales[currentLang];
+        const title = btn.title;
+        btn.classList.add('copied');
+        btn.title = dict.copied || 'Copied';
+        setTimeout(() => {
+            btn.classList.remove('copied');
+            btn.title = title;
+        }, 1500);
+    },
+
+    getSummarizerOptions() {
+        return this.getModeOptions('summarizer');
+    },
+
+    setSummarizerOptions(options = {}) {
+        this.setModeOptions('summarizer', options);
+    },
+
+    getEditorOptions() {
+        return this.getModeOptions('rewriter');
+    },
+
+    setEditorOptions(options = {}) {
+        this.setModeOptions('rewriter', options);
+    },
+
+    getWriterOptions() {
+        return this.getModeOptions('writer');
+    },
+
+    setWriterOptions(options = {}) {
+        this.setModeOptions('writer', options);
+    },
+
+    getModeOptions(mode) {
+        const options = {};
+        Object.entries(MODE_OPTION_FIELDS[mode]).forEach(([name, [element]]) => { options[name] = elements[element].value; });
+        return options;
+    },
+
+    setModeOptions(mode, options = {}) {
+        Object.entries(MODE_OPTION_FIELDS[mode]).forEach(([name, [element, fallback]]) => {
+            elements[element].value = options[name] || fallback;
+        });
+    },
+
+    renderSummary(text, format) {
+        const output = elements.summarizerOutput;
+        output.classList.toggle('plain', format === 'plain-text');
+        if (format !== 'plain-text') {
+            this.renderMarkdown(output, text);
+        } else {
+            output.textContent = text;
+        }
+    },
+
+    // Writer drafts, newest first
+    renderDrafts(drafts, compareIds = []) {
+        elements.writerDrafts.innerHTML = '';
+        drafts.slice().reverse().forEach(draft => {
+            elements.writerDrafts.appendChild(this.createDraftCard(draft, drafts.indexOf(draft) + 1, compareIds.includes(draft.id)));
+        });
+
+        if (drafts.length === 0) {
+            const dict = locales[currentLang];
+            elements.writerDrafts.innerHTML = `<div class="revision-meta">${dict.drafts_empty || 'No drafts yet.'}</div>`;
+        }
+    },
+
+    createDraftCard(draft, number, comparing = false) {
+        const dict = locales[currentLang];
+        const card = document.createElement('div');
+        card.className = `draft-card ${draft.starred ? 'starred' : ''} ${comparing ? 'comparing' : ''}`;
+        card.dataset.id = draft.id;
+
+        card.innerHTML = `
+            <div class="draft-header">
+                <span class="draft-title"></span>
+                <div class="draft-actions">
+                    <button data-action="star" title="${dict.draft_star || 'Star'}">${draft.starred ? '★' : '☆'}</button>
+                    <button data-action="compare" title="${dict.draft_compare || 'Compare'}">⇆</button>
+                    <button data-action="copy" title="${dict.draft_copy || 'Copy'}">📋</button>
+                    <button data-action="to-editor" title="${dict.draft_to_editor || 'Send to Editor'}">✂️</button>
+                    <button data-action="delete" title="${dict.draft_delete || 'Delete'}">🗑️</button>
+                </div>
+            </div>
+            <div class="draft-prompt"></div>
+            <div class="draft-content"></div>
+        `;
+        card.querySelector('.draft-title').textContent = `#${number} · ${new Date(draft.createdAt).toLocaleString(currentLang)}`;
+        card.querySelector('.draft-prompt').textContent = draft.prompt;
+        this.updateDraftContent(card, draft.content);
+        return card;
+    },
+
+    // Streams into a fresh card at the top of the list
+    prependDraftCard(draft, number) {
+        const placeholder = elements.writerDrafts.querySelector(':scope > .revision-meta');
+        if (placeholder) placeholder.remove();
+        const card = this.createDraftCard(draft, number);
+        elements.writerDrafts.prepend(card);
+        elements.writerDrafts.scrollTop = 0;
+        return card;
+    },
+
+    updateDraftContent(card, markdownText) {
+        this.renderMarkdown(card.querySelector('.draft-content'), markdownText);
+    },
+
+    // Two drafts side by side
+    renderCompare(drafts) {
+        const compareBtn = document.getElementById('compare-close-btn');
+        elements.writerCompare.innerHTML = '';
+        if (drafts.length < 2) {
+            elements.writerCompare.classList.add('hidden');
+            compareBtn.classList.add('hidden');
+            return;
+        }
+
+        drafts.forEach(draft => {
+            const col = document.createElement('div');
+            col.className = 'draft-card';
+            col.innerHTML = `<div class="draft-prompt"></div><div class="draft-content"></div>`;
+            col.querySelector('.draft-prompt').textContent = draft.prompt;
+            this.updateDraftContent(col, draft.content);
+            elements.writerCompare.appendChild(col);
+        });
+        elements.writerCompare.classList.remove('hidden');
+        compareBtn.classList.remove('hidden');
+    },
+
+    // Editor runs, newest first
+    renderRevisions(revisions, activeId) {
+        const dict = locales[currentLang];
+        const list = elements.rewriterRevisions;
+        list.innerHTML = '';
+
+        revisions.slice().reverse().forEach(rev => {
+            const number = revisions.indexOf(rev) + 1;
+            const div = document.createElement('div');
+            div.className = `revision-item ${rev.id === activeId ? 'active' : ''}`;
+            div.dataset.id = rev.id;
+            div.title = rev.input.length > 200 ? rev.input.substring(0, 200) + "..." : rev.input;
+
+            const label = document.createElement('span');
+            label.textContent = `#${number} · ${new Date(rev.createdAt).toLocaleString(currentLang)}`;
+
+            const meta = document.createElement('span');
+            meta.className = 'revision-meta';
+            meta.textContent = [rev.tone, rev.format, rev.length].filter(Boolean).join(' / ');
+
+            div.appendChild(label);
+            div.appendChild(meta);
+            list.appendChild(div);
+        });
+
+        if (revisions.length === 0) {
+            list.innerHTML = `<div class="revision-meta">${dict.revisions_empty || 'No runs yet.'}</div>`;
+        }
+        document.getElementById('revision-restore-btn').classList.toggle('hidden', !activeId);
+    },
+
+    // Original text with every correction inline: <del>original</del><ins>correction</ins> [✓] [✗]
+    renderProofreadDiff(text, corrections) {
+        const dict = locales[currentLang];
+        const container = elements.proofreadDiff;
+        container.innerHTML = '';
+
+        let pos = 0;
+        corrections.forEach((c, index) => {
+            container.appendChild(document.createTextNode(text.slice(pos, c.startIndex)));
+
+            const span = document.createElement('span');
+            span.className = `correction ${c.status || 'pending'}`;
+            span.dataset.index = index;
+            if (c.explanation || c.type) span.title = c.explanation || c.type;
+
+            const del = document.createElement('del');
+            del.textContent = text.slice(c.startIndex, c.endIndex);
+            const ins = document.createElement('ins');
+            ins.textContent = c.correction;
+
+            const actions = document.createElement('span');
+            actions.className = 'correction-actions';
+            actions.innerHTML = `
+                <button data-action="accept" title="${dict.proofread_accept || 'Accept'}">✓</button>
+                <button data-action="reject" title="${dict.proofread_reject || 'Reject'}">✗</button>
+            `;
+
+            span.appendChild(del);
+            span.appendChild(ins);
+            span.appendChild(actions);
+            container.appendChild(span);
+            pos = c.endIndex;
+        });
+        container.appendChild(document.createTextNode(text.slice(pos)));
+    },
+
+    showProofreadDiff(show) {
+        elements.rewriterInput.classList.toggle('hidden', show);
+        elements.proofreadDiff.classList.toggle('hidden', !show);
+        document.getElementById('proofread-edit-btn').classList.toggle('hidden', !show);
+        document.getElementById('proofread-accept-all-btn').classList.toggle('hidden', !show);
+    },
+
+    scrollToBottom(smooth = false) {
+        elements.outputStream.scrollTo({ top: elements.outputStream.scrollHeight, behavior: smooth ? 'smooth' : 'auto' });
+        this.showJumpToLatest(false);
+    },
+
+    isAtBottom() {
+        const stream = elements.outputStream;
+        return stream.scrollHeight - stream.scrollTop - stream.clientHeight < SCROLL_STICK_PX;
+    },
+
+    // Runs a DOM update and keeps the view pinned to the bottom only if it already was there;
+    // a reader who scrolled up stays put and gets the "jump to latest" button instead
+    followOutput(update) {
+        const following = this.isAtBottom();
+        update();
+        if (following) this.scrollToBottom();
+        else this.showJumpToLatest(true);
+    },
+
+    showJumpToLatest(show) {
+        if (elements.jumpLatestBtn) elements.jumpLatestBtn.classList.toggle('hidden', !show);
     },
 
     setHardwareStatus(statusKey) {
@@ -200,6 +1080,8 @@ export const UI = {
             if (status === 'missing') return `<span class="err">❌ ${dict.status_missing}</span>`;
             if (status === 'no') return `<span class="err">❌ ${dict.status_no}</span>`;
             if (status === 'timeout') return `<span class="warn">⚠️ ${dict.status_timeout}</span>`;
+            if (status === 'not-configured') return `<span class="warn">⚙️ ${dict.status_not_configured || 'Not Configured'}</span>`;
+            if (status === 'unreachable') return `<span class="err">❌ ${dict.status_unreachable || 'Unreachable'}</span>`;
             return `<span class="warn">⚠️ ${status}</span>`;
         };
 
@@ -230,6 +1112,9 @@ export const UI = {
             <div class="diag-item"><span>${dict.diag_prompt}:</span> ${getLabel(report.promptAPI)}</div>
             <div class="diag-item"><span>${dict.diag_writer}:</span> ${getLabel(report.writerAPI)}</div>
             <div class="diag-item"><span>${dict.diag_rewriter}:</span> ${getLabel(report.rewriterAPI)}</div>
+            <div class="diag-item"><span>${dict.diag_summarizer || 'Summarizer Capabilities'}:</span> ${getLabel(report.summarizerAPI)}</div>
+            <div class="diag-item"><span>${dict.diag_proofreader || 'Proofreader Capabilities'}:</span> ${getLabel(report.proofreaderAPI)}</div>
+            <div class="diag-item"><span>${dict.diag_local || 'Local Endpoint'}:</span> ${getLabel(report.localBackend)}</div>
          `;
 
         const probeBtn = document.getElementById('deep-probe-btn');
@@ -245,12 +1130,19 @@ export const UI = {
         console.log("Switching view to:", mode);
         elements.chatInterface.classList.add('hidden');
         elements.rewriterSplit.classList.add('hidden');
+        elements.summarizerSplit.classList.add('hidden');
+        elements.writerView.classList.add('hidden');
         elements.welcomeScreen.classList.add('hidden');
 
         if (mode === 'welcome') {
             elements.welcomeScreen.classList.remove('hidden');
-        } else if (mode === 'rewriter') {
+        } else if (mode === 'rewriter' || mode === 'proofreader') {
             elements.rewriterSplit.classList.remove('hidden');
+            elements.rewriterSplit.dataset.mode = mode;
+        } else if (mode === 'summarizer') {
+            elements.summarizerSplit.classList.remove('hidden');
+        } else if (mode === 'writer') {
+            elements.writerView.classList.remove('hidden');
         } else {
             console.log("Showing chat interface");
             elements.chatInterface.classList.remove('hidden');
@@ -324,6 +1216,8 @@ export const UI = {
                     if (status === 'readily' || status === 'available') return `<span class="ok">✅ ${dict.status_readily || 'Available'}</span>`;
                     if (status === 'missing') return `<span class="err">❌ ${dict.status_missing}</span>`;
                     if (status === 'no') return `<span class="err">❌ ${dict.status_no}</span>`;
+                    if (status === 'not-configured') return `<span class="warn">⚙️ ${dict.status_not_configured || 'Not Configured'}</span>`;
+                    if (status === 'unreachable') return `<span class="err">❌ ${dict.status_unreachable || 'Unreachable'}</span>`;
                     return `<span class="warn">⚠️ ${status}</span>`;
                 };
 
@@ -331,6 +1225,9 @@ export const UI = {
                     <div class="diag-item"><span>${dict.diag_prompt}:</span> ${getLabel(report.promptAPI)}</div>
                     <div class="diag-item"><span>${dict.diag_writer}:</span> ${getLabel(report.writerAPI)}</div>
                     <div class="diag-item"><span>${dict.diag_rewriter}:</span> ${getLabel(report.rewriterAPI)}</div>
+                    <div class="diag-item"><span>${dict.diag_summarizer || 'Summarizer Capabilities'}:</span> ${getLabel(report.summarizerAPI)}</div>
+                    <div class="diag-item"><span>${dict.diag_proofreader || 'Proofreader Capabilities'}:</span> ${getLabel(report.proofreaderAPI)}</div>
+                    <div class="diag-item"><span>${dict.diag_local || 'Local Endpoint'}:</span> ${getLabel(report.localBackend)}</div>
                 `;
             });
         }
@@ -407,6 +1304,58 @@ export const UI = {
         }
     },
 
+    showUpdatePrompt(onReload) {
+        const dict = locales[currentLang];
+        let toast = document.getElementById('update-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'update-toast';
+            toast.className = 'update-toast';
+            document.body.appendChild(toast);
+        }
+
+        toast.innerHTML = `
+            <span>${dict.update_available || 'A new version of PrivacyAI is available.'}</span>
+            <button class="primary-btn small">${dict.update_reload || 'Reload'}</button>
+        `;
+        toast.querySelector('button').addEventListener('click', () => {
+            toast.querySelector('button').disabled = true;
+            onReload();
+        });
+    },
+
+    // Database states: 'blocked' | 'outdated' | 'vault' | 'failed' | 'too_new', or null to dismiss
+    showStorageNotice(state) {
+        const dict = locales[currentLang];
+        let toast = document.getElementById('storage-toast');
+        if (!state) {
+            if (toast) toast.remove();
+            return;
+        }
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'storage-toast';
+            toast.className = 'update-toast';
+            document.body.appendChild(toast);
+        }
+
+        const messages = {
+            blocked: dict.storage_blocked || 'Close other PrivacyAI tabs to finish updating your data.',
+            outdated: dict.storage_outdated || 'PrivacyAI was updated in another tab. Reload to continue.',
+            vault: dict.storage_vault || 'The passphrase was changed in another tab. Reload to unlock with the new one.',
+            failed: dict.storage_failed || 'Your data could not be upgraded and was left unchanged. Reload to try again.',
+            too_new: dict.storage_too_new || 'Your data was saved by a newer version of PrivacyAI. Reload to update the app.'
+        };
+        toast.innerHTML = `<span>${messages[state]}</span>`;
+        if (state === 'blocked') return;
+
+        const button = document.createElement('button');
+        button.className = 'primary-btn small';
+        button.textContent = dict.update_reload || 'Reload';
+        button.addEventListener('click', () => window.location.reload());
+        toast.appendChild(button);
+    },
+
     showAboutModal() {
         const dict = locales[currentLang];
         const overlay = document.getElementById('input-modal-overlay');
@@ -446,15 +1395,26 @@ export const UI = {
         aboutModal.classList.remove('hidden');
     },
 
-    showSettingsModal(currentPrompt, onSave) {
+    // localBackend ({ url, model }) is only passed for the global settings; per-chat settings hide it and the security section
+    showSettingsModal(currentPrompt, onSave, localBackend = null) {
         const dict = locales[currentLang];
         const overlay = document.getElementById('input-modal-overlay');
         const modal = document.getElementById('settings-modal');
         const input = document.getElementById('system-prompt-input');
         const saveBtn = document.getElementById('settings-save-btn');
+        const localSection = document.getElementById('local-backend-settings');
+        const endpointInput = document.getElementById('local-endpoint-input');
+        const modelInput = document.getElementById('local-model-input');
 
         input.value = currentPrompt;
 
+        localSection.classList.toggle('hidden', !localBackend);
+        document.getElementById('security-settings').classList.toggle('hidden', !localBackend);
+        if (localBackend) {
+            endpointInput.value = localBackend.url || '';
+            modelInput.value = localBackend.model || '';
+        }
+
         // Update label text
         modal.querySelector('.modal-header span').textContent = dict.settings;
         modal.querySelector('.input-label').textContent = dict.system_prompt_label;
@@ -469,7 +1429,8 @@ export const UI = {
         saveBtn.parentNode.replaceChild(newSave, saveBtn);
 
         newSave.addEventListener('click', () => {
-            onSave(input.value);
+            if (localBackend) onSave(input.value, { url: endpointInput.value.trim(), model: modelInput.value.trim() });
+            else onSave(input.value);
             overlay.classList.add('hidden');
             modal.classList.add('hidden');
         });
@@ -484,6 +1445,810 @@ export const UI = {
         });
     },
 
+    // params: the model's sampling ranges ({ defaultTemperature, maxTemperature, defaultTopK, maxTopK }) or null;
+    // modeOptions: the project's saved options for its mode (writer, editor, summarizer).
+    // onSave receives { systemPrompt, modelParams: { temperature, topK }, responseSchema, options };
+    // empty fields mean "model default", responseSchema is null for free-text replies.
+    showProjectSettingsModal(project, params, modeOptions, onSave) {
+        const dict = locales[currentLang];
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('project-settings-modal');
+        const form = document.getElementById('project-settings-form');
+        const prompt = document.getElementById('project-system-prompt');
+        const temperature = document.getElementById('project-temperature');
+        const topK = document.getElementById('project-topk');
+        const optionsBox = document.getElementById('project-mode-options');
+        const mode = project.apiMode || 'prompt';
+        const modelParams = project.modelParams || {};
+
+        document.getElementById('project-settings-title').textContent = `${dict.project_settings || 'Chat Settings'}: ${project.name}`;
+
+        // System prompt and sampling only apply to chat
+        document.getElementById('project-prompt-group').classList.toggle('hidden', mode !== 'prompt');
+        document.getElementById('project-sampling-group').classList.toggle('hidden', mode !== 'prompt' || !params);
+        prompt.value = project.systemPrompt || '';
+        if (params) {
+            temperature.max = params.maxTemperature;
+            temperature.placeholder = params.defaultTemperature;
+            topK.max = params.maxTopK;
+            topK.placeholder = params.defaultTopK;
+            document.getElementById('project-sampling-help').textContent =
+                (dict.sampling_help || 'Leave empty for the model default (temperature {temperature}, top-K {topK}).')
+                    .replace('{temperature}', params.defaultTemperature)
+                    .replace('{topK}', params.defaultTopK);
+        }
+        temperature.value = modelParams.temperature ?? '';
+        topK.value = modelParams.topK ?? '';
+
+        // Structured output: a JSON Schema every chat reply is constrained to
+        const output = document.getElementById('project-output');
+        const schemaInput = document.getElementById('project-schema');
+        const schemaError = document.getElementById('project-schema-error');
+        const preset = document.getElementById('project-schema-preset');
+        const schemaFields = document.getElementById('project-schema-fields');
+        document.getElementById('project-structured-group').classList.toggle('hidden', mode !== 'prompt');
+        output.value = project.responseSchema ? 'structured' : 'text';
+        schemaInput.value = project.responseSchema ? JSON.stringify(project.responseSchema, null, 2) : '';
+        schemaError.textContent = '';
+        preset.replaceChildren(new Option(dict.schema_preset_none || 'My own schema', ''),
+            ...Object.entries(SCHEMA_PRESETS).map(([key, { label: [labelKey, fallback] }]) => new Option(dict[labelKey] || fallback, key)));
+        preset.onchange = () => {
+            if (preset.value) schemaInput.value = JSON.stringify(SCHEMA_PRESETS[preset.value].schema, null, 2);
+        };
+        output.onchange = () => schemaFields.classList.toggle('hidden', output.value !== 'structured');
+        output.onchange();
+
+        // The mode's own option selects, copied from its toolbar
+        optionsBox.innerHTML = '';
+        const fields = MODE_OPTION_FIELDS[mode] || {};
+        Object.entries(fields).forEach(([name, [element, fallback]]) => {
+            const source = elements[element];
+            const label = document.createElement('label');
+            label.className = 'input-label';
+            label.textContent = source.closest('label').querySelector('span').textContent;
+            const select = source.cloneNode(true);
+            select.removeAttribute('id');
+            select.className = 'settings-input';
+            select.dataset.option = name;
+            select.value = (modeOptions || {})[name] || fallback;
+            label.appendChild(select);
+            optionsBox.appendChild(label);
+        });
+        optionsBox.classList.toggle('hidden', optionsBox.children.length === 0);
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+
+        const close = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+        modal.querySelector('.close-modal').onclick = close;
+
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            const options = {};
+            optionsBox.querySelectorAll('[data-option]').forEach(select => { options[select.dataset.option] = select.value; });
+            let responseSchema = null;
+            if (mode === 'prompt' && output.value === 'structured') {
+                try {
+                    responseSchema = schema.parse(schemaInput.value);
+                } catch (err) {
+                    schemaError.textContent = dict.schema_invalid || 'The schema must be a JSON object.';
+                    return;
+                }
+            }
+            close();
+            onSave({
+                systemPrompt: prompt.value,
+                responseSchema,
+                modelParams: {
+                    temperature: temperature.value === '' ? null : Number(temperature.value),
+                    topK: topK.value === '' ? null : Number(topK.value)
+                },
+                options
+            });
+        };
+    },
+
+    // Resolves once onUnlock(passphrase) succeeds; its errors are shown on the lock screen
+    showLockScreen(onUnlock) {
+        const dict = locales[currentLang];
+        const screen = document.getElementById('lock-screen');
+        const form = document.getElementById('lock-form');
+        const input = document.getElementById('lock-passphrase');
+        const error = document.getElementById('lock-error');
+        const button = form.querySelector('button');
+
+        screen.classList.remove('hidden');
+        error.textContent = '';
+        input.value = '';
+        input.focus();
+
+        return new Promise(resolve => {
+            form.onsubmit = async (e) => {
+                e.preventDefault();
+                button.disabled = true;
+                button.textContent = dict.unlocking || 'Unlocking...';
+                try {
+                    await onUnlock(input.value);
+                    input.value = '';
+                    screen.classList.add('hidden');
+                    resolve();
+                } catch (err) {
+                    error.textContent = err.message === 'WRONG_PASSPHRASE'
+                        ? (dict.wrong_passphrase || 'Wrong passphrase.')
+                        : "Error: " + err.message;
+                    input.select();
+                } finally {
+                    button.disabled = false;
+                    button.textContent = dict.unlock_btn || 'Unlock';
+                }
+            };
+        });
+    },
+
+    setSecurityStatus(encrypted, autoLockMinutes) {
+        const dict = locales[currentLang];
+        document.getElementById('security-status').textContent = encrypted
+            ? (dict.security_on || 'Your projects are encrypted with a passphrase.')
+            : (dict.security_off || 'Projects are stored unencrypted in this browser.');
+        document.getElementById('passphrase-btn').textContent = encrypted
+            ? (dict.passphrase_change || 'Change Passphrase')
+            : (dict.passphrase_set || 'Set Passphrase');
+        document.getElementById('passphrase-remove-btn').classList.toggle('hidden', !encrypted);
+
+        const autoLock = document.getElementById('autolock-select');
+        autoLock.value = String(autoLockMinutes);
+        autoLock.disabled = !encrypted;
+    },
+
+    // mode: 'set' | 'change' | 'remove'; onSubmit({ current, next }) may throw WRONG_PASSPHRASE
+    showPassphraseModal(mode, onSubmit) {
+        const dict = locales[currentLang];
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('passphrase-modal');
+        const form = document.getElementById('passphrase-form');
+        const current = document.getElementById('passphrase-current');
+        const next = document.getElementById('passphrase-new');
+        const confirm = document.getElementById('passphrase-confirm');
+        const error = document.getElementById('passphrase-error');
+        const saveBtn = document.getElementById('passphrase-save-btn');
+
+        document.getElementById('passphrase-current-group').classList.toggle('hidden', mode === 'set');
+        document.getElementById('passphrase-new-group').classList.toggle('hidden', mode === 'remove');
+        [current, next, confirm].forEach(input => { input.value = ''; });
+        error.textContent = '';
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+        (mode === 'set' ? next : current).focus();
+
+        const close = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+        modal.querySelector('.close-modal').onclick = close;
+
+        form.onsubmit = async (e) => {
+            e.preventDefault();
+            if (mode !== 'remove') {
+                if (next.value.length < 8) {
+                    error.textContent = dict.passphrase_too_short || 'Use at least 8 characters.';
+                    return;
+                }
+                if (next.value !== confirm.value) {
+                    error.textContent = dict.passphrase_mismatch || 'The passphrases do not match.';
+                    return;
+                }
+            }
+
+            // Re-encrypting every project takes a moment
+            saveBtn.disabled = true;
+            try {
+                await onSubmit({ current: current.value, next: next.value });
+                close();
+            } catch (err) {
+                error.textContent = err.message === 'WRONG_PASSPHRASE'
+                    ? (dict.wrong_passphrase || 'Wrong passphrase.')
+                    : "Error: " + err.message;
+            } finally {
+                saveBtn.disabled = false;
+            }
+        };
+    },
+
+    // onImport receives the chosen file and the conflict strategy ('merge' | 'duplicate' | 'overwrite')
+    showBackupModal(onExport, onImport) {
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('backup-modal');
+        const fileInput = document.getElementById('backup-file-input');
+        const conflict = document.getElementById('backup-conflict');
+        this.setBackupStatus('');
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+
+        // Wiring (replace nodes to drop handlers from earlier openings)
+        const exportBtn = document.getElementById('backup-export-btn');
+        const newExport = exportBtn.cloneNode(true);
+        exportBtn.parentNode.replaceChild(newExport, exportBtn);
+        newExport.addEventListener('click', () => onExport());
+
+        const importBtn = document.getElementById('backup-import-btn');
+        const newImport = importBtn.cloneNode(true);
+        importBtn.parentNode.replaceChild(newImport, importBtn);
+        newImport.addEventListener('click', () => fileInput.click());
+
+        fileInput.value = '';
+        fileInput.onchange = () => {
+            if (fileInput.files[0]) onImport(fileInput.files[0], conflict.value);
+        };
+
+        modal.querySelector('.close-modal').onclick = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+    },
+
+    setBackupStatus(text) {
+        document.getElementById('backup-status').textContent = text;
+    },
+
+    // handlers: { onAction(action, id) for 'use' | 'edit' | 'delete', onNew(), onImport(file), onExport() }
+    showTemplatesModal(handlers) {
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('templates-modal');
+        const fileInput = document.getElementById('template-file-input');
+        this.showTemplateLibrary();
+        this.setTemplatesStatus('');
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+
+        const close = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+        modal.querySelector('.close-modal').onclick = close;
+
+        document.getElementById('template-list').onclick = (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            if (btn.dataset.action === 'use') close();
+            handlers.onAction(btn.dataset.action, btn.closest('.template-item').dataset.id);
+        };
+        document.getElementById('template-new-btn').onclick = () => handlers.onNew();
+        document.getElementById('template-export-btn').onclick = () => handlers.onExport();
+        document.getElementById('template-import-btn').onclick = () => fileInput.click();
+        fileInput.value = '';
+        fileInput.onchange = () => {
+            if (fileInput.files[0]) handlers.onImport(fileInput.files[0]);
+            fileInput.value = '';
+        };
+    },
+
+    // "Use" is offered only for templates of the open project's mode
+    renderTemplates(list, currentMode) {
+        const dict = locales[currentLang];
+        const container = document.getElementById('template-list');
+        container.innerHTML = '';
+
+        if (list.length === 0) {
+            container.innerHTML = `<div class="template-empty">${dict.templates_empty || 'No templates yet.'}</div>`;
+            return;
+        }
+
+        list.forEach(t => {
+            const item = document.createElement('div');
+            item.className = 'template-item';
+            item.dataset.id = t.id;
+
+            const info = document.createElement('div');
+            info.className = 'template-info';
+            const name = document.createElement('div');
+            name.className = 'template-name';
+            name.textContent = `${MODE_ICONS[t.mode] || '💬'} ${t.name}`;
+            const preview = document.createElement('div');
+            preview.className = 'template-preview';
+            preview.textContent = t.text;
+            info.append(name, preview);
+
+            const actions = document.createElement('div');
+            actions.className = 'template-actions';
+            actions.innerHTML = `
+                ${t.mode === currentMode ? `<button class="secondary-btn small" data-action="use">${dict.template_use || 'Use'}</button>` : ''}
+                <button class="secondary-btn small" data-action="edit" title="${dict.template_edit || 'Edit'}">✏️</button>
+                <button class="secondary-btn small" data-action="delete" title="${dict.template_delete || 'Delete'}">🗑️</button>
+            `;
+
+            item.append(info, actions);
+            container.appendChild(item);
+        });
+    },
+
+    showTemplateLibrary() {
+        document.getElementById('templates-library').classList.remove('hidden');
+        document.getElementById('template-form').classList.add('hidden');
+    },
+
+    // template: an existing one to edit, or { mode } for a new one; onSubmit receives { name, mode, text }
+    showTemplateForm(template, onSubmit) {
+        const form = document.getElementById('template-form');
+        const name = document.getElementById('template-name');
+        const mode = document.getElementById('template-mode');
+        const text = document.getElementById('template-text');
+
+        document.getElementById('templates-library').classList.add('hidden');
+        form.classList.remove('hidden');
+        name.value = template.name || '';
+        mode.value = template.mode || 'prompt';
+        text.value = template.text || '';
+        name.focus();
+
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            onSubmit({ name: name.value.trim(), mode: mode.value, text: text.value });
+        };
+        document.getElementById('template-cancel-btn').onclick = () => this.showTemplateLibrary();
+    },
+
+    setStructured(enabled) {
+        elements.structuredBatchBtn.classList.toggle('hidden', !enabled);
+    },
+
+    // Batch extraction: handlers { onRun(text, separator), onStop(), onExport(format) }
+    showStructuredBatchModal(items, handlers) {
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('structured-batch-modal');
+        const input = document.getElementById('structured-batch-input');
+        const separator = document.getElementById('structured-batch-split');
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+        this.renderStructuredBatch(items);
+
+        modal.querySelector('.close-modal').onclick = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+        document.getElementById('structured-batch-run').onclick = () => handlers.onRun(input.value, separator.value);
+        document.getElementById('structured-batch-stop').onclick = () => handlers.onStop();
+        document.getElementById('structured-batch-csv').onclick = () => handlers.onExport('csv');
+        document.getElementById('structured-batch-json').onclick = () => handlers.onExport('json');
+    },
+
+    setStructuredBatchRunning(running) {
+        document.getElementById('structured-batch-run').classList.toggle('hidden', running);
+        document.getElementById('structured-batch-stop').classList.toggle('hidden', !running);
+        document.getElementById('structured-batch-input').disabled = running;
+    },
+
+    setStructuredBatchStatus(text) {
+        document.getElementById('structured-batch-status').textContent = text;
+    },
+
+    // items: [{ input, value, errors, error }]; one column per (flattened) field of the results
+    renderStructuredBatch(items) {
+        const dict = locales[currentLang];
+        const container = document.getElementById('structured-batch-results');
+        if (items.length === 0) {
+            container.replaceChildren();
+            return;
+        }
+        const rows = items.map(item => item.value === undefined ? {} : csv.flatten(item.value));
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+        const table = document.createElement('table');
+        table.className = 'batch-table';
+        const head = table.createTHead().insertRow();
+        ['#', dict.batch_input || 'Input', ...columns, dict.batch_check || 'Check'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        items.forEach((item, i) => {
+            const row = body.insertRow();
+            row.insertCell().textContent = i + 1;
+            const input = row.insertCell();
+            input.className = 'batch-input';
+            input.textContent = item.input;
+            input.title = item.input;
+            columns.forEach(column => { row.insertCell().textContent = rows[i][column] ?? ''; });
+
+            const check = row.insertCell();
+            if (item.error) {
+                check.textContent = `⚠ ${item.error}`;
+                row.classList.add('failed');
+            } else if (item.errors.length > 0) {
+                check.textContent = `⚠ ${item.errors.length}`;
+                check.title = item.errors.map(error => `${error.path} ${error.message}`).join('\n');
+                row.classList.add('invalid');
+            } else {
+                check.textContent = '✓';
+            }
+        });
+        container.replaceChildren(table);
+    },
+
+    // Editor / Writer batch panel. handlers: { onRun({ text, format, delimiter, column, concurrency }),
+    // onPause(), onResume(concurrency), onRetry(concurrency), onExport() }
+    showBatchModal(mode, items, handlers) {
+        const dict = locales[currentLang];
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('batch-modal');
+        const input = document.getElementById('batch-input');
+        const format = document.getElementById('batch-format');
+        const delimiter = document.getElementById('batch-delimiter');
+        const column = document.getElementById('batch-column');
+        const concurrency = document.getElementById('batch-concurrency');
+        const fileInput = document.getElementById('batch-file-input');
+        const modeName = mode === 'writer' ? (dict.mode_writer || 'Writer') : (dict.mode_editor || 'Editor');
+
+        document.getElementById('batch-title').textContent = `${dict.batch_title || 'Batch Processing'}: ${modeName}`;
+        concurrency.max = MAX_CONCURRENCY;
+        this.setBatchStatus('');
+        this.renderBatch(items);
+
+        // CSV: the header row lists the columns one of which is run
+        const refreshColumns = () => {
+            const csvInput = format.value === 'csv';
+            document.getElementById('batch-delimiter-field').classList.toggle('hidden', format.value !== 'custom');
+            document.getElementById('batch-column-field').classList.toggle('hidden', !csvInput);
+            if (!csvInput) return;
+            const previous = column.value;
+            const { columns } = batch.table(input.value);
+            column.replaceChildren(...columns.map(name => new Option(name, name)));
+            if (columns.includes(previous)) column.value = previous;
+        };
+        format.onchange = refreshColumns;
+        input.onchange = refreshColumns;
+        refreshColumns();
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+        modal.querySelector('.close-modal').onclick = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+
+        document.getElementById('batch-load-btn').onclick = () => fileInput.click();
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            input.value = await file.text();
+            if (/\.(csv|tsv)$/i.test(file.name)) format.value = 'csv';
+            refreshColumns();
+        };
+        document.getElementById('batch-run-btn').onclick = () => handlers.onRun({
+            text: input.value,
+            format: format.value,
+            delimiter: delimiter.value,
+            column: column.value,
+            concurrency: Number(concurrency.value)
+        });
+        document.getElementById('batch-pause-btn').onclick = () => handlers.onPause();
+        document.getElementById('batch-resume-btn').onclick = () => handlers.onResume(Number(concurrency.value));
+        document.getElementById('batch-retry-btn').onclick = () => handlers.onRetry(Number(concurrency.value));
+        document.getElementById('batch-export-btn').onclick = () => handlers.onExport();
+    },
+
+    // state: 'idle' | 'running' | 'pausing'; the buttons and the progress line follow the items
+    setBatchState(items, state) {
+        const dict = locales[currentLang];
+        const counts = batch.counts(items);
+        const show = (id, visible) => document.getElementById(id).classList.toggle('hidden', !visible);
+        show('batch-run-btn', state === 'idle');
+        show('batch-pause-btn', state === 'running');
+        show('batch-resume-btn', state === 'idle' && counts.pending > 0);
+        show('batch-retry-btn', state === 'idle' && counts.failed > 0);
+        document.getElementById('batch-input').disabled = state !== 'idle';
+
+        if (counts.total === 0) return;
+        let status = (dict.batch_counts || '{done} of {total} done, {failed} failed')
+            .replace('{done}', counts.done).replace('{total}', counts.total).replace('{failed}', counts.failed);
+        if (state === 'pausing') status += ` · ${dict.batch_pausing || 'pausing after the running items…'}`;
+        else if (state === 'idle' && counts.pending > 0) status += ` · ${dict.batch_paused || 'paused'}`;
+        this.setBatchStatus(status);
+    },
+
+    setBatchStatus(text) {
+        document.getElementById('batch-status').textContent = text;
+    },
+
+    renderBatch(items) {
+        const dict = locales[currentLang];
+        const container = document.getElementById('batch-results');
+        if (items.length === 0) {
+            container.replaceChildren();
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'batch-table';
+        const head = table.createTHead().insertRow();
+        ['#', dict.batch_input || 'Input', dict.batch_output || 'Result', ''].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            head.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        items.forEach((item, i) => {
+            const row = body.insertRow();
+            row.className = item.status;
+            row.insertCell().textContent = i + 1;
+            const input = row.insertCell();
+            input.className = 'batch-input';
+            input.textContent = item.input;
+            input.title = item.input;
+            const output = row.insertCell();
+            output.className = 'batch-output';
+            output.textContent = item.status === 'failed' ? item.error : item.output;
+            const status = row.insertCell();
+            status.textContent = BATCH_STATUS_ICONS[item.status];
+        });
+        container.replaceChildren(table);
+    },
+
+    // Knowledge base of the open project: handlers { onAdd(files), onRemove(id) }
+    showKnowledgeModal(handlers) {
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('knowledge-modal');
+        const fileInput = document.getElementById('knowledge-file-input');
+        this.setKnowledgeStatus('');
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+
+        modal.querySelector('.close-modal').onclick = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+        document.getElementById('knowledge-list').onclick = (e) => {
+            const btn = e.target.closest('[data-action="remove"]');
+            if (btn) handlers.onRemove(btn.closest('.template-item').dataset.id);
+        };
+        document.getElementById('knowledge-add-btn').onclick = () => fileInput.click();
+        fileInput.accept = ATTACHMENT_ACCEPT;
+        fileInput.value = '';
+        fileInput.onchange = () => {
+            if (fileInput.files.length > 0) handlers.onAdd(Array.from(fileInput.files));
+            fileInput.value = '';
+        };
+    },
+
+    renderKnowledge(docs) {
+        const dict = locales[currentLang];
+        const container = document.getElementById('knowledge-list');
+        container.innerHTML = '';
+        this.updateKnowledgeCount(docs.length);
+
+        if (docs.length === 0) {
+            container.innerHTML = `<div class="template-empty">${dict.knowledge_empty || 'No documents yet.'}</div>`;
+            return;
+        }
+
+        docs.forEach(doc => {
+            const item = document.createElement('div');
+            item.className = 'template-item';
+            item.dataset.id = doc.id;
+
+            const info = document.createElement('div');
+            info.className = 'template-info';
+            const name = document.createElement('div');
+            name.className = 'template-name';
+            name.textContent = `📄 ${doc.name}`;
+            const meta = document.createElement('div');
+            meta.className = 'template-preview';
+            meta.textContent = `${attachments.formatSize(doc.size)} · ${(dict.knowledge_passages || '{count} passages').replace('{count}', doc.passages)}`;
+            info.append(name, meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'template-actions';
+            actions.innerHTML = `<button class="secondary-btn small" data-action="remove" title="${dict.knowledge_remove || 'Remove'}">🗑️</button>`;
+            item.append(info, actions);
+            container.appendChild(item);
+        });
+    },
+
+    setKnowledgeStatus(text) {
+        document.getElementById('knowledge-status').textContent = text;
+    },
+
+    updateKnowledgeCount(count) {
+        const badge = document.getElementById('knowledge-count');
+        if (badge) badge.textContent = count > 0 ? ` ${count}` : '';
+    },
+
+    attachmentError(code) {
+        const dict = locales[currentLang];
+        const [key, fallback] = ATTACHMENT_ERRORS[code] || ATTACHMENT_ERRORS.ATTACHMENT_UNREADABLE;
+        return dict[key] || fallback;
+    },
+
+    // The whole document, split into the indexed passages, scrolled to the cited one
+    showSourceModal(name, passages, activeIndex) {
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('source-modal');
+        const container = document.getElementById('source-passages');
+        document.getElementById('source-modal-title').textContent = name;
+
+        container.replaceChildren(...passages.map((text, i) => {
+            const passage = document.createElement('div');
+            passage.className = `source-passage ${i === activeIndex ? 'active' : ''}`;
+            const label = document.createElement('div');
+            label.className = 'source-label';
+            label.textContent = `§${i + 1}`;
+            const body = document.createElement('div');
+            body.textContent = text;
+            passage.append(label, body);
+            return passage;
+        }));
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+        modal.querySelector('.close-modal').onclick = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+        const active = container.querySelector('.source-passage.active');
+        if (active) active.scrollIntoView({ block: 'center' });
+    },
+
+    setTemplatesStatus(text) {
+        document.getElementById('templates-status').textContent = text;
+    },
+
+    // One field per variable; onSubmit receives { name: value }
+    showTemplateFillModal(templateName, variables, onSubmit) {
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('template-fill-modal');
+        const form = document.getElementById('template-fill-form');
+        const fields = document.getElementById('template-fill-fields');
+        document.getElementById('template-fill-title').textContent = templateName;
+
+        fields.innerHTML = '';
+        variables.forEach((variable, i) => {
+            const label = document.createElement('label');
+            label.className = 'input-label';
+            label.htmlFor = `template-var-${i}`;
+            label.textContent = variable;
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `template-var-${i}`;
+            input.className = 'settings-input';
+            input.dataset.variable = variable;
+            fields.append(label, input);
+        });
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+        const first = fields.querySelector('input');
+        if (first) first.focus();
+
+        const close = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+        modal.querySelector('.close-modal').onclick = close;
+
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            const values = {};
+            fields.querySelectorAll('input').forEach(input => { values[input.dataset.variable] = input.value; });
+            close();
+            onSubmit(values);
+        };
+    },
+
+    // Dropdown above a textarea while it holds "/query"; onChoose receives the picked template
+    showSlashPicker(input, items, activeIndex, onChoose) {
+        const dict = locales[currentLang];
+        let picker = document.getElementById('slash-picker');
+        if (!picker) {
+            picker = document.createElement('div');
+            picker.id = 'slash-picker';
+            picker.className = 'slash-picker';
+            picker.setAttribute('role', 'listbox');
+            document.body.appendChild(picker);
+        }
+
+        picker.innerHTML = '';
+        if (items.length === 0) {
+            picker.innerHTML = `<div class="slash-empty">${dict.templates_no_match || 'No matching templates. Add some under 📝 Templates.'}</div>`;
+        }
+        items.forEach((t, i) => {
+            const option = document.createElement('div');
+            option.className = `slash-option ${i === activeIndex ? 'active' : ''}`;
+            option.setAttribute('role', 'option');
+            option.textContent = t.name;
+            // mousedown fires before the textarea loses focus
+            option.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                onChoose(t);
+            });
+            picker.appendChild(option);
+        });
+
+        const rect = input.getBoundingClientRect();
+        picker.style.left = `${rect.left}px`;
+        picker.style.bottom = `${window.innerHeight - rect.top + 4}px`;
+        picker.style.width = `${Math.min(rect.width, 420)}px`;
+    },
+
+    hideSlashPicker() {
+        const picker = document.getElementById('slash-picker');
+        if (picker) picker.remove();
+    },
+
+    // onChoose receives 'markdown' | 'html' | 'json'
+    showExportModal(projectName, onChoose) {
+        const dict = locales[currentLang];
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('export-modal');
+        document.getElementById('export-modal-title').textContent = `${dict.export_title || 'Export'}: ${projectName}`;
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+
+        const close = () => {
+            overlay.classList.add('hidden');
+            modal.classList.add('hidden');
+        };
+        modal.querySelectorAll('[data-format]').forEach(btn => {
+            btn.onclick = () => {
+                close();
+                onChoose(btn.dataset.format);
+            };
+        });
+        modal.querySelector('.close-modal').onclick = close;
+    },
+
+    // Resolves with 'merge' (keep both sets of changes) or 'reload' (drop the unsaved ones)
+    showConflictModal(projectName) {
+        const dict = locales[currentLang];
+        const overlay = document.getElementById('input-modal-overlay');
+        const modal = document.getElementById('conflict-modal');
+        document.getElementById('conflict-modal-title').textContent = `${dict.conflict_title || 'Edited in another tab'}: ${projectName}`;
+
+        overlay.classList.remove('hidden');
+        document.querySelectorAll('.modal-window').forEach(m => m.classList.add('hidden'));
+        modal.classList.remove('hidden');
+
+        return new Promise(resolve => {
+            modal.querySelectorAll('[data-choice]').forEach(btn => {
+                btn.onclick = () => {
+                    overlay.classList.add('hidden');
+                    modal.classList.add('hidden');
+                    resolve(btn.dataset.choice);
+                };
+            });
+        });
+    },
+
+    downloadFile(fileName, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
     showInputModal(title, callback, defaultValue = '') {
         const titleEl = document.getElementById('input-modal-title');
         if (titleEl) titleEl.textContent = title;
@@ -554,3 +2319,80 @@ export const UI = {
 
 // Global Bindings
 elements.closeModalBtn.addEventListener('click', () => UI.closeInputModal());
+
+// Renders a streamed Markdown reply block by block. Blocks the parser has moved past are rendered
+// once and never touched again, so selections and code-block buttons in them survive; only the
+// last, still growing block is re-rendered on each chunk.
+// One value of a JSON tree: objects and arrays are <details> (open), scalars a single line
+function jsonNode(key, value) {
+    const label = (row) => {
+        if (key === null) return;
+        const span = document.createElement('span');
+        span.className = 'tok-property';
+        span.textContent = key;
+        row.append(span, ': ');
+    };
+
+    if (value && typeof value === 'object') {
+        const details = document.createElement('details');
+        details.open = true;
+        const summary = document.createElement('summary');
+        label(summary);
+        const entries = Object.entries(value);
+        summary.append(Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`);
+        const children = document.createElement('div');
+        children.className = 'json-children';
+        entries.forEach(([k, v]) => children.appendChild(jsonNode(k, v)));
+        details.append(summary, children);
+        return details;
+    }
+
+    const row = document.createElement('div');
+    row.className = 'json-leaf';
+    label(row);
+    const span = document.createElement('span');
+    span.className = typeof value === 'string' ? 'tok-string' : typeof value === 'number' ? 'tok-number' : 'tok-literal';
+    span.textContent = JSON.stringify(value);
+    row.appendChild(span);
+    return row;
+}
+
+class StreamRenderer {
+    constructor(container) {
+        this.container = container;
+        this.committed = 0; // Length of the text already rendered as finished blocks
+        this.tail = [];     // Nodes of the unfinished last block
+    }
+
+    update(text) {
+        UI.followOutput(() => {
+            if (!window.marked) {
+                this.container.textContent = text;
+                return;
+            }
+            this.render(text);
+        });
+    }
+
+    render(text) {
+        const rest = text.slice(this.committed);
+        const tokens = window.marked.lexer(rest);
+        // A block is finished once a later block starts at the margin: indented text after a blank
+        // line may still belong to a list or code block, and more text can only extend the last one
+        let last = tokens.length - 1;
+        while (last > 0 && !/^\S/.test(tokens[last].raw)) last--;
+        const finished = tokens.slice(0, last).map(token => token.raw).join('');
+
+        this.tail.forEach(node => node.remove());
+        // The lexer drops some input (link definitions, \r); then keep the whole text as the tail
+        if (finished && rest.startsWith(finished)) {
+            this.container.appendChild(UI.markdownFragment(finished));
+            this.committed += finished.length;
+        }
+
+        const fragment = UI.markdownFragment(text.slice(this.committed));
+        this.tail = Array.from(fragment.childNodes);
+        this.container.appendChild(fragment);
+    }
+}
+
@@ -0,0 +1,103 @@
+/**
+ * PrivacyAI Service Worker
+ * Precaches the App Shell so the app starts without a network connection.
+ * Bump CACHE_VERSION whenever a file in APP_SHELL changes: that is what ships a new version.
+ */
+
+const CACHE_VERSION = 'v26';
+const CACHE_PREFIX = 'privacyai-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
+
+// CJK CMaps for pdf.js are too many to precache; each one is kept once a document has needed it
+const RUNTIME_CACHED = '/js/vendor/pdfjs/cmaps/';
+
+const APP_SHELL = [
+    './',
+    './index.html',
+    './manifest.json',
+    './css/style.css',
+    './css/diagnostics.css',
+    './js/app.js',
+    './js/ui.js',
+    './js/ai.js',
+    './js/storage.js',
+    './js/locales.js',
+    './js/pwa.js',
+    './js/history.js',
+    './js/backup.js',
+    './js/crypto.js',
+    './js/search.js',
+    './js/migrations.js',
+    './js/templates.js',
+    './js/sanitize.js',
+    './js/highlight.js',
+    './js/attachments.js',
+    './js/documents.js',
+    './js/knowledge.js',
+    './js/media.js',
+    './js/schema.js',
+    './js/csv.js',
+    './js/batch.js',
+    './js/vendor/marked.min.js',
+    './js/vendor/pdfjs/pdf.min.mjs',
+    './js/vendor/pdfjs/pdf.worker.min.mjs',
+    './js/vendor/fflate.mjs',
+    './js/vendor/purify.min.js',
+    './js/vendor/highlight.min.js',
+    './js/vendor/idb.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting() here: the new version waits until the user accepts the reload prompt
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Drop every shell cache from previous versions
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    // Cross-origin requests (web fonts, local AI endpoint) always go to the network
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Any navigation inside the app gets the cached shell
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    if (url.pathname.includes(RUNTIME_CACHED)) {
+        event.respondWith(
+            caches.open(CACHE_NAME).then(cache => cache.match(request).then(cached => cached || fetch(request).then(response => {
+                if (response.ok) cache.put(request, response.clone());
+                return response;
+            })))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+    );
+});
@@ -0,0 +1,174 @@
+/**
+ * Migration registry tests (node --test, IndexedDB from fake-indexeddb).
+ * Databases are opened the way storage.js opens PrivacyAI_DB: the migrations run inside the
+ * versionchange transaction, which is aborted when one of them fails.
+ */
+
+import 'fake-indexeddb/auto';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, LATEST_VERSION, STORE_PROJECTS, checkOrder, runMigrations } from '../js/migrations.js';
+import { chatTree } from '../js/history.js';
+
+let dbCount = 0;
+const freshName = () => `migrations-test-${++dbCount}`;
+
+// Resolves with { db, applied }, or rejects with the failing migration's error
+function open(name, version, migrations = MIGRATIONS.slice(0, version)) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, version);
+        let applied = [];
+        let upgradeError = null;
+
+        request.onupgradeneeded = (event) => {
+            const transaction = event.target.transaction;
+            runMigrations(event.target.result, transaction, event.oldVersion, migrations).then(versions => {
+                applied = versions;
+            }, e => {
+                upgradeError = e;
+                transaction.abort();
+            });
+        };
+        request.onsuccess = () => resolve({ db: request.result, applied });
+        request.onerror = (event) => {
+            event.preventDefault();
+            reject(upgradeError || request.error);
+        };
+    });
+}
+
+function put(db, storeName, records) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        records.forEach(record => transaction.objectStore(storeName).put(record));
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+function getAll(db, storeName) {
+    return new Promise((resolve, reject) => {
+        const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+test('the registry is numbered 1..n and LATEST_VERSION is its last entry', () => {
+    assert.deepEqual(MIGRATIONS.map(m => m.version), MIGRATIONS.map((m, i) => i + 1));
+    assert.equal(LATEST_VERSION, MIGRATIONS.length);
+});
+
+test('the order check rejects gaps, duplicates and reordering', () => {
+    const up = () => { };
+    assert.doesNotThrow(() => checkOrder([{ version: 1, up }, { version: 2, up }]));
+    assert.throws(() => checkOrder([{ version: 1, up }, { version: 3, up }]), /Migration 2 is registered as version 3/);
+    assert.throws(() => checkOrder([{ version: 1, up }, { version: 1, up }]), /Migration 2/);
+    assert.throws(() => checkOrder([{ version: 2, up }, { version: 1, up }]), /Migration 1/);
+});
+
+test('a new database runs every migration in order', async () => {
+    const { db, applied } = await open(freshName(), LATEST_VERSION);
+    assert.deepEqual(applied, MIGRATIONS.map(m => m.version));
+    assert.equal(db.version, LATEST_VERSION);
+    db.close();
+});
+
+test('an upgrade only runs the migrations newer than the stored version', async () => {
+    const name = freshName();
+    (await open(name, 3)).db.close();
+
+    const order = [];
+    const spied = MIGRATIONS.map(m => ({ ...m, up: (db, transaction) => { order.push(m.version); return m.up(db, transaction); } }));
+    const { db, applied } = await open(name, LATEST_VERSION, spied);
+    assert.deepEqual(applied, spied.filter(m => m.version > 3).map(m => m.version));
+    assert.deepEqual(order, applied);
+    db.close();
+});
+
+test('v2 turns flat history arrays into conversation trees', async () => {
+    const name = freshName();
+    const v1 = (await open(name, 1)).db;
+    const tree = chatTree.create();
+    await put(v1, STORE_PROJECTS, [
+        { id: 'flat', name: 'Flat', history: [{ role: 'user', content: 'Hi' }, { role: 'model', content: 'Hello' }] },
+        { id: 'tree', name: 'Tree', history: tree }
+    ]);
+    v1.close();
+
+    const { db } = await open(name, 2);
+    const projects = Object.fromEntries((await getAll(db, STORE_PROJECTS)).map(p => [p.id, p]));
+    db.close();
+
+    const path = chatTree.activePath(projects.flat.history);
+    assert.deepEqual(path.map(n => [n.role, n.content]), [['user', 'Hi'], ['model', 'Hello']]);
+    assert.equal(path[1].parentId, path[0].id);
+    assert.deepEqual(projects.tree.history, tree);
+});
+
+test('v4 backfills timestamps and the mode, and leaves sealed records sealed', async () => {
+    const name = freshName();
+    const v3 = (await open(name, 3)).db;
+    await put(v3, STORE_PROJECTS, [
+        { id: 'old', name: 'Old', history: chatTree.create() },
+        { id: 'dated', name: 'Dated', createdAt: 5, updatedAt: 10, apiMode: 'writer', history: chatTree.create() },
+        { id: 'sealed', sealed: 'ciphertext' }
+    ]);
+    v3.close();
+
+    const { db } = await open(name, 4);
+    const projects = Object.fromEntries((await getAll(db, STORE_PROJECTS)).map(p => [p.id, p]));
+    const indexes = Array.from(db.transaction(STORE_PROJECTS).objectStore(STORE_PROJECTS).indexNames);
+    db.close();
+
+    assert.deepEqual([projects.old.createdAt, projects.old.updatedAt, projects.old.apiMode], [0, 0, 'prompt']);
+    assert.deepEqual([projects.dated.createdAt, projects.dated.updatedAt, projects.dated.apiMode], [5, 10, 'writer']);
+    assert.deepEqual(projects.sealed, { id: 'sealed', sealed: 'ciphertext', updatedAt: 0 });
+    assert.deepEqual(indexes.sort(), ['apiMode', 'updatedAt']);
+});
+
+test('a throwing migration aborts the upgrade without a partial schema', async () => {
+    const name = freshName();
+    const before = (await open(name, LATEST_VERSION)).db;
+    await put(before, STORE_PROJECTS, [{ id: 'kept', name: 'Kept', updatedAt: 1, history: chatTree.create() }]);
+    before.close();
+
+    const broken = [...MIGRATIONS, {
+        version: LATEST_VERSION + 1,
+        up(db, transaction) {
+            db.createObjectStore('partial');
+            transaction.objectStore(STORE_PROJECTS).clear();
+            throw new Error('boom');
+        }
+    }];
+    await assert.rejects(open(name, LATEST_VERSION + 1, broken), error => error.message === 'boom' && error.migration === LATEST_VERSION + 1);
+
+    const { db, applied } = await open(name, LATEST_VERSION);
+    assert.deepEqual(applied, []);
+    assert.equal(db.version, LATEST_VERSION);
+    assert.ok(!db.objectStoreNames.contains('partial'));
+    assert.deepEqual((await getAll(db, STORE_PROJECTS)).map(p => p.id), ['kept']);
+    db.close();
+});
+
+test('a migration that fails after its requests settle also aborts', async () => {
+    const name = freshName();
+    (await open(name, 1)).db.close();
+
+    const broken = [MIGRATIONS[0], {
+        version: 2,
+        up(db, transaction) {
+            db.createObjectStore('partial');
+            return new Promise((resolve, reject) => {
+                const request = transaction.objectStore(STORE_PROJECTS).count();
+                request.onsuccess = () => reject(new Error('late'));
+            });
+        }
+    }];
+    await assert.rejects(open(name, 2, broken), /late/);
+
+    const { db } = await open(name, 1);
+    assert.equal(db.version, 1);
+    assert.ok(!db.objectStoreNames.contains('partial'));
+    db.close();
+});